@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// Plans a route from the command line; see src/cli/planRoute.js or --help.
+// The engine is written as ES modules for the bundler, so it's compiled to
+// CommonJS on the fly as it loads.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+require('@babel/register')({
+  cwd: root,
+  only: [path.join(root, 'src')],
+  babelrc: false,
+  configFile: false,
+  browserslistConfigFile: false,
+  plugins: ['@babel/plugin-transform-modules-commonjs']
+});
+const { runCli } = require('../src/cli/planRoute');
+
+// Relative paths are from where the command was run; the data folder
+// defaults to the app's own
+const defaultData = path.join(root, 'public', 'data');
+process.exitCode = runCli(['--data', defaultData, ...process.argv.slice(2)], {
+  readFile: file => fs.readFileSync(file, 'utf8'),
+  writeFile: (file, text) => fs.writeFileSync(file, text),
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text)
+});
@@ -1,5 +1,29 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+import {
+  Vertex,
+  Waypoint,
+  waypointChain,
+  calculatePathMetrics,
+  searchStatistics,
+  PSEUDOCODE,
+  loadGraph,
+  parseCoordinate,
+  DEFAULT_OPENFLIGHTS_OPTIONS,
+  buildGraph,
+  FLOYD_WARSHALL_LIMIT,
+  serializeNetwork,
+  parseNetworkJSON,
+  networkToGraphML,
+  networkToGeoJSON,
+  HOUR_MS,
+  DAY_MS,
+  zonedTimeToUtc,
+  formatLocalTime,
+  parseClockTime
+} from './engine';
+import SearchClient from './search/SearchClient';
 
 // =============================================================================
 // ALGORITHM VISUALIZER - Shows step-by-step how algorithms work
@@ -8,257 +32,105 @@ import * as d3 from 'd3';
 // Perfect for technical interviews!
 // =============================================================================
 
-// =============================================================================
-// GRAPH CLASSES
-// =============================================================================
-
-class Edge {
-  constructor(from, to, time, price) {
-    this.from = from;
-    this.to = to;
-    this.time = time;
-    this.price = price;
-  }
+// Saves text through the browser's download prompt
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
-class Vertex {
-  constructor(name, id) {
-    this.name = name;
-    this.id = id;
-    this.edges = [];
-  }
-
-  addEdge(edge) {
-    this.edges.push(edge);
-  }
+// A path cost in the units of its weight; 'stops' searches count flights
+function formatWeight(cost, weightType) {
+  if (weightType === 'price') return `$${cost}`;
+  if (weightType === 'time') return `${cost}h`;
+  return `${cost} flight${cost === 1 ? '' : 's'}`;
 }
 
-class Waypoint {
-  constructor(vertex, parent = null, cost = 0) {
-    this.vertex = vertex;
-    this.parent = parent;
-    this.cost = cost;
-  }
-
-  getPath() {
-    const path = [];
-    let current = this;
-    while (current !== null) {
-      path.unshift(current.vertex);
-      current = current.parent;
-    }
-    return path;
-  }
+function formatDuration(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
 }
 
-class Graph {
-  constructor() {
-    this.vertices = [];
-  }
-
-  addVertex(vertex) {
-    this.vertices.push(vertex);
-  }
+// =============================================================================
+// ANIMATED GRAPH VISUALIZATION COMPONENT
+// =============================================================================
 
-  addUndirectedEdge(x, y, time, price) {
-    const edge1 = new Edge(x, y, time, price);
-    x.addEdge(edge1);
-    const edge2 = new Edge(y, x, time, price);
-    y.addEdge(edge2);
-  }
+// One colour per rank in the K-shortest list
+const ALTERNATIVE_COLORS = ['#E91E63', '#3F51B5', '#FF9800', '#009688', '#795548', '#607D8B'];
 
-  getVertexByName(name) {
-    return this.vertices.find(v => v.name === name);
-  }
+const PROJECTIONS = {
+  equirectangular: d3.geoEquirectangular,
+  mercator: d3.geoMercator,
+  orthographic: d3.geoOrthographic
+};
 
-  // ========================================================================
-  // INSTRUMENTED BFS - Returns step-by-step snapshots for visualization
-  // ========================================================================
-  bfsWithSteps(start, destination) {
-    const steps = [];  // Array of snapshots showing algorithm progress
-    const queue = [];
-    const visited = new Set();
-    const startWaypoint = new Waypoint(start, null, 0);
-    queue.push(startWaypoint);
-    visited.add(start.name);
-    
-    // Initial step
-    steps.push({
-      current: null,
-      queue: [startWaypoint],
-      visited: new Set([start.name]),
-      exploring: new Set(),
-      description: `Starting BFS from ${start.name}`
-    });
-    
-    while (queue.length > 0) {
-      const current = queue.shift();
-      
-      // Step: Dequeue node
-      steps.push({
-        current: current.vertex,
-        queue: [...queue],
-        visited: new Set(visited),
-        exploring: new Set([current.vertex.name]),
-        description: `Visiting ${current.vertex.name}`
-      });
-      
-      if (current.vertex === destination) {
-        steps.push({
-          current: current.vertex,
-          queue: [...queue],
-          visited: new Set(visited),
-          exploring: new Set(),
-          found: current,
-          description: `✅ Found destination: ${destination.name}!`
-        });
-        return { steps, finalWaypoint: current };
-      }
-      
-      const newNeighbors = [];
-      for (let edge of current.vertex.edges) {
-        const neighbor = edge.to;
-        if (visited.has(neighbor.name)) continue;
-        
-        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + 1);
-        queue.push(neighborWaypoint);
-        visited.add(neighbor.name);
-        newNeighbors.push(neighbor.name);
-      }
-      
-      // Step: After exploring neighbors
-      if (newNeighbors.length > 0) {
-        steps.push({
-          current: current.vertex,
-          queue: [...queue],
-          visited: new Set(visited),
-          exploring: new Set(),
-          description: `Added ${newNeighbors.length} neighbors to queue: ${newNeighbors.join(', ')}`
-        });
-      }
-    }
-    
-    steps.push({
-      current: null,
-      queue: [],
-      visited: new Set(visited),
-      exploring: new Set(),
-      description: `❌ No path found from ${start.name} to ${destination.name}`
-    });
-    
-    return { steps, finalWaypoint: null };
-  }
-
-  // ========================================================================
-  // INSTRUMENTED UCS - Returns step-by-step snapshots for visualization
-  // ========================================================================
-  ucsWithSteps(start, destination, weightType = 'price') {
-    const steps = [];
-    const priorityQueue = [];
-    const visited = new Set();
-    const startWaypoint = new Waypoint(start, null, 0);
-    priorityQueue.push(startWaypoint);
-    
-    steps.push({
-      current: null,
-      queue: [startWaypoint],
-      visited: new Set(),
-      exploring: new Set(),
-      description: `Starting UCS (${weightType}) from ${start.name}`
-    });
-    
-    while (priorityQueue.length > 0) {
-      priorityQueue.sort((a, b) => a.cost - b.cost);
-      const current = priorityQueue.shift();
-      
-      if (visited.has(current.vertex.name)) continue;
-      visited.add(current.vertex.name);
-      
-      steps.push({
-        current: current.vertex,
-        queue: [...priorityQueue],
-        visited: new Set(visited),
-        exploring: new Set([current.vertex.name]),
-        currentCost: current.cost,
-        description: `Visiting ${current.vertex.name} (cost: ${current.cost})`
-      });
-      
-      if (current.vertex === destination) {
-        steps.push({
-          current: current.vertex,
-          queue: [...priorityQueue],
-          visited: new Set(visited),
-          exploring: new Set(),
-          found: current,
-          description: `✅ Found optimal path to ${destination.name}! Total cost: ${current.cost}`
-        });
-        return { steps, finalWaypoint: current };
-      }
-      
-      const newNeighbors = [];
-      for (let edge of current.vertex.edges) {
-        const neighbor = edge.to;
-        if (visited.has(neighbor.name)) continue;
-        
-        const edgeWeight = weightType === 'time' ? edge.time : edge.price;
-        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + edgeWeight);
-        priorityQueue.push(neighborWaypoint);
-        newNeighbors.push(`${neighbor.name}(${neighborWaypoint.cost})`);
-      }
-      
-      if (newNeighbors.length > 0) {
-        steps.push({
-          current: current.vertex,
-          queue: [...priorityQueue],
-          visited: new Set(visited),
-          exploring: new Set(),
-          description: `Added to queue: ${newNeighbors.join(', ')}`
-        });
-      }
-    }
-    
-    steps.push({
-      current: null,
-      queue: [],
-      visited: new Set(visited),
-      exploring: new Set(),
-      description: `❌ No path found`
-    });
-    
-    return { steps, finalWaypoint: null };
-  }
+// Geographic layouts need every airport to have coordinates
+function canUseGeographicLayout(graph) {
+  return !!graph && graph.vertices.length > 0 && graph.vertices.every(v => v.hasCoordinates());
 }
 
-function calculatePathMetrics(waypoint) {
-  const path = waypoint.getPath();
-  let totalTime = 0;
-  let totalPrice = 0;
-  let totalStops = path.length - 2;
-  
-  for (let i = 0; i < path.length - 1; i++) {
-    const from = path[i];
-    const to = path[i + 1];
-    const edge = from.edges.find(e => e.to === to);
-    if (edge) {
-      totalTime += edge.time;
-      totalPrice += edge.price;
+// Unordered airport pairs with at least one flight, as [value, label] for the
+// avoid-route list
+function routePairsOf(graph) {
+  const pairs = new Map();
+  for (let vertex of graph.vertices) {
+    for (let edge of vertex.edges) {
+      const [a, b] = [edge.from.key, edge.to.key].sort();
+      pairs.set(`${a}|${b}`, `${a} ⇄ ${b}`);
     }
   }
-  
-  return {
-    path: path,
-    pathString: path.map(v => v.name).join(' → '),
-    time: totalTime,
-    price: totalPrice,
-    stops: totalStops
-  };
+  return [...pairs].sort((x, y) => x[1].localeCompare(y[1]));
 }
 
-// =============================================================================
-// ANIMATED GRAPH VISUALIZATION COMPONENT
-// =============================================================================
-function GraphVisualization({ graph, currentStep, width = 700, height = 500 }) {
+// `highlights` is a list of { waypoint, color } routes drawn over the map,
+// e.g. the route picked from the Pareto chart.
+//
+// Passing `onEdit` turns on edit mode, where the map reports what the user
+// did and leaves changing the graph to the caller:
+//   { type: 'add-airport', position | coordinates }  click on empty space
+//   { type: 'move', vertex, position | coordinates }   drag an airport
+//   { type: 'connect', from, to }                      shift-drag between airports
+//   { type: 'select-airport', vertex }                 click an airport
+//   { type: 'select-route', from, to }                 click a route
+// Positions are fractions of the network diagram; on maps, coordinates are
+// [longitude, latitude]. `selection` ({ type, key } or { type, from, to },
+// by vertex key) is outlined, and `revision` redraws after in-place edits.
+//
+// `nodeMetric` ({ label, values, format }, values a Map from vertex key to a
+// number) sizes the airports by their value, and colours them by it too
+// while no search step is shown.
+function GraphVisualization({
+  graph, currentStep, highlights = [], layout = 'force', width = 700, height = 500,
+  onEdit, selection = null, revision = 0, nodeMetric = null
+}) {
   const svgRef = useRef();
+  const onEditRef = useRef(onEdit);
+  const [world, setWorld] = useState(null);
+  const geographic = layout !== 'force' && canUseGeographicLayout(graph);
+  const editable = !!onEdit;
+
+  // Read through a ref so a new callback on every render doesn't redraw the map
+  useEffect(() => {
+    onEditRef.current = onEdit;
+  });
+
+  // The world outline is only fetched the first time a map projection is shown
+  useEffect(() => {
+    if (!geographic || world) return;
+    let cancelled = false;
+
+    fetch('/data/land-110m.json')
+      .then(response => response.json())
+      .then(topology => {
+        if (!cancelled) setWorld(topojson.feature(topology, topology.objects.land));
+      })
+      .catch(() => {});  // The map still works without the outline
+
+    return () => { cancelled = true; };
+  }, [geographic, world]);
 
   useEffect(() => {
     if (!graph) return;
@@ -268,7 +140,7 @@ function GraphVisualization({ graph, currentStep, width = 700, height = 500 }) {
     const svg = d3.select(svgRef.current)
       .attr('width', width)
       .attr('height', height)
-      .style('background', '#f8f9fa')
+      .style('background', geographic ? '#e3f2fd' : '#f8f9fa')
       .style('border-radius', '12px');
 
     // Prepare nodes and links
@@ -278,127 +150,945 @@ function GraphVisualization({ graph, currentStep, width = 700, height = 500 }) {
       vertex: v
     }));
 
+    // One link per airport pair, dashed when flights only go one way
     const links = [];
-    const addedEdges = new Set();
+    const addedEdges = new Map();
     
     for (let vertex of graph.vertices) {
       for (let edge of vertex.edges) {
         const key = [edge.from.id, edge.to.id].sort().join('-');
-        if (!addedEdges.has(key)) {
-          links.push({
+        const link = addedEdges.get(key);
+        if (!link) {
+          const newLink = {
             source: edge.from.id,
             target: edge.to.id,
             time: edge.time,
-            price: edge.price
-          });
-          addedEdges.add(key);
+            price: edge.price,
+            oneWay: true
+          };
+          links.push(newLink);
+          addedEdges.set(key, newLink);
+        } else if (link.source !== edge.from.id) {
+          link.oneWay = false;
         }
       }
     }
 
-    // Position nodes with force simulation
-    const simulation = d3.forceSimulation(nodes)
-      .force('link', d3.forceLink(links).id(d => d.id).distance(120))
-      .force('charge', d3.forceManyBody().strength(-800))
-      .force('center', d3.forceCenter(width / 2, height / 2))
-      .force('collision', d3.forceCollide().radius(50));
+    // linkPath(from, to) returns the SVG path between two vertices
+    let linkPath;
+    let projection;
+    const nodeRadius = geographic ? 8 : 20;
+
+    if (geographic) {
+      projection = PROJECTIONS[layout]();
+      if (layout === 'orthographic') {
+        const centroid = d3.geoCentroid({
+          type: 'MultiPoint',
+          coordinates: graph.vertices.map(v => [v.longitude, v.latitude])
+        });
+        projection.rotate([-centroid[0], -centroid[1]]);
+      }
+      projection.fitExtent([[10, 10], [width - 10, height - 10]], { type: 'Sphere' });
+      const geoPath = d3.geoPath(projection);
+
+      svg.append('path')
+        .datum({ type: 'Sphere' })
+        .attr('d', geoPath)
+        .attr('fill', '#bbdefb');
+
+      if (world) {
+        svg.append('path')
+          .datum(world)
+          .attr('d', geoPath)
+          .attr('fill', '#f1f8e9')
+          .attr('stroke', '#c5e1a5');
+      }
+
+      // Airports on the far side of the globe are hidden
+      const [lambda, phi] = projection.rotate();
+      const center = [-lambda, -phi];
+      for (let node of nodes) {
+        const coordinates = [node.vertex.longitude, node.vertex.latitude];
+        [node.x, node.y] = projection(coordinates);
+        node.hidden = layout === 'orthographic' && d3.geoDistance(coordinates, center) > Math.PI / 2;
+      }
+
+      // geoPath draws LineStrings as great-circle arcs, clipped to the projection
+      linkPath = (from, to) => geoPath({
+        type: 'LineString',
+        coordinates: [[from.longitude, from.latitude], [to.longitude, to.latitude]]
+      });
+    } else {
+      // Pinned airports stay where they were dropped
+      for (let node of nodes) {
+        if (node.vertex.position) {
+          node.fx = node.vertex.position.x * width;
+          node.fy = node.vertex.position.y * height;
+        }
+      }
+
+      // Position nodes with force simulation
+      const simulation = d3.forceSimulation(nodes)
+        .force('link', d3.forceLink(links.map(link => ({ ...link }))).id(d => d.id).distance(120))
+        .force('charge', d3.forceManyBody().strength(-800))
+        .force('center', d3.forceCenter(width / 2, height / 2))
+        .force('collision', d3.forceCollide().radius(50));
+
+      simulation.tick(300);
+      simulation.stop();
 
-    simulation.tick(300);
-    simulation.stop();
+      linkPath = (from, to) =>
+        `M${nodes[from.id].x},${nodes[from.id].y}L${nodes[to.id].x},${nodes[to.id].y}`;
+    }
 
     // Draw edges
     const linkGroup = svg.append('g').attr('class', 'links');
 
-    linkGroup.selectAll('line')
+    const isSelectedRoute = d => !!selection && !!selection.from &&
+      [graph.vertices[d.source].key, graph.vertices[d.target].key].sort().join('|') ===
+        [selection.from, selection.to].sort().join('|');
+
+    linkGroup.selectAll('path')
       .data(links)
       .enter()
-      .append('line')
-      .attr('x1', d => nodes[d.source.id].x)
-      .attr('y1', d => nodes[d.source.id].y)
-      .attr('x2', d => nodes[d.target.id].x)
-      .attr('y2', d => nodes[d.target.id].y)
-      .attr('stroke', '#ccc')
-      .attr('stroke-width', 2)
-      .attr('opacity', 0.6);
+      .append('path')
+      .attr('class', 'route')
+      .attr('d', d => linkPath(graph.vertices[d.source], graph.vertices[d.target]))
+      .attr('fill', 'none')
+      .attr('stroke', d => (isSelectedRoute(d) ? '#FF5722' : geographic ? '#90a4ae' : '#ccc'))
+      .attr('stroke-width', d => (isSelectedRoute(d) ? 4 : 2))
+      .attr('stroke-dasharray', d => (d.oneWay ? '6,4' : null))
+      .attr('opacity', d => (isSelectedRoute(d) ? 1 : 0.6));
 
     // Draw nodes with colors based on algorithm state
     const nodeGroup = svg.append('g').attr('class', 'nodes');
 
     const nodeElements = nodeGroup.selectAll('g')
-      .data(nodes)
+      .data(nodes.filter(node => !node.hidden))
       .enter()
       .append('g')
       .attr('transform', d => `translate(${d.x}, ${d.y})`);
 
+    // Larger and redder airports score higher on the chosen metric
+    const metricOf = node => (nodeMetric && nodeMetric.values.get(node.vertex.key)) || 0;
+    const metricMax = nodeMetric ? Math.max(0, ...nodeMetric.values.values()) : 0;
+    const metricRadius = d3.scaleSqrt().domain([0, metricMax]).range([nodeRadius * 0.5, nodeRadius * 1.6]);
+    const metricColor = d3.scaleSequential(d3.interpolateYlOrRd).domain([0, metricMax]);
+    const radiusOf = node => (metricMax > 0 ? metricRadius(metricOf(node)) : nodeRadius);
+
     // Function to get node color based on current step
     function getNodeColor(node) {
-      if (!currentStep) return '#4CAF50';  // Default green
+      if (!currentStep) return metricMax > 0 ? metricColor(metricOf(node)) : '#4CAF50';  // Default green
       
       // Currently being explored (red)
-      if (currentStep.exploring && currentStep.exploring.has(node.name)) {
+      if (currentStep.exploring && currentStep.exploring.has(node.vertex.key)) {
         return '#FF6B6B';
       }
       
+      // Where a bidirectional search's frontiers meet (cyan)
+      if (currentStep.meeting === node.vertex.key) {
+        return '#00BCD4';
+      }
+      
       // Already visited (blue)
-      if (currentStep.visited && currentStep.visited.has(node.name)) {
+      if (currentStep.visited && currentStep.visited.has(node.vertex.key)) {
         return '#2196F3';
       }
       
+      // Visited by the backward search (purple)
+      if (currentStep.backward && currentStep.backward.visited.has(node.vertex.key)) {
+        return '#9C27B0';
+      }
+      
       // In the queue/frontier (yellow)
-      if (currentStep.queue && currentStep.queue.some(wp => wp.vertex.name === node.name)) {
+      if (currentStep.queue && currentStep.queue.some(wp => wp.vertex.key === node.vertex.key)) {
         return '#FFC107';
       }
       
+      // In the backward search's frontier (light purple)
+      if (currentStep.backward && currentStep.backward.queue.some(wp => wp.vertex.key === node.vertex.key)) {
+        return '#CE93D8';
+      }
+      
       // Unvisited (gray)
       return '#9E9E9E';
     }
 
     // Draw circles
+    const isSelectedAirport = d => !!selection && selection.key === d.vertex.key;
+
     nodeElements.append('circle')
-      .attr('r', 20)
+      .attr('r', d => radiusOf(d))
       .attr('fill', d => getNodeColor(d))
-      .attr('stroke', 'white')
-      .attr('stroke-width', 3)
+      .attr('stroke', d => (isSelectedAirport(d) ? '#FF5722' : 'white'))
+      .attr('stroke-width', d => (isSelectedAirport(d) ? 4 : geographic ? 2 : 3))
       .style('cursor', 'pointer');
 
     // Add labels
     nodeElements.append('text')
       .attr('text-anchor', 'middle')
-      .attr('dy', 35)
+      .attr('dy', d => radiusOf(d) + 15)
       .attr('font-size', '12px')
       .attr('font-weight', 'bold')
       .attr('fill', '#333')
-      .text(d => d.name);
+      .text(d => d.vertex.code || d.name);
+
+    if (nodeMetric) {
+      nodeElements.append('title')
+        .text(d => `${d.vertex.label}: ${nodeMetric.label} ${nodeMetric.format(metricOf(d))}`);
+    }
 
     // Highlight final path if found
     if (currentStep?.found) {
       const path = currentStep.found.getPath();
       for (let i = 0; i < path.length - 1; i++) {
-        const from = path[i];
-        const to = path[i + 1];
-        
-        linkGroup.append('line')
-          .attr('x1', nodes[from.id].x)
-          .attr('y1', nodes[from.id].y)
-          .attr('x2', nodes[to.id].x)
-          .attr('y2', nodes[to.id].y)
+        linkGroup.append('path')
+          .attr('d', linkPath(path[i], path[i + 1]))
+          .attr('fill', 'none')
           .attr('stroke', '#4CAF50')
           .attr('stroke-width', 5)
           .attr('opacity', 0.9);
       }
     }
 
-  }, [graph, currentStep, width, height]);
+    for (let { waypoint, color } of highlights) {
+      const path = waypoint.getPath();
+      for (let i = 0; i < path.length - 1; i++) {
+        linkGroup.append('path')
+          .attr('d', linkPath(path[i], path[i + 1]))
+          .attr('fill', 'none')
+          .attr('stroke', color)
+          .attr('stroke-width', 4)
+          .attr('opacity', 0.9);
+      }
+    }
+
+    if (!editable) return;
+
+    const edit = action => onEditRef.current && onEditRef.current(action);
+
+    // Where an airport placed at the point goes: pinned in the diagram, or at
+    // the coordinates under it on a map (null off the edge of the globe)
+    function placeAt([x, y]) {
+      if (!geographic) return { position: { x: x / width, y: y / height } };
+      const coordinates = projection.invert([x, y]);
+      if (!coordinates || !coordinates.every(Number.isFinite)) return null;
+      const [lambda, phi] = projection.rotate();
+      if (layout === 'orthographic' && d3.geoDistance(coordinates, [-lambda, -phi]) > Math.PI / 2) return null;
+      return { coordinates };
+    }
+
+    svg.style('cursor', 'crosshair').on('click', event => {
+      const place = placeAt(d3.pointer(event, svgRef.current));
+      if (place) edit({ type: 'add-airport', ...place });
+    });
+
+    // Thin routes are hard to hit, so clicks land on a wider invisible copy
+    linkGroup.selectAll('path.route-target')
+      .data(links)
+      .enter()
+      .append('path')
+      .attr('class', 'route-target')
+      .attr('d', d => linkPath(graph.vertices[d.source], graph.vertices[d.target]))
+      .attr('fill', 'none')
+      .attr('stroke', 'transparent')
+      .attr('stroke-width', 12)
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        edit({ type: 'select-route', from: graph.vertices[d.source], to: graph.vertices[d.target] });
+      });
+
+    nodeElements
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        if (!event.defaultPrevented) edit({ type: 'select-airport', vertex: d.vertex });
+      })
+      .call(d3.drag()
+        .on('start', (event, d) => {
+          d.moved = false;
+          d.draft = event.sourceEvent.shiftKey
+            ? svg.append('line')
+              .attr('x1', d.x).attr('y1', d.y).attr('x2', d.x).attr('y2', d.y)
+              .attr('stroke', '#FF5722')
+              .attr('stroke-width', 3)
+              .attr('stroke-dasharray', '6,4')
+              .style('pointer-events', 'none')
+            : null;
+        })
+        .on('drag', function (event, d) {
+          d.moved = true;
+          if (d.draft) {
+            d.draft.attr('x2', event.x).attr('y2', event.y);
+            return;
+          }
+          d.x = event.x;
+          d.y = event.y;
+          d3.select(this).attr('transform', `translate(${d.x}, ${d.y})`);
+          if (!geographic) {
+            linkGroup.selectAll('path.route, path.route-target')
+              .attr('d', link => linkPath(graph.vertices[link.source], graph.vertices[link.target]));
+          }
+        })
+        .on('end', (event, d) => {
+          if (!d.moved) return;
+          if (d.draft) {
+            d.draft.remove();
+            const target = nodes.find(node =>
+              node !== d && !node.hidden && Math.hypot(node.x - event.x, node.y - event.y) <= nodeRadius);
+            if (target) edit({ type: 'connect', from: d.vertex, to: target.vertex });
+            return;
+          }
+          const place = placeAt([event.x, event.y]);
+          if (place) edit({ type: 'move', vertex: d.vertex, ...place });
+        }));
+
+  }, [graph, currentStep, highlights, layout, geographic, world, width, height, editable, selection, revision, nodeMetric]);
+
+  return <svg ref={svgRef}></svg>;
+}
+
+// =============================================================================
+// PARETO FRONT CHART - Price vs time scatter of the non-dominated routes
+// =============================================================================
+function ParetoChart({ routes, selectedIndex, onSelect, width = 640, height = 320 }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    d3.select(svgRef.current).selectAll('*').remove();
+    if (routes.length === 0) return;
+
+    const margin = { top: 20, right: 20, bottom: 45, left: 60 };
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height);
+
+    const x = d3.scaleLinear()
+      .domain(d3.extent(routes, r => r.price))
+      .nice()
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+      .domain(d3.extent(routes, r => r.time))
+      .nice()
+      .range([height - margin.bottom, margin.top]);
+    // A single route has a zero-width domain; pad it so the point is centered
+    if (x.domain()[0] === x.domain()[1]) x.domain([x.domain()[0] - 1, x.domain()[1] + 1]);
+    if (y.domain()[0] === y.domain()[1]) y.domain([y.domain()[0] - 1, y.domain()[1] + 1]);
+
+    svg.append('g')
+      .attr('transform', `translate(0, ${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(d => `$${d}`));
+    svg.append('g')
+      .attr('transform', `translate(${margin.left}, 0)`)
+      .call(d3.axisLeft(y).ticks(6).tickFormat(d => `${d}h`));
+
+    svg.append('text')
+      .attr('x', (margin.left + width - margin.right) / 2)
+      .attr('y', height - 8)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .text('Total price');
+    svg.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -(margin.top + height - margin.bottom) / 2)
+      .attr('y', 16)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .text('Total time');
+
+    // Connect the front in price order to show the trade-off curve
+    const sorted = [...routes].sort((a, b) => a.price - b.price);
+    svg.append('path')
+      .datum(sorted)
+      .attr('d', d3.line().x(r => x(r.price)).y(r => y(r.time)).curve(d3.curveStepAfter))
+      .attr('fill', 'none')
+      .attr('stroke', '#bbb')
+      .attr('stroke-dasharray', '4,4');
+
+    const stopColor = d3.scaleOrdinal(d3.schemeTableau10);
+    svg.append('g')
+      .selectAll('circle')
+      .data(routes)
+      .enter()
+      .append('circle')
+      .attr('cx', r => x(r.price))
+      .attr('cy', r => y(r.time))
+      .attr('r', (r, i) => (i === selectedIndex ? 10 : 7))
+      .attr('fill', r => stopColor(r.stops))
+      .attr('stroke', (r, i) => (i === selectedIndex ? '#E91E63' : 'white'))
+      .attr('stroke-width', 3)
+      .style('cursor', 'pointer')
+      .on('click', (event, r) => onSelect(routes.indexOf(r)))
+      .append('title')
+      .text(r => `${r.pathString}\n$${r.price} · ${r.time}h · ${r.stops} stops`);
+  }, [routes, selectedIndex, onSelect, width, height]);
+
+  return <svg ref={svgRef}></svg>;
+}
+
+// =============================================================================
+// ALL-PAIRS HEATMAP - Best cost between every two airports
+// =============================================================================
+// Rows are where routes start and columns where they end; darker cells cost
+// more and grey ones have no route. The airport the step connects at
+// (`pivot`, an index into airports) has its row and column outlined, and the
+// [row, column] cells it improved (`updated`) are ringed. Clicking a cell
+// with a route calls onSelect(row, column).
+const NO_CELLS = [];
+
+function MatrixHeatmap({ airports, matrix, weightType, updated = NO_CELLS, pivot = -1, selected = null, onSelect, width = 700 }) {
+  const svgRef = useRef();
+  const onSelectRef = useRef(onSelect);
+  const selectable = !!onSelect;
+
+  // Read through a ref so a new callback on every render doesn't redraw it
+  useEffect(() => {
+    onSelectRef.current = onSelect;
+  });
+
+  useEffect(() => {
+    d3.select(svgRef.current).selectAll('*').remove();
+    const n = airports.length;
+    if (n === 0) return;
+
+    const margin = 50;
+    const cell = (width - margin) / n;
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', width);
+
+    const costs = matrix.flat().filter(cost => cost > 0 && cost !== Infinity);
+    const color = d3.scaleSequential(d3.interpolateYlGnBu).domain([0, d3.max(costs) || 1]);
+    const hasRoute = d => d.i !== d.j && d.cost !== Infinity;
+    const fillOf = d => (d.i === d.j ? 'white' : hasRoute(d) ? color(d.cost) : '#e0e0e0');
+    const improved = new Set(updated.map(([i, j]) => `${i},${j}`));
+    const isSelected = d => !!selected && selected[0] === d.i && selected[1] === d.j;
+
+    // Airport codes down the side and along the top, while they fit
+    if (cell >= 9) {
+      const fontSize = `${Math.min(12, cell * 0.8)}px`;
+      svg.append('g')
+        .selectAll('text')
+        .data(airports)
+        .enter()
+        .append('text')
+        .attr('x', margin - 4)
+        .attr('y', (v, i) => margin + (i + 0.5) * cell)
+        .attr('text-anchor', 'end')
+        .attr('dominant-baseline', 'middle')
+        .attr('font-size', fontSize)
+        .text(v => v.code || v.name);
+      svg.append('g')
+        .selectAll('text')
+        .data(airports)
+        .enter()
+        .append('text')
+        .attr('transform', (v, i) => `translate(${margin + (i + 0.5) * cell}, ${margin - 4}) rotate(-60)`)
+        .attr('font-size', fontSize)
+        .text(v => v.code || v.name);
+    }
+
+    const cells = matrix.flatMap((row, i) => row.map((cost, j) => ({ i, j, cost })));
+    svg.append('g')
+      .selectAll('rect')
+      .data(cells)
+      .enter()
+      .append('rect')
+      .attr('x', d => margin + d.j * cell)
+      .attr('y', d => margin + d.i * cell)
+      .attr('width', cell)
+      .attr('height', cell)
+      .attr('fill', fillOf)
+      .attr('stroke', d => (isSelected(d) ? '#E91E63' : improved.has(`${d.i},${d.j}`) ? '#FF5722' : 'white'))
+      .attr('stroke-width', d => (isSelected(d) || improved.has(`${d.i},${d.j}`) ? 3 : 1))
+      .style('cursor', d => (selectable && hasRoute(d) ? 'pointer' : 'default'))
+      .on('click', (event, d) => {
+        if (selectable && hasRoute(d)) onSelectRef.current(d.i, d.j);
+      })
+      .append('title')
+      .text(d => `${airports[d.i].label} → ${airports[d.j].label}: ` +
+        (d.i === d.j ? '—' : hasRoute(d) ? formatWeight(d.cost, weightType) : 'no route'));
+
+    // Costs written in the cells when there's room
+    if (cell >= 40) {
+      svg.append('g')
+        .selectAll('text')
+        .data(cells.filter(hasRoute))
+        .enter()
+        .append('text')
+        .attr('x', d => margin + (d.j + 0.5) * cell)
+        .attr('y', d => margin + (d.i + 0.5) * cell)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .attr('font-size', '11px')
+        .attr('fill', d => (d3.hsl(fillOf(d)).l < 0.5 ? 'white' : '#333'))
+        .style('pointer-events', 'none')
+        .text(d => formatWeight(d.cost, weightType));
+    }
+
+    if (pivot >= 0) {
+      for (let [x, y, w, h] of [[0, pivot, n, 1], [pivot, 0, 1, n]]) {
+        svg.append('rect')
+          .attr('x', margin + x * cell)
+          .attr('y', margin + y * cell)
+          .attr('width', w * cell)
+          .attr('height', h * cell)
+          .attr('fill', 'none')
+          .attr('stroke', '#FF6B6B')
+          .attr('stroke-width', 2)
+          .style('pointer-events', 'none');
+      }
+    }
+  }, [airports, matrix, weightType, updated, pivot, selected, selectable, width]);
+
+  return <svg ref={svgRef}></svg>;
+}
+
+// =============================================================================
+// SEARCH TREE - The Waypoint parent tree as the search grows it
+// =============================================================================
+// Every waypoint queued so far hangs under its parent, so an airport reached
+// several ways appears several times. Nodes that no longer lead to the
+// frontier — superseded, skipped or dead ends — are greyed out.
+
+const MAX_TREE_NODES = 400;
+
+function frontierWaypoints(step) {
+  return [
+    ...(step.queue || []),
+    ...(step.backward ? step.backward.queue : []),
+    ...(step.found ? [step.found] : [])
+  ];
+}
+
+function rootOf(waypoint) {
+  let root = waypoint;
+  while (root.parent !== null) root = root.parent;
+  return root;
+}
+
+// `history` is the search's StepHistory, which knows the step each waypoint
+// first appeared in
+function SearchTree({ history, stepIndex, width = 700, height = 320 }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    d3.select(svgRef.current).selectAll('*').remove();
+    const step = history.get(stepIndex);
+    if (!step) return;
+    const firstSeen = new Map([...history.firstSeen].filter(([object]) => object instanceof Waypoint));
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .style('background', '#f8f9fa')
+      .style('border-radius', '12px');
+
+    const queued = new Set(frontierWaypoints(step));
+    const live = new Set();
+    const markLive = waypoint => {
+      for (let node = waypoint; node && !live.has(node); node = node.parent) live.add(node);
+    };
+    queued.forEach(markLive);
+
+    // The waypoint being expanded is the one that just left the queue
+    const expanding = new Set();
+    if (stepIndex > 0 && step.exploring) {
+      for (let waypoint of frontierWaypoints(history.get(stepIndex - 1))) {
+        if (!queued.has(waypoint) && step.exploring.has(waypoint.vertex.key)) expanding.add(waypoint);
+      }
+    }
+    expanding.forEach(markLive);
+
+    // Iterative deepening restarts from a fresh root, so only the current
+    // search's trees are drawn
+    const visible = [...firstSeen].filter(([, index]) => index <= stepIndex).map(([waypoint]) => waypoint);
+    let roots = new Set([...live].filter(waypoint => waypoint.parent === null));
+    if (roots.size === 0) {
+      const latest = Math.max(...visible.filter(w => w.parent === null).map(w => firstSeen.get(w)));
+      roots = new Set(visible.filter(w => w.parent === null && firstSeen.get(w) === latest));
+    }
+    const shown = visible.filter(waypoint => roots.has(rootOf(waypoint)));
+    if (shown.length === 0) return;
+
+    if (shown.length > MAX_TREE_NODES) {
+      svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height / 2)
+        .attr('text-anchor', 'middle')
+        .attr('fill', '#666')
+        .text(`Search tree has ${shown.length} nodes — too many to draw`);
+      return;
+    }
+
+    const children = new Map(shown.map(waypoint => [waypoint, []]));
+    for (let waypoint of shown) {
+      if (waypoint.parent !== null) children.get(waypoint.parent).push(waypoint);
+    }
+    const forest = { forest: true };
+    const hierarchy = d3.hierarchy(forest, node => (node === forest ? [...roots] : children.get(node)));
+    d3.tree().nodeSize([46, 64])(hierarchy);
+
+    const nodes = hierarchy.descendants().filter(node => node.data !== forest);
+    const [minX, maxX] = d3.extent(nodes, node => node.x);
+    const [minY, maxY] = d3.extent(nodes, node => node.y);
+    // Fit the whole tree, but don't blow a small one up past twice its size
+    const margin = 30;
+    const viewWidth = Math.max(maxX - minX + 2 * margin, width / 2);
+    const viewHeight = Math.max(maxY - minY + 2 * margin, height / 2);
+    svg.attr('viewBox', [(minX + maxX - viewWidth) / 2, minY - margin, viewWidth, viewHeight].join(' '));
+
+    const winning = new Set(step.found ? waypointChain(step.found) : []);
+
+    svg.append('g')
+      .selectAll('line')
+      .data(hierarchy.links().filter(link => link.source.data !== forest))
+      .enter()
+      .append('line')
+      .attr('x1', link => link.source.x)
+      .attr('y1', link => link.source.y)
+      .attr('x2', link => link.target.x)
+      .attr('y2', link => link.target.y)
+      .attr('stroke', link => (winning.has(link.target.data) ? '#4CAF50' : live.has(link.target.data) ? '#90a4ae' : '#ddd'))
+      .attr('stroke-width', link => (winning.has(link.target.data) ? 4 : 2));
+
+    function nodeColor(waypoint) {
+      if (winning.has(waypoint)) return '#4CAF50';
+      if (expanding.has(waypoint)) return '#FF6B6B';
+      if (queued.has(waypoint)) return '#FFC107';
+      if (live.has(waypoint)) return '#2196F3';
+      return '#e0e0e0';
+    }
+
+    const nodeElements = svg.append('g')
+      .selectAll('g')
+      .data(nodes)
+      .enter()
+      .append('g')
+      .attr('transform', node => `translate(${node.x}, ${node.y})`)
+      .attr('opacity', node => (live.has(node.data) || winning.has(node.data) ? 1 : 0.6));
+
+    nodeElements.append('circle')
+      .attr('r', 10)
+      .attr('fill', node => nodeColor(node.data))
+      .attr('stroke', 'white')
+      .attr('stroke-width', 2);
+
+    nodeElements.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dy', -14)
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+      .attr('fill', '#333')
+      .text(node => node.data.vertex.code || node.data.vertex.name);
+
+    nodeElements.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dy', 24)
+      .attr('font-size', '10px')
+      .attr('fill', '#666')
+      .text(node => Math.round(node.data.cost * 100) / 100);
+  }, [history, stepIndex, width, height]);
 
   return <svg ref={svgRef}></svg>;
 }
 
+// =============================================================================
+// FRONTIER INSPECTOR - Queue, visited set and what changed since the last step
+// =============================================================================
+// Waypoints are compared by identity, so a decrease-key shows up as the old
+// entry superseded and the cheaper one enqueued. Backward-search paths lead
+// to the destination, so they are listed in travel order.
+
+function pathSoFar(waypoint, backward = false) {
+  const path = waypoint.getPath().map(v => v.code || v.name);
+  return (backward ? path.reverse() : path).join(' → ');
+}
+
+function FrontierInspector({ step, previousStep, selected, onSelect }) {
+  const queues = [['Queue', step.queue || []]];
+  if (step.backward) queues.push(['Backward queue', step.backward.queue]);
+
+  const queuedNow = new Set(queues.flatMap(([, queue]) => queue));
+  const queuedBefore = previousStep
+    ? [...(previousStep.queue || []), ...(previousStep.backward ? previousStep.backward.queue : [])]
+    : [];
+  const before = new Set(queuedBefore);
+  const enqueued = [...queuedNow].filter(waypoint => !before.has(waypoint));
+  const removed = queuedBefore.filter(waypoint => !queuedNow.has(waypoint));
+  const dequeued = removed.filter(waypoint => step.exploring && step.exploring.has(waypoint.vertex.key));
+  const superseded = removed.filter(waypoint => !dequeued.includes(waypoint));
+
+  const visited = [...(step.visited || [])];
+  const backwardVisited = step.backward ? [...step.backward.visited] : [];
+  const backward = new Set([
+    ...(step.backward ? step.backward.queue : []),
+    ...(previousStep && previousStep.backward ? previousStep.backward.queue : [])
+  ]);
+
+  const entry = (waypoint, index, prefix = '') => (
+    <button
+      key={index}
+      style={{ ...styles.inspectorEntry, ...(waypoint === selected ? styles.inspectorEntrySelected : {}) }}
+      onClick={() => onSelect(waypoint === selected ? null : waypoint)}
+      title="Show this path on the map"
+    >
+      {prefix}<strong>{waypoint.vertex.code || waypoint.vertex.name}</strong>
+      {' · '}{Math.round(waypoint.cost * 100) / 100}
+      <div style={styles.inspectorPath}>{pathSoFar(waypoint, backward.has(waypoint))}</div>
+    </button>
+  );
+
+  return (
+    <div style={styles.inspector}>
+      {queues.map(([title, queue]) => (
+        <div key={title} style={styles.inspectorColumn}>
+          <div style={styles.inspectorHeading}>{title} ({queue.length})</div>
+          {queue.length === 0 && <div style={styles.hintText}>Empty</div>}
+          {queue.map((waypoint, index) => entry(waypoint, index, `${index + 1}. `))}
+        </div>
+      ))}
+
+      <div style={styles.inspectorColumn}>
+        <div style={styles.inspectorHeading}>Changes this step</div>
+        {enqueued.map((waypoint, index) => entry(waypoint, `in-${index}`, '➕ '))}
+        {dequeued.map((waypoint, index) => entry(waypoint, `out-${index}`, '➖ '))}
+        {superseded.map((waypoint, index) => entry(waypoint, `old-${index}`, '♻️ '))}
+        {(step.skipped || []).map(name => (
+          <div key={name} style={styles.inspectorNote}>⏭️ {name} skipped, already visited</div>
+        ))}
+        {enqueued.length + dequeued.length + superseded.length + (step.skipped || []).length === 0 && (
+          <div style={styles.hintText}>No change</div>
+        )}
+      </div>
+
+      <div style={styles.inspectorColumn}>
+        <div style={styles.inspectorHeading}>Visited ({visited.length})</div>
+        <div style={styles.inspectorNote}>{visited.join(', ') || 'None yet'}</div>
+        {step.backward && (
+          <>
+            <div style={styles.inspectorHeading}>Backward visited ({backwardVisited.length})</div>
+            <div style={styles.inspectorNote}>{backwardVisited.join(', ') || 'None yet'}</div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// =============================================================================
+// PSEUDOCODE PANEL - The algorithm's listing with the current step's line lit
+// =============================================================================
+function PseudocodePanel({ lines, step }) {
+  const variables = {
+    current: step.current ? step.current.code || step.current.name : '—',
+    ...(step.currentCost !== undefined ? { cost: step.currentCost } : {}),
+    frontier: (step.queue ? step.queue.length : 0) + (step.backward ? step.backward.queue.length : 0),
+    visited: (step.visited ? step.visited.size : 0) + (step.backward ? step.backward.visited.size : 0),
+    ...(step.depthLimit !== undefined ? { limit: step.depthLimit } : {}),
+    ...step.variables
+  };
+
+  return (
+    <>
+      <div style={styles.pseudocode}>
+        {lines.map(([id, indent, text]) => (
+          <div
+            key={id}
+            style={{
+              ...styles.pseudocodeLine,
+              paddingLeft: `${12 + indent * 20}px`,
+              ...(step.line === id ? styles.pseudocodeActive : {})
+            }}
+          >
+            {text}
+          </div>
+        ))}
+      </div>
+      <div style={styles.variableList}>
+        {Object.entries(variables).map(([name, value]) => (
+          <span key={name} style={styles.variableChip}>
+            <strong>{name}</strong> = {String(value)}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+}
+
+// Flight-by-flight breakdown of one route's path metrics
+function RouteLegs({ metrics }) {
+  if (metrics.itinerary) {
+    return metrics.itinerary.map(({ leg, layoverHours }, index) => (
+      <div key={index}>
+        <div style={styles.legText}>
+          <strong>{leg.flight.number}</strong> {leg.from.code || leg.from.name} → {leg.to.code || leg.to.name}
+          {' · '}departs {formatLocalTime(leg.departure, leg.from.timezone)}
+          {' · '}arrives {formatLocalTime(leg.arrival, leg.to.timezone)} · ${leg.price}
+        </div>
+        {layoverHours !== null && (
+          <div style={styles.layoverText}>
+            ⏳ Layover at {leg.to.code || leg.to.name}: {formatDuration(layoverHours)}
+          </div>
+        )}
+      </div>
+    ));
+  }
+
+  return metrics.edges.map((edge, index) => (
+    <div key={index} style={styles.legText}>
+      {edge.from.code || edge.from.name} → {edge.to.code || edge.to.name}
+      {edge.airline && ` · ${edge.airline}`} · {edge.time}h · ${edge.price}
+    </div>
+  ));
+}
+
 // =============================================================================
 // MAIN COMPONENT
 // =============================================================================
 
+// Point-to-point searches offered by the algorithm selector. Each option is
+// a dropdown whose first choice is the default; search gives the graph's step
+// generator and its arguments as [method, ...args], weightOf names the weight
+// its alternative routes are ranked by and pseudocode is the listing its
+// steps refer to.
+const WEIGHT_OPTION = { name: 'weightType', label: 'Optimise', choices: [['price', 'Price'], ['time', 'Time']] };
+const HEURISTIC_OPTION = {
+  name: 'heuristicMode',
+  label: 'Heuristic',
+  choices: [['admissible', 'Admissible'], ['inadmissible', 'Inadmissible']]
+};
+
+const ALGORITHMS = [
+  {
+    id: 'ucs',
+    pseudocode: PSEUDOCODE.ucs,
+    label: '💰 Uniform Cost Search (Dijkstra)',
+    summary: 'Expands the cheapest route so far; always optimal.',
+    options: [WEIGHT_OPTION],
+    search: (start, dest, { weightType }) => ['ucsSteps', start, dest, weightType],
+    weightOf: ({ weightType }) => weightType
+  },
+  {
+    id: 'bfs',
+    pseudocode: PSEUDOCODE.bfs,
+    label: '🎯 Breadth-First Search',
+    summary: 'Explores layer by layer; finds the fewest stops.',
+    options: [],
+    search: (start, dest) => ['bfsSteps', start, dest],
+    weightOf: () => 'stops'
+  },
+  {
+    id: 'dfs',
+    pseudocode: PSEUDOCODE.dfs,
+    label: '🕳️ Depth-First Search',
+    summary: 'Follows each branch as deep as it goes; finds a route, not the best one.',
+    options: [],
+    search: (start, dest) => ['dfsSteps', start, dest],
+    weightOf: () => 'stops'
+  },
+  {
+    id: 'iddfs',
+    pseudocode: PSEUDOCODE.iddfs,
+    label: '🪜 Iterative Deepening DFS',
+    summary: 'Repeats a depth-limited DFS with a growing limit; finds the fewest stops in DFS memory.',
+    options: [],
+    search: (start, dest) => ['iterativeDeepeningSteps', start, dest],
+    weightOf: () => 'stops'
+  },
+  {
+    id: 'bidirectional-bfs',
+    pseudocode: PSEUDOCODE.bidirectionalBfs,
+    label: '⇄ Bidirectional BFS',
+    summary: 'Grows BFS from both ends until the frontiers meet.',
+    options: [],
+    search: (start, dest) => ['bidirectionalBfsSteps', start, dest],
+    weightOf: () => 'stops'
+  },
+  {
+    id: 'bidirectional-dijkstra',
+    pseudocode: PSEUDOCODE.bidirectionalDijkstra,
+    label: '⇄ Bidirectional Dijkstra',
+    summary: 'Runs Dijkstra from both ends and stops once no route can beat the best meeting.',
+    options: [WEIGHT_OPTION],
+    search: (start, dest, { weightType }) => ['bidirectionalDijkstraSteps', start, dest, weightType],
+    weightOf: ({ weightType }) => weightType
+  },
+  {
+    id: 'greedy',
+    pseudocode: PSEUDOCODE.greedy,
+    label: '🏹 Greedy Best-First',
+    summary: 'Always expands the airport nearest the destination; fast but not optimal.',
+    options: [WEIGHT_OPTION],
+    search: (start, dest, { weightType }) => ['greedyBestFirstSteps', start, dest, weightType],
+    weightOf: ({ weightType }) => weightType
+  },
+  {
+    id: 'astar',
+    pseudocode: PSEUDOCODE.astar,
+    label: '🧭 A* Search',
+    summary: 'Cost so far plus a great-circle estimate; optimal with an admissible heuristic.',
+    options: [WEIGHT_OPTION, HEURISTIC_OPTION],
+    search: (start, dest, { weightType, heuristicMode }) => ['aStarSteps', start, dest, weightType, heuristicMode],
+    weightOf: ({ weightType }) => weightType
+  }
+];
+
+function defaultAlgorithmOptions() {
+  return Object.fromEntries(ALGORITHMS.map(algorithm => [
+    algorithm.id,
+    Object.fromEntries(algorithm.options.map(option => [option.name, option.choices[0][0]]))
+  ]));
+}
+
+const EMPTY_CONSTRAINTS = {
+  maxStops: '',
+  maxPrice: '',
+  maxTime: '',
+  avoidAirports: [],
+  avoidRoutes: [],  // "A|B" unordered key pairs
+  via: []
+};
+
+// Blank inputs mean no limit
+function parseLimit(value) {
+  return value === '' ? Infinity : Number(value);
+}
+
+// Tomorrow at 08:00, in the format of <input type="datetime-local">
+function defaultDepartureTime() {
+  const tomorrow = new Date(Date.now() + DAY_MS);
+  const pad = n => String(n).padStart(2, '0');
+  return `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}T08:00`;
+}
+
+// Columns of the network analytics table, by the analyzeNetwork field they
+// show and sort on. The centralities can also size the airports on the map.
+const ANALYTICS_COLUMNS = [
+  { id: 'label', label: 'Airport', format: value => value },
+  { id: 'degree', label: 'Degree', format: value => String(value), metric: true },
+  { id: 'betweenness', label: 'Betweenness', format: value => value.toFixed(3), metric: true },
+  { id: 'closeness', label: 'Closeness', format: value => value.toFixed(3), metric: true },
+  { id: 'component', label: 'Component', format: value => `#${value + 1}` },
+  { id: 'articulation', label: 'Single point of failure', format: value => (value ? '⚠️ Yes' : '') }
+];
+
+function compareAnalytics(a, b, column) {
+  if (typeof a[column] === 'string') return a[column].localeCompare(b[column]);
+  return Number(a[column]) - Number(b[column]);
+}
+
+// Airports in the all-pairs heatmap; larger networks show their busiest
+const MATRIX_LIMIT = 100;
+
+// Steps are pulled from the search worker STEP_BATCH at a time, whenever
+// playback gets within STEP_LOOKAHEAD of the last one received
+const STEP_BATCH = 200;
+const STEP_LOOKAHEAD = 400;
+
 function FlightPlanner() {
   const [airports, setAirports] = useState([]);
+  const [routePairs, setRoutePairs] = useState([]);  // for the avoid-route list, updated with airports
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [startAirport, setStartAirport] = useState('');
@@ -407,144 +1097,839 @@ function FlightPlanner() {
   
   // Visualization state
   const [visualizing, setVisualizing] = useState(false);
-  const [algorithmSteps, setAlgorithmSteps] = useState([]);
+  const [search, setSearch] = useState(null);  // SearchSession streaming the steps played back
+  const [stepCount, setStepCount] = useState(0);  // steps received from it so far
+  const [searchStatus, setSearchStatus] = useState(null);  // 'running', 'done', 'cancelled' or 'failed'
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [speed, setSpeed] = useState(1000); // milliseconds per step
   const [finalResult, setFinalResult] = useState(null);
+  const [paretoRoutes, setParetoRoutes] = useState([]);  // path metrics plus the label
+  const [selectedParetoIndex, setSelectedParetoIndex] = useState(null);
+  const [alternativeWeight, setAlternativeWeight] = useState(null);  // weight of the last search
+  const [alternativeCount, setAlternativeCount] = useState(3);
+  const [alternatives, setAlternatives] = useState([]);  // path metrics plus the waypoint, best first
+  const [alternativesPending, setAlternativesPending] = useState(false);
+  const [alternativesError, setAlternativesError] = useState(null);
+  const [highlightedAlternatives, setHighlightedAlternatives] = useState([]);
+  const [inspectedWaypoint, setInspectedWaypoint] = useState(null);  // picked in the frontier inspector
+  const [pseudocode, setPseudocode] = useState(null);  // listing for the current steps, if any
+  const [constraintWeight, setConstraintWeight] = useState('price');
+  const [constraints, setConstraints] = useState(EMPTY_CONSTRAINTS);
+  const [viaCandidate, setViaCandidate] = useState('');
+  const [tourHome, setTourHome] = useState('');
+  const [tourCities, setTourCities] = useState([]);
+  const [tourWeight, setTourWeight] = useState('price');
+  const [returnFrom, setReturnFrom] = useState('');  // blank returns from the destination
+  const [tripWeight, setTripWeight] = useState('price');
+  const [stayLimits, setStayLimits] = useState({ minDays: '', maxDays: '' });
+  const [algorithmId, setAlgorithmId] = useState(ALGORITHMS[0].id);
+  const [algorithmOptions, setAlgorithmOptions] = useState(defaultAlgorithmOptions);
+  const [compareIds, setCompareIds] = useState(['bfs', 'ucs', 'astar']);
+  const [comparison, setComparison] = useState([]);  // one run per compared algorithm
+  const [comparisonStep, setComparisonStep] = useState(0);
+  const [comparisonPlaying, setComparisonPlaying] = useState(false);
+  const [comparisonStatus, setComparisonStatus] = useState(null);  // 'running', or 'failed' with comparisonError
+  const [comparisonError, setComparisonError] = useState(null);
+  const [allPairsWeight, setAllPairsWeight] = useState('price');
+  const [allPairs, setAllPairs] = useState(null);  // { airports, weightType, result }, with the result once it's done
+  const [matrixCell, setMatrixCell] = useState(null);  // [row, column] whose route is playing
+  const [analyticsShown, setAnalyticsShown] = useState(false);
+  const [analytics, setAnalytics] = useState(null);  // analyzeNetwork's last result
+  const [analyticsPending, setAnalyticsPending] = useState(false);
+  const [analyticsError, setAnalyticsError] = useState(null);
+  const [analyticsWeight, setAnalyticsWeight] = useState('stops');
+  const [analyticsMetric, setAnalyticsMetric] = useState('betweenness');  // sizes the airports on the map, or ''
+  const [analyticsSort, setAnalyticsSort] = useState({ column: 'betweenness', descending: true });
+  const [mapLayout, setMapLayout] = useState('force');
+  const [graphRevision, setGraphRevision] = useState(0);  // bumped by in-place edits to the graph
+  const [editing, setEditing] = useState(false);
+  const [editorSelection, setEditorSelection] = useState(null);  // see GraphVisualization's `selection`
+  const [editorForm, setEditorForm] = useState({});
+  const [editorError, setEditorError] = useState(null);
+  const [departureTime, setDepartureTime] = useState(defaultDepartureTime);
+  const [minConnection, setMinConnection] = useState(60);  // minutes
+  const [importError, setImportError] = useState(null);
+  const [networkFileError, setNetworkFileError] = useState(null);
+  const [priceModel, setPriceModel] = useState({
+    baseFare: DEFAULT_OPENFLIGHTS_OPTIONS.baseFare,
+    farePerKm: DEFAULT_OPENFLIGHTS_OPTIONS.farePerKm
+  });
+
+  // Searches run in a worker, which keeps its own copy of the graph
+  const searchClientRef = useRef(null);
+  function searchClient() {
+    if (!searchClientRef.current) searchClientRef.current = new SearchClient();
+    return searchClientRef.current;
+  }
 
+  // The bundled network, once. Its files are our CSVs, which the OpenFlights
+  // price model doesn't apply to.
   useEffect(() => {
+    let cancelled = false;
+    async function loadData() {
+      try {
+        const airportResponse = await fetch('/data/airports.csv');
+        const airportText = await airportResponse.text();
+
+        const routeResponse = await fetch('/data/routes.csv');
+        const routeText = await routeResponse.text();
+
+        // The schedule is optional; parseScheduleCSV ignores anything without its header
+        const scheduleResponse = await fetch('/data/schedule.csv');
+        const scheduleText = scheduleResponse.ok ? await scheduleResponse.text() : '';
+
+        const builtGraph = loadGraph(airportText, routeText, scheduleText);
+        if (cancelled) return;
+        setGraph(builtGraph);
+        setAirports(builtGraph.vertices.map(v => ({ key: v.key, label: v.label })));
+        setRoutePairs(routePairsOf(builtGraph));
+      } catch (err) {
+        if (cancelled) return;
+        setError('Failed to load data: ' + err.message);
+      }
+      setLoading(false);
+    }
+
     loadData();
+    return () => {
+      cancelled = true;
+      if (searchClientRef.current) searchClientRef.current.terminate();
+      searchClientRef.current = null;
+    };
   }, []);
 
-  // Auto-play animation
   useEffect(() => {
-    if (!isPlaying || currentStepIndex >= algorithmSteps.length - 1) {
+    if (graph) searchClient().setGraph(graph);
+  }, [graph, graphRevision]);
+
+  // Measured in the worker, and only while the analytics panel is open, as
+  // large networks take a while
+  useEffect(() => {
+    if (!graph || !analyticsShown) return;
+    let cancelled = false;
+    setAnalyticsPending(true);
+    setAnalyticsError(null);
+    searchClient().analyze(analyticsWeight)
+      .then(result => {
+        if (!cancelled) setAnalytics(result);
+      })
+      .catch(err => {
+        if (!cancelled) setAnalyticsError('Failed to analyze the network: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setAnalyticsPending(false);
+      });
+    return () => { cancelled = true; };
+  }, [graph, graphRevision, analyticsShown, analyticsWeight]);
+
+  // Alternatives for the weight the last search optimised, ranked in the
+  // worker once that search is done, as Yen's algorithm runs many Dijkstras.
+  // Edits change the graph in place, so graphRevision asks again after them.
+  useEffect(() => {
+    if (!graph || !alternativeWeight || searchStatus !== 'done') return;
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
+    if (!start || !dest) return;
+    let cancelled = false;
+    setAlternativesPending(true);
+    setAlternativesError(null);
+    searchClient().kShortestPaths(start, dest, alternativeCount, alternativeWeight)
+      .then(paths => {
+        if (!cancelled) setAlternatives(paths.map(waypoint => ({ ...calculatePathMetrics(waypoint), waypoint })));
+      })
+      .catch(err => {
+        if (!cancelled) setAlternativesError('Failed to rank alternative routes: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setAlternativesPending(false);
+      });
+    return () => { cancelled = true; };
+  }, [graph, graphRevision, startAirport, destAirport, alternativeWeight, alternativeCount, searchStatus]);
+
+  // Keep the search a few batches ahead of playback
+  useEffect(() => {
+    if (search && stepCount - currentStepIndex <= STEP_LOOKAHEAD) search.more(STEP_BATCH);
+  }, [search, stepCount, currentStepIndex]);
+
+  // Auto-play animation; at the last step received so far it waits for more
+  useEffect(() => {
+    const atLastStep = currentStepIndex >= stepCount - 1;
+    if (!isPlaying || (atLastStep && searchStatus !== 'running')) {
       setIsPlaying(false);
       return;
     }
+    if (atLastStep) return;
 
     const timer = setTimeout(() => {
       setCurrentStepIndex(prev => prev + 1);
     }, speed);
 
     return () => clearTimeout(timer);
-  }, [isPlaying, currentStepIndex, algorithmSteps.length, speed]);
+  }, [isPlaying, currentStepIndex, stepCount, searchStatus, speed]);
+
+  // Comparison runs share one step counter; shorter runs hold their last step
+  const comparisonLength = Math.max(0, ...comparison.map(run => run.history.length));
+  useEffect(() => {
+    if (!comparisonPlaying || comparisonStep >= comparisonLength - 1) {
+      setComparisonPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setComparisonStep(prev => prev + 1);
+    }, speed);
+
+    return () => clearTimeout(timer);
+  }, [comparisonPlaying, comparisonStep, comparisonLength, speed]);
+
+  async function importFiles(e) {
+    e.preventDefault();
+    const airportFile = e.target.elements.airportFile.files[0];
+    const routeFile = e.target.elements.routeFile.files[0];
+    const scheduleFile = e.target.elements.scheduleFile.files[0];
+    if (!airportFile || !routeFile) {
+      setImportError('Choose both an airports file and a routes file.');
+      return;
+    }
 
-  async function loadData() {
     try {
-      const airportResponse = await fetch('/data/airports.csv');
-      const airportText = await airportResponse.text();
-      const airportList = parseAirportsCSV(airportText);
-      setAirports(airportList);
-      
-      const routeResponse = await fetch('/data/routes.csv');
-      const routeText = await routeResponse.text();
-      const routeList = parseRoutesCSV(routeText);
-      
-      const builtGraph = buildGraph(airportList, routeList);
-      setGraph(builtGraph);
-      
-      setLoading(false);
+      const [airportText, routeText, scheduleText] = await Promise.all([
+        airportFile.text(),
+        routeFile.text(),
+        scheduleFile ? scheduleFile.text() : ''
+      ]);
+      const builtGraph = loadNetwork(airportText, routeText, scheduleText);
+      setImportError(null);
+      setStartAirport('');
+      setDestAirport('');
+      resetVisualization();
+      if (canUseGeographicLayout(builtGraph) && builtGraph.vertices.length > 50) {
+        setMapLayout('equirectangular');  // a force layout of thousands of airports is unreadable
+      }
     } catch (err) {
-      setError('Failed to load data: ' + err.message);
-      setLoading(false);
+      setImportError('Failed to import files: ' + err.message);
     }
   }
 
-  function parseAirportsCSV(text) {
-    return text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  // Builds the graph from either our CSV files or OpenFlights .dat dumps
+  function loadNetwork(airportText, routeText, scheduleText = '') {
+    const builtGraph = loadGraph(airportText, routeText, scheduleText, priceModel);
+    showNetwork(builtGraph);
+    return builtGraph;
   }
 
-  function parseRoutesCSV(text) {
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    const routeArray = [];
-    
-    for (let line of lines) {
-      const parts = line.split(',');
-      if (parts.length === 4) {
-        routeArray.push({
-          from: parseInt(parts[0]),
-          to: parseInt(parts[1]),
-          time: parseInt(parts[2]),
-          price: parseInt(parts[3])
-        });
-      }
+  function showNetwork(builtGraph) {
+    setGraph(builtGraph);
+    setComparison([]);
+    setAllPairs(null);
+    setEditorSelection(null);
+    setAirports(builtGraph.vertices.map(v => ({ key: v.key, label: v.label })));
+    setRoutePairs(routePairsOf(builtGraph));
+  }
+
+  // Downloads the network as our JSON format (with the current scenario),
+  // GraphML, or GeoJSON including the last path found
+  function exportNetwork(format) {
+    if (format === 'json') {
+      const scenario = {
+        algorithm: algorithmId,
+        options: algorithmOptions[algorithmId],
+        start: startAirport || null,
+        destination: destAirport || null
+      };
+      downloadFile('network.json', JSON.stringify(serializeNetwork(graph, scenario), null, 2), 'application/json');
+    } else if (format === 'graphml') {
+      downloadFile('network.graphml', networkToGraphML(graph), 'application/graphml+xml');
+    } else {
+      const lastStep = search && search.history.get(search.history.length - 1);
+      downloadFile('network.geojson', JSON.stringify(networkToGeoJSON(graph, lastStep?.found)), 'application/geo+json');
     }
-    return routeArray;
   }
 
-  function buildGraph(airportList, routeList) {
-    const g = new Graph();
-    const vertexArray = [];
-    
-    for (let i = 0; i < airportList.length; i++) {
-      const vertex = new Vertex(airportList[i], i);
-      vertexArray.push(vertex);
-      g.addVertex(vertex);
+  async function importNetworkFile(e) {
+    e.preventDefault();
+    const file = e.target.elements.networkFile.files[0];
+    if (!file) {
+      setNetworkFileError('Choose a network file.');
+      return;
     }
-    
-    for (let route of routeList) {
-      const fromVertex = vertexArray[route.from];
-      const toVertex = vertexArray[route.to];
-      g.addUndirectedEdge(fromVertex, toVertex, route.time, route.price);
+
+    try {
+      const { airports: airportList, routes, schedule, scenario } = parseNetworkJSON(await file.text());
+      const builtGraph = buildGraph(airportList, routes, schedule);
+      showNetwork(builtGraph);
+      setNetworkFileError(null);
+      resetVisualization();
+
+      // Restore the saved scenario as far as it still applies
+      const algorithm = scenario && ALGORITHMS.find(candidate => candidate.id === scenario.algorithm);
+      if (algorithm) {
+        setAlgorithmId(algorithm.id);
+        setAlgorithmOptions(previous => ({
+          ...previous,
+          [algorithm.id]: { ...previous[algorithm.id], ...scenario.options }
+        }));
+      }
+      setStartAirport(scenario && builtGraph.getVertexByKey(scenario.start) ? scenario.start : '');
+      setDestAirport(scenario && builtGraph.getVertexByKey(scenario.destination) ? scenario.destination : '');
+    } catch (err) {
+      setNetworkFileError('Failed to import network: ' + err.message);
     }
-    
-    return g;
   }
 
   function handleStartChange(e) {
     setStartAirport(e.target.value);
     resetVisualization();
+    setComparison([]);
   }
 
   function handleDestChange(e) {
     setDestAirport(e.target.value);
     resetVisualization();
+    setComparison([]);
   }
 
   function resetVisualization() {
+    if (search) search.cancel();
     setVisualizing(false);
-    setAlgorithmSteps([]);
+    setSearch(null);
+    setStepCount(0);
+    setSearchStatus(null);
     setCurrentStepIndex(0);
     setIsPlaying(false);
     setFinalResult(null);
+    setParetoRoutes([]);
+    setSelectedParetoIndex(null);
+    setAlternativeWeight(null);
+    setAlternatives([]);
+    setAlternativesPending(false);
+    setAlternativesError(null);
+    setHighlightedAlternatives([]);
+    setInspectedWaypoint(null);
+    setPseudocode(null);
+    setMatrixCell(null);
   }
 
-  function visualizeBFS() {
-    const start = graph.getVertexByName(startAirport);
-    const dest = graph.getVertexByName(destAirport);
-    
-    const { steps, finalWaypoint } = graph.bfsWithSteps(start, dest);
-    
-    setAlgorithmSteps(steps);
+  // Streams one of the graph's step generators, given as [method, ...args],
+  // into the playback. onResult gets what the search returns once its last
+  // step has arrived.
+  function startSearch([method, ...args], onResult) {
+    const session = searchClient().stream(method, args, {
+      onUpdate: updated => {
+        setStepCount(updated.history.length);
+        setSearchStatus(updated.status);
+        if (updated.status === 'done') onResult(updated.result);
+      }
+    });
+    setSearch(session);
+    setSearchStatus('running');
     setCurrentStepIndex(0);
     setVisualizing(true);
     setIsPlaying(true);
+  }
+
+  // Stops the worker; the steps it has sent can still be played back
+  function cancelSearch() {
+    search.cancel();
+    setSearchStatus('cancelled');
+  }
+
+  function visualizeAlgorithm() {
+    resetVisualization();
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
+    const algorithm = ALGORITHMS.find(candidate => candidate.id === algorithmId);
+    const options = algorithmOptions[algorithmId];
     
-    if (finalWaypoint) {
-      setFinalResult(calculatePathMetrics(finalWaypoint));
+    startSearch(algorithm.search(start, dest, options), ({ finalWaypoint }) => {
+      if (finalWaypoint) {
+        setFinalResult(calculatePathMetrics(finalWaypoint));
+      }
+    });
+    setAlternativeWeight(algorithm.weightOf(options));
+    setPseudocode(algorithm.pseudocode);
+  }
+
+  // Runs every chosen algorithm with the options last picked for it. The
+  // runtime is the worker's time spent searching. A search that fails, or is
+  // cancelled by a change to the network, fails the whole comparison.
+  async function runComparison() {
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
+    setComparison([]);
+    setComparisonStatus('running');
+    setComparisonError(null);
+
+    let runs;
+    try {
+      runs = await Promise.all(ALGORITHMS.filter(algorithm => compareIds.includes(algorithm.id)).map(async algorithm => {
+        const options = algorithmOptions[algorithm.id];
+        const [method, ...args] = algorithm.search(start, dest, options);
+        const { history, result: { finalWaypoint }, elapsed } = await searchClient().run(method, args);
+        return {
+          algorithm,
+          options,
+          history,
+          finalWaypoint,
+          metrics: finalWaypoint ? calculatePathMetrics(finalWaypoint) : null,
+          statistics: searchStatistics(history),
+          runtime: elapsed
+        };
+      }));
+    } catch (err) {
+      setComparisonStatus('failed');
+      setComparisonError(err.message);
+      return;
     }
+
+    setComparisonStatus(null);
+    setComparison(runs);
+    setComparisonStep(0);
+    setComparisonPlaying(true);
+  }
+
+  function updateAlgorithmOption(name, value) {
+    setAlgorithmOptions(previous => ({
+      ...previous,
+      [algorithmId]: { ...previous[algorithmId], [name]: value }
+    }));
+  }
+
+  // The picker's value is wall-clock time at the departure airport
+  function departureInstant(airport) {
+    const [date, clock] = departureTime.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    return zonedTimeToUtc({ year, month, day }, parseClockTime(clock), airport.timezone);
+  }
+
+  function visualizeEarliestArrival() {
+    resetVisualization();
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
+    
+    const options = { minConnectionMinutes: minConnection };
+    startSearch(['earliestArrivalSteps', start, dest, departureInstant(start), options], ({ finalWaypoint }) => {
+      if (finalWaypoint) {
+        setFinalResult(calculatePathMetrics(finalWaypoint));
+      }
+    });
+    setPseudocode(PSEUDOCODE.earliestArrival);
   }
 
-  function visualizeUCS(weightType) {
-    const start = graph.getVertexByName(startAirport);
-    const dest = graph.getVertexByName(destAirport);
+  function visualizePareto() {
+    resetVisualization();
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
     
-    const { steps, finalWaypoint } = graph.ucsWithSteps(start, dest, weightType);
+    startSearch(['paretoSteps', start, dest], ({ front }) => {
+      if (front.length > 0) {
+        const routes = front.map(label => ({ ...calculatePathMetrics(label), label }));
+        setParetoRoutes(routes);
+        setSelectedParetoIndex(0);
+        setFinalResult(routes[0]);
+      }
+    });
+    setPseudocode(PSEUDOCODE.pareto);
+  }
+
+  const selectParetoRoute = useCallback(index => {
+    setSelectedParetoIndex(index);
+    setFinalResult(paretoRoutes[index]);
+  }, [paretoRoutes]);
+
+  function visualizeConstrained() {
+    resetVisualization();
+    const start = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
     
-    setAlgorithmSteps(steps);
-    setCurrentStepIndex(0);
-    setVisualizing(true);
-    setIsPlaying(true);
+    const limits = {
+      maxStops: parseLimit(constraints.maxStops),
+      maxPrice: parseLimit(constraints.maxPrice),
+      maxTime: parseLimit(constraints.maxTime),
+      excludedAirports: new Set(constraints.avoidAirports),
+      // Avoiding a route blocks both directions
+      excludedLinks: new Set(constraints.avoidRoutes.flatMap(route => {
+        const [a, b] = route.split('|');
+        return [`${a}>${b}`, `${b}>${a}`];
+      })),
+      via: constraints.via
+    };
+    
+    startSearch(['constrainedSearchSteps', start, dest, constraintWeight, limits], ({ finalWaypoint }) => {
+      if (finalWaypoint) {
+        setFinalResult(calculatePathMetrics(finalWaypoint));
+      }
+    });
+    setPseudocode(PSEUDOCODE.constrained);
+  }
+
+  function visualizeTour() {
+    resetVisualization();
+    const home = graph.getVertexByKey(tourHome);
+    const cities = tourCities.map(key => graph.getVertexByKey(key));
     
-    if (finalWaypoint) {
-      setFinalResult(calculatePathMetrics(finalWaypoint));
+    startSearch(['tourSteps', home, cities, tourWeight], ({ finalWaypoint, plan }) => {
+      if (finalWaypoint) {
+        const legs = plan.legs.map(calculatePathMetrics);
+        setFinalResult({
+          ...calculatePathMetrics(finalWaypoint),
+          stops: legs.reduce((total, leg) => total + leg.stops, 0),  // connections, not the cities visited
+          tourLegs: legs
+        });
+      }
+    });
+    setPseudocode(PSEUDOCODE.tour);
+  }
+
+  function visualizeRoundTrip() {
+    resetVisualization();
+    const origin = graph.getVertexByKey(startAirport);
+    const dest = graph.getVertexByKey(destAirport);
+    const returnAirport = returnFrom ? graph.getVertexByKey(returnFrom) : dest;
+    
+    const options = {
+      departureTime: departureInstant(origin),
+      minConnectionMinutes: minConnection,
+      minStayHours: stayLimits.minDays === '' ? 0 : Number(stayLimits.minDays) * 24,
+      maxStayHours: parseLimit(stayLimits.maxDays) * 24
+    };
+    
+    startSearch(['roundTripSteps', origin, dest, returnAirport, tripWeight, options], showRoundTrip);
+    setPseudocode(tripWeight === 'schedule' ? PSEUDOCODE.earliestArrival : PSEUDOCODE.ucs);
+  }
+
+  // Every airport, or the busiest MATRIX_LIMIT of a larger network, in the
+  // network's order
+  function matrixAirports() {
+    if (graph.vertices.length <= MATRIX_LIMIT) return graph.vertices;
+    const busiest = new Set([...graph.vertices].sort((a, b) => b.edges.length - a.edges.length).slice(0, MATRIX_LIMIT));
+    return graph.vertices.filter(v => busiest.has(v));
+  }
+
+  function visualizeAllPairs() {
+    resetVisualization();
+    const matrixList = matrixAirports();
+    const weightType = allPairsWeight;
+
+    setAllPairs({ airports: matrixList, weightType, result: null });
+    startSearch(['allPairsSteps', weightType, matrixList], result => {
+      setAllPairs({ airports: matrixList, weightType, result });
+    });
+    setPseudocode(graph.vertices.length <= FLOYD_WARSHALL_LIMIT ? PSEUDOCODE.floydWarshall : PSEUDOCODE.repeatedDijkstra);
+  }
+
+  // Flies a heatmap cell's route on the map; the matrix stays as it is
+  function playMatrixRoute(row, column) {
+    const route = allPairs.result.routes[row][column];
+    resetVisualization();
+    setMatrixCell([row, column]);
+    startSearch(['routeSteps', route.getPath(), allPairs.weightType], ({ finalWaypoint }) => {
+      if (finalWaypoint) setFinalResult(calculatePathMetrics(finalWaypoint));
+    });
+    setPseudocode(PSEUDOCODE.route);
+  }
+
+  // Both legs as one itinerary, once the search has found them
+  function showRoundTrip({ outbound, inbound }) {
+    if (outbound && inbound) {
+      const legs = [outbound, inbound].map(waypoint => ({ ...calculatePathMetrics(waypoint), waypoint }));
+      const [there, back] = legs;
+      setFinalResult({
+        pathString: `${there.pathString}  ⇢  ${back.pathString}`,
+        edges: [...there.edges, ...back.edges],
+        itinerary: there.itinerary && back.itinerary && [...there.itinerary, ...back.itinerary],
+        time: Math.round((there.time + back.time) * 100) / 100,
+        price: there.price + back.price,
+        stops: there.stops + back.stops,
+        tripLegs: legs,
+        stayHours: there.itinerary && back.itinerary
+          ? Math.round((back.edges[0].departure - there.edges[there.edges.length - 1].arrival) / HOUR_MS * 100) / 100
+          : null
+      });
     }
   }
 
+  function updateConstraint(name, value) {
+    setConstraints(previous => ({ ...previous, [name]: value }));
+  }
+
+  // ===========================================================================
+  // NETWORK EDITOR - Changes the graph in place from the map's edit mode
+  // ===========================================================================
+
+  // Call after changing the graph in place: redraws the map, refreshes the
+  // airport lists and drops any visualization of the old network
+  function graphChanged() {
+    setGraphRevision(revision => revision + 1);
+    setAirports(graph.vertices.map(v => ({ key: v.key, label: v.label })));
+    setRoutePairs(routePairsOf(graph));
+    setComparison([]);
+    setAllPairs(null);
+    setEditorError(null);
+    resetVisualization();
+  }
+
+  function toggleEditing() {
+    setEditing(!editing);
+    setEditorSelection(null);
+    setEditorError(null);
+  }
+
+  function handleMapEdit(action) {
+    setEditorError(null);
+    if (action.type === 'add-airport') {
+      const [longitude, latitude] = action.coordinates || [];
+      setEditorSelection({ type: 'new-airport', position: action.position || null });
+      setEditorForm({
+        code: '',
+        name: '',
+        city: '',
+        latitude: latitude === undefined ? '' : latitude.toFixed(4),
+        longitude: longitude === undefined ? '' : longitude.toFixed(4)
+      });
+    } else if (action.type === 'move') {
+      if (action.coordinates) {
+        [action.vertex.longitude, action.vertex.latitude] = action.coordinates.map(value => Math.round(value * 10000) / 10000);
+      } else {
+        action.vertex.position = action.position;
+      }
+      graphChanged();
+      selectAirport(action.vertex);
+    } else if (action.type === 'connect') {
+      setEditorSelection({ type: 'new-route', from: action.from.key, to: action.to.key });
+      setEditorForm({ time: '', price: '', oneWay: false });
+    } else if (action.type === 'select-airport') {
+      selectAirport(action.vertex);
+    } else if (action.type === 'select-route') {
+      selectRoute(action.from, action.to);
+    }
+  }
+
+  function selectAirport(vertex) {
+    setEditorSelection({ type: 'airport', key: vertex.key });
+    setEditorForm({
+      name: vertex.name,
+      city: vertex.city || '',
+      latitude: vertex.latitude ?? '',
+      longitude: vertex.longitude ?? ''
+    });
+  }
+
+  // One row per flight between the pair, in either direction
+  function selectRoute(from, to) {
+    setEditorSelection({ type: 'route', from: from.key, to: to.key });
+    setEditorForm({
+      edges: graph.edgesBetween(from, to).map(edge => ({ time: edge.time, price: edge.price }))
+    });
+  }
+
+  function updateEditorForm(name, value) {
+    setEditorForm(form => ({ ...form, [name]: value }));
+  }
+
+  function updateEditorEdge(index, name, value) {
+    setEditorForm(form => ({
+      ...form,
+      edges: form.edges.map((edge, i) => (i === index ? { ...edge, [name]: value } : edge))
+    }));
+  }
+
+  function addAirport() {
+    const code = editorForm.code.trim().toUpperCase();
+    if (!/^[A-Z0-9]{3}$/.test(code)) {
+      setEditorError('Enter a three-letter airport code.');
+      return;
+    }
+    if (graph.getVertexByCode(code) || graph.getVertexByKey(code)) {
+      setEditorError(`There is already an airport ${code}.`);
+      return;
+    }
+
+    const vertex = new Vertex(editorForm.name.trim() || code, graph.vertices.length, {
+      code,
+      city: editorForm.city.trim(),
+      latitude: parseCoordinate(editorForm.latitude),
+      longitude: parseCoordinate(editorForm.longitude),
+      position: editorSelection.position
+    });
+    graph.addVertex(vertex);
+    graphChanged();
+    selectAirport(vertex);
+  }
+
+  // Airports without a code are keyed by their name, so renaming one gives
+  // it a new key, which must stay unique and replace the old one everywhere
+  function saveAirport() {
+    const key = editorSelection.key;
+    const vertex = graph.getVertexByKey(key);
+    const previousName = vertex.name;
+    vertex.name = editorForm.name.trim() || vertex.key;
+    if (vertex.key !== key && graph.vertices.some(other => other !== vertex && other.key === vertex.key)) {
+      setEditorError(`There is already an airport ${vertex.key}.`);
+      vertex.name = previousName;
+      return;
+    }
+
+    vertex.city = editorForm.city.trim() || null;
+    vertex.latitude = parseCoordinate(editorForm.latitude);
+    vertex.longitude = parseCoordinate(editorForm.longitude);
+    if (vertex.key !== key) {
+      rekeyAirport(key, vertex.key);
+      setEditorSelection({ ...editorSelection, key: vertex.key });
+    }
+    graphChanged();
+  }
+
+  // Follows a renamed airport wherever it was picked
+  function rekeyAirport(key, newKey) {
+    const rekey = k => (k === key ? newKey : k);
+    if (startAirport === key) setStartAirport(newKey);
+    if (destAirport === key) setDestAirport(newKey);
+    if (returnFrom === key) setReturnFrom(newKey);
+    if (tourHome === key) setTourHome(newKey);
+    if (viaCandidate === key) setViaCandidate(newKey);
+    setTourCities(keys => keys.map(rekey));
+    setConstraints(previous => ({
+      ...previous,
+      avoidAirports: previous.avoidAirports.map(rekey),
+      // Route pairs list their keys in order, as routePairsOf does
+      avoidRoutes: previous.avoidRoutes.map(route => route.split('|').map(rekey).sort().join('|')),
+      via: previous.via.map(rekey)
+    }));
+  }
+
+  function unpinAirport() {
+    graph.getVertexByKey(editorSelection.key).position = null;
+    graphChanged();
+  }
+
+  function deleteAirport() {
+    const key = editorSelection.key;
+    graph.removeVertex(graph.getVertexByKey(key));
+
+    // Forget it wherever it was picked
+    const without = keys => keys.filter(k => k !== key);
+    if (startAirport === key) setStartAirport('');
+    if (destAirport === key) setDestAirport('');
+    if (returnFrom === key) setReturnFrom('');
+    if (tourHome === key) setTourHome('');
+    if (viaCandidate === key) setViaCandidate('');
+    setTourCities(without);
+    setConstraints(previous => ({
+      ...previous,
+      avoidAirports: without(previous.avoidAirports),
+      avoidRoutes: previous.avoidRoutes.filter(route => !route.split('|').includes(key)),
+      via: without(previous.via)
+    }));
+    setEditorSelection(null);
+    graphChanged();
+  }
+
+  function addRoute() {
+    const time = parseFloat(editorForm.time);
+    const price = parseFloat(editorForm.price);
+    if (!(time > 0) || !(price >= 0)) {
+      setEditorError('Enter a flight time in hours and a price.');
+      return;
+    }
+
+    const from = graph.getVertexByKey(editorSelection.from);
+    const to = graph.getVertexByKey(editorSelection.to);
+    if (editorForm.oneWay) {
+      graph.addEdge(from, to, time, price);
+    } else {
+      graph.addUndirectedEdge(from, to, time, price);
+    }
+    graphChanged();
+    selectRoute(from, to);
+  }
+
+  function saveRoute() {
+    const values = editorForm.edges.map(edge => ({ time: parseFloat(edge.time), price: parseFloat(edge.price) }));
+    if (values.some(({ time, price }) => !(time > 0) || !(price >= 0))) {
+      setEditorError('Every flight needs a time in hours and a price.');
+      return;
+    }
+
+    const from = graph.getVertexByKey(editorSelection.from);
+    const to = graph.getVertexByKey(editorSelection.to);
+    graph.edgesBetween(from, to).forEach((edge, index) => Object.assign(edge, values[index]));
+    graphChanged();
+  }
+
+  // Removes one flight, or the whole route when index is omitted
+  function deleteRoute(index) {
+    const from = graph.getVertexByKey(editorSelection.from);
+    const to = graph.getVertexByKey(editorSelection.to);
+    const edges = graph.edgesBetween(from, to);
+    for (let edge of (index === undefined ? edges : [edges[index]])) {
+      graph.removeEdge(edge);
+    }
+    graphChanged();
+
+    if (graph.edgesBetween(from, to).length > 0) {
+      selectRoute(from, to);
+    } else {
+      setEditorSelection(null);
+    }
+  }
+
+  const hasCoordinates = canUseGeographicLayout(graph);
+  const tourReady = !!tourHome && tourCities.some(key => key !== tourHome);
+  const hasSchedule = !!graph && graph.hasSchedule();
   const isValid = startAirport && destAirport && startAirport !== destAirport;
-  const currentStep = algorithmSteps[currentStepIndex];
+  const tripReady = isValid && returnFrom !== startAirport && (tripWeight !== 'schedule' || hasSchedule);
+  const currentStep = search ? search.history.get(currentStepIndex) : undefined;
+  const selectedAlgorithm = ALGORITHMS.find(algorithm => algorithm.id === algorithmId);
+  const isComplete = searchStatus === 'done' && currentStepIndex === stepCount - 1;
+  const matrixStep = currentStep && currentStep.matrix ? currentStep : null;  // from an all-pairs run
+
+  const sortedAnalytics = useMemo(() => {
+    if (!analytics) return [];
+    const { column, descending } = analyticsSort;
+    return [...analytics.airports].sort((a, b) => (
+      (descending ? compareAnalytics(b, a, column) : compareAnalytics(a, b, column)) || a.label.localeCompare(b.label)
+    ));
+  }, [analytics, analyticsSort]);
+
+  const nodeMetric = useMemo(() => {
+    const column = ANALYTICS_COLUMNS.find(c => c.id === analyticsMetric);
+    if (!analytics || !analyticsShown || !column) return null;
+    return {
+      label: column.label,
+      values: new Map(analytics.airports.map(a => [a.key, a[column.id]])),
+      format: column.format
+    };
+  }, [analytics, analyticsShown, analyticsMetric]);
+
+  // A new column sorts names A to Z and numbers highest first; the same one flips
+  function sortAnalytics(column) {
+    setAnalyticsSort(sort => ({
+      column,
+      descending: sort.column === column ? !sort.descending : column !== 'label'
+    }));
+  }
+
+  const mapHighlights = useMemo(() => {
+    if (inspectedWaypoint) return [{ waypoint: inspectedWaypoint, color: '#FF9800' }];
+    if (!isComplete) return [];
+    if (selectedParetoIndex !== null && paretoRoutes[selectedParetoIndex]) {
+      return [{ waypoint: paretoRoutes[selectedParetoIndex].label, color: '#E91E63' }];
+    }
+    if (finalResult && finalResult.tripLegs) {
+      return finalResult.tripLegs.map((leg, index) => ({ waypoint: leg.waypoint, color: ALTERNATIVE_COLORS[index] }));
+    }
+    return highlightedAlternatives
+      .filter(index => index < alternatives.length)
+      .map(index => ({ waypoint: alternatives[index].waypoint, color: ALTERNATIVE_COLORS[index] }));
+  }, [inspectedWaypoint, isComplete, paretoRoutes, selectedParetoIndex, finalResult, alternatives, highlightedAlternatives]);
+
+  function toggleAlternative(index) {
+    setHighlightedAlternatives(highlighted => (
+      highlighted.includes(index) ? highlighted.filter(i => i !== index) : [...highlighted, index]
+    ));
+  }
 
   if (loading) {
     return (
@@ -572,12 +1957,224 @@ function FlightPlanner() {
       {/* Graph Visualization */}
       <div style={styles.visualizationContainer}>
         <h3 style={styles.visualizationTitle}>🗺️ Flight Network Map</h3>
+        <div style={styles.optionRow}>
+          <label style={{ fontSize: '14px' }}>Layout:</label>
+          <select
+            style={styles.speedSelect}
+            value={mapLayout}
+            onChange={(e) => setMapLayout(e.target.value)}
+          >
+            <option value="force">Network diagram</option>
+            <option value="equirectangular" disabled={!hasCoordinates}>Map (equirectangular)</option>
+            <option value="mercator" disabled={!hasCoordinates}>Map (Mercator)</option>
+            <option value="orthographic" disabled={!hasCoordinates}>Globe (orthographic)</option>
+          </select>
+          <button style={styles.controlButton} onClick={toggleEditing}>
+            {editing ? '✔️ Done Editing' : '✏️ Edit Network'}
+          </button>
+        </div>
         <GraphVisualization 
           graph={graph} 
           currentStep={currentStep}
+          highlights={mapHighlights}
+          layout={mapLayout}
           width={700}
           height={500}
+          onEdit={editing ? handleMapEdit : undefined}
+          selection={editing ? editorSelection : null}
+          revision={graphRevision}
+          nodeMetric={nodeMetric}
         />
+
+        {/* Network Editor */}
+        {editing && (
+          <div style={styles.editorPanel}>
+            <p style={styles.hintText}>
+              Click empty space to add an airport, drag an airport to {mapLayout === 'force' ? 'pin it in place' : 'move it'},
+              shift-drag from one airport to another to add a route, or click an airport or route to edit it.
+              Changes reset any running visualization.
+            </p>
+
+            {editorSelection && (editorSelection.type === 'new-airport' || editorSelection.type === 'airport') && (
+              <>
+                <h4 style={styles.editorHeading}>
+                  {editorSelection.type === 'new-airport' ? 'New airport' : graph.getVertexByKey(editorSelection.key).label}
+                </h4>
+                <div style={styles.constraintGrid}>
+                  {editorSelection.type === 'new-airport' && (
+                    <label style={styles.constraintLabel}>
+                      Code
+                      <input
+                        style={styles.numberInput}
+                        maxLength={3}
+                        value={editorForm.code}
+                        onChange={(e) => updateEditorForm('code', e.target.value)}
+                      />
+                    </label>
+                  )}
+                  <label style={styles.constraintLabel}>
+                    Name
+                    <input
+                      style={styles.textInput}
+                      value={editorForm.name}
+                      onChange={(e) => updateEditorForm('name', e.target.value)}
+                    />
+                  </label>
+                  <label style={styles.constraintLabel}>
+                    City
+                    <input
+                      style={styles.textInput}
+                      value={editorForm.city}
+                      onChange={(e) => updateEditorForm('city', e.target.value)}
+                    />
+                  </label>
+                  <label style={styles.constraintLabel}>
+                    Latitude
+                    <input
+                      type="number"
+                      step="any"
+                      style={styles.numberInput}
+                      value={editorForm.latitude}
+                      onChange={(e) => updateEditorForm('latitude', e.target.value)}
+                    />
+                  </label>
+                  <label style={styles.constraintLabel}>
+                    Longitude
+                    <input
+                      type="number"
+                      step="any"
+                      style={styles.numberInput}
+                      value={editorForm.longitude}
+                      onChange={(e) => updateEditorForm('longitude', e.target.value)}
+                    />
+                  </label>
+                </div>
+                {editorSelection.type === 'new-airport' ? (
+                  <div style={styles.optionRow}>
+                    <button style={styles.controlButton} onClick={addAirport}>Add Airport</button>
+                    <button style={styles.controlButton} onClick={() => setEditorSelection(null)}>Cancel</button>
+                  </div>
+                ) : (
+                  <div style={styles.optionRow}>
+                    <button style={styles.controlButton} onClick={saveAirport}>Save</button>
+                    {graph.getVertexByKey(editorSelection.key).position && (
+                      <button style={styles.controlButton} onClick={unpinAirport}>Unpin</button>
+                    )}
+                    <button style={{...styles.controlButton, ...styles.controlButtonDanger}} onClick={deleteAirport}>
+                      Delete Airport
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+
+            {editorSelection && editorSelection.type === 'new-route' && (
+              <>
+                <h4 style={styles.editorHeading}>New route {editorSelection.from} → {editorSelection.to}</h4>
+                <div style={styles.constraintGrid}>
+                  <label style={styles.constraintLabel}>
+                    Time (hours)
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      style={styles.numberInput}
+                      value={editorForm.time}
+                      onChange={(e) => updateEditorForm('time', e.target.value)}
+                    />
+                  </label>
+                  <label style={styles.constraintLabel}>
+                    Price ($)
+                    <input
+                      type="number"
+                      min="0"
+                      style={styles.numberInput}
+                      value={editorForm.price}
+                      onChange={(e) => updateEditorForm('price', e.target.value)}
+                    />
+                  </label>
+                  <label style={{...styles.constraintLabel, justifyContent: 'flex-end'}}>
+                    <span>
+                      <input
+                        type="checkbox"
+                        checked={editorForm.oneWay}
+                        onChange={(e) => updateEditorForm('oneWay', e.target.checked)}
+                      />
+                      {' '}One-way
+                    </span>
+                  </label>
+                </div>
+                <div style={styles.optionRow}>
+                  <button style={styles.controlButton} onClick={addRoute}>Add Route</button>
+                  <button style={styles.controlButton} onClick={() => setEditorSelection(null)}>Cancel</button>
+                </div>
+              </>
+            )}
+
+            {editorSelection && editorSelection.type === 'route' && (
+              <>
+                <h4 style={styles.editorHeading}>Route {editorSelection.from} ⇄ {editorSelection.to}</h4>
+                <table style={styles.comparisonTable}>
+                  <thead>
+                    <tr>
+                      <th style={styles.tableCell}>Flight</th>
+                      <th style={styles.tableCell}>Time (hours)</th>
+                      <th style={styles.tableCell}>Price ($)</th>
+                      <th style={styles.tableCell}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {graph.edgesBetween(graph.getVertexByKey(editorSelection.from), graph.getVertexByKey(editorSelection.to)).map((edge, index) => (
+                      <tr key={index}>
+                        <td style={styles.tableCell}>
+                          {edge.from.key} → {edge.to.key}{edge.airline && ` (${edge.airline})`}
+                        </td>
+                        <td style={styles.tableCell}>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.1"
+                            aria-label={`Time ${edge.from.key} to ${edge.to.key}`}
+                            style={styles.numberInput}
+                            value={editorForm.edges[index].time}
+                            onChange={(e) => updateEditorEdge(index, 'time', e.target.value)}
+                          />
+                        </td>
+                        <td style={styles.tableCell}>
+                          <input
+                            type="number"
+                            min="0"
+                            aria-label={`Price ${edge.from.key} to ${edge.to.key}`}
+                            style={styles.numberInput}
+                            value={editorForm.edges[index].price}
+                            onChange={(e) => updateEditorEdge(index, 'price', e.target.value)}
+                          />
+                        </td>
+                        <td style={styles.tableCell}>
+                          <button
+                            style={{...styles.controlButton, ...styles.controlButtonDanger}}
+                            onClick={() => deleteRoute(index)}
+                            title="Delete this flight"
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{...styles.optionRow, marginTop: '10px'}}>
+                  <button style={styles.controlButton} onClick={saveRoute}>Save</button>
+                  <button style={{...styles.controlButton, ...styles.controlButtonDanger}} onClick={() => deleteRoute()}>
+                    Delete Route
+                  </button>
+                </div>
+              </>
+            )}
+
+            {editorError && <p style={styles.errorText}>⚠️ {editorError}</p>}
+          </div>
+        )}
         
         {/* Legend */}
         <div style={styles.legend}>
@@ -593,29 +2190,124 @@ function FlightPlanner() {
             <div style={{...styles.legendDot, backgroundColor: '#FFC107'}}></div>
             <span>In Queue</span>
           </div>
+          {currentStep && currentStep.backward && (
+            <>
+              <div style={styles.legendItem}>
+                <div style={{...styles.legendDot, backgroundColor: '#9C27B0'}}></div>
+                <span>Visited (Backward)</span>
+              </div>
+              <div style={styles.legendItem}>
+                <div style={{...styles.legendDot, backgroundColor: '#CE93D8'}}></div>
+                <span>In Queue (Backward)</span>
+              </div>
+              <div style={styles.legendItem}>
+                <div style={{...styles.legendDot, backgroundColor: '#00BCD4'}}></div>
+                <span>Meeting Point</span>
+              </div>
+            </>
+          )}
           <div style={styles.legendItem}>
             <div style={{...styles.legendDot, backgroundColor: '#9E9E9E'}}></div>
             <span>Unvisited</span>
           </div>
+          <div style={styles.legendItem}>
+            <div style={styles.legendDash}></div>
+            <span>One-way Route</span>
+          </div>
+          {nodeMetric && (
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, background: 'linear-gradient(to right, #ffffcc, #fd8d3c, #800026)'}}></div>
+              <span>{nodeMetric.label}: low → high (size too)</span>
+            </div>
+          )}
         </div>
 
         {/* Algorithm Status */}
         {visualizing && currentStep && (
           <div style={styles.statusBox}>
             <div style={styles.statusText}>
-              <strong>Step {currentStepIndex + 1} of {algorithmSteps.length}:</strong> {currentStep.description}
+              <strong>Step {currentStepIndex + 1} of {stepCount}{searchStatus === 'running' && '+'}:</strong> {currentStep.description}
             </div>
             {currentStep.currentCost !== undefined && (
               <div style={styles.costDisplay}>Current Cost: {currentStep.currentCost}</div>
             )}
+            {currentStep.depthLimit !== undefined && (
+              <div style={styles.costDisplay}>Depth Limit: {currentStep.depthLimit}</div>
+            )}
             {currentStep.queue && currentStep.queue.length > 0 && (
               <div style={styles.queueDisplay}>
                 Queue size: {currentStep.queue.length}
+                {currentStep.backward && ` forward, ${currentStep.backward.queue.length} backward`}
+              </div>
+            )}
+            {currentStep.labels && currentStep.current && currentStep.labels.has(currentStep.current.key) && (
+              <div style={styles.queueDisplay}>
+                Labels at {currentStep.current.name}: {currentStep.labels.get(currentStep.current.key)
+                  .map(label => `($${label.price}, ${label.time}h, ${label.stops})`)
+                  .join(' ')}
+              </div>
+            )}
+            {currentStep.scores && currentStep.queue && currentStep.queue.length > 0 && (
+              <div style={styles.queueDisplay}>
+                Frontier (f = g + h): {currentStep.queue
+                  .map(wp => `${wp.vertex.name} ${wp.priority}`)
+                  .join(', ')}
               </div>
             )}
           </div>
-        )}
-      </div>
+        )}
+      </div>
+
+      {/* Frontier Inspector */}
+      {visualizing && currentStep && (
+        <div style={styles.visualizationContainer}>
+          <h3 style={styles.visualizationTitle}>🔍 Frontier Inspector</h3>
+          <FrontierInspector
+            step={currentStep}
+            previousStep={search.history.get(currentStepIndex - 1)}
+            selected={inspectedWaypoint}
+            onSelect={setInspectedWaypoint}
+          />
+        </div>
+      )}
+
+      {/* Pseudocode */}
+      {visualizing && currentStep && pseudocode && (
+        <div style={styles.visualizationContainer}>
+          <h3 style={styles.visualizationTitle}>📜 Pseudocode</h3>
+          <PseudocodePanel lines={pseudocode} step={currentStep} />
+        </div>
+      )}
+
+      {/* Search Tree */}
+      {visualizing && stepCount > 0 && (
+        <div style={styles.visualizationContainer}>
+          <h3 style={styles.visualizationTitle}>🌳 Search Tree</h3>
+          <SearchTree history={search.history} stepIndex={currentStepIndex} width={700} height={320} />
+          <div style={styles.legend}>
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, backgroundColor: '#FF6B6B'}}></div>
+              <span>Expanding</span>
+            </div>
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, backgroundColor: '#2196F3'}}></div>
+              <span>Expanded</span>
+            </div>
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, backgroundColor: '#FFC107'}}></div>
+              <span>In Queue</span>
+            </div>
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, backgroundColor: '#e0e0e0'}}></div>
+              <span>Superseded / Dead End</span>
+            </div>
+            <div style={styles.legendItem}>
+              <div style={{...styles.legendDot, backgroundColor: '#4CAF50'}}></div>
+              <span>Winning Branch</span>
+            </div>
+          </div>
+        </div>
+      )}
 
       {/* Controls */}
       <div style={styles.card}>
@@ -628,8 +2320,8 @@ function FlightPlanner() {
             disabled={isPlaying}
           >
             <option value="">-- Select departure --</option>
-            {airports.map((airport, index) => (
-              <option key={index} value={airport}>{airport}</option>
+            {airports.map(airport => (
+              <option key={airport.key} value={airport.key}>{airport.label}</option>
             ))}
           </select>
         </div>
@@ -643,8 +2335,8 @@ function FlightPlanner() {
             disabled={isPlaying}
           >
             <option value="">-- Select destination --</option>
-            {airports.map((airport, index) => (
-              <option key={index} value={airport}>{airport}</option>
+            {airports.map(airport => (
+              <option key={airport.key} value={airport.key}>{airport.label}</option>
             ))}
           </select>
         </div>
@@ -655,29 +2347,358 @@ function FlightPlanner() {
 
         {/* Algorithm Buttons */}
         <div style={styles.buttonGroup}>
+          <div style={styles.optionRow}>
+            <select
+              style={styles.speedSelect}
+              value={algorithmId}
+              onChange={(e) => setAlgorithmId(e.target.value)}
+              disabled={isPlaying}
+            >
+              {ALGORITHMS.map(algorithm => (
+                <option key={algorithm.id} value={algorithm.id}>{algorithm.label}</option>
+              ))}
+            </select>
+            {selectedAlgorithm.options.map(option => (
+              <select
+                key={option.name}
+                style={styles.speedSelect}
+                value={algorithmOptions[algorithmId][option.name]}
+                onChange={(e) => updateAlgorithmOption(option.name, e.target.value)}
+                disabled={isPlaying}
+                aria-label={option.label}
+              >
+                {option.choices.map(([value, label]) => (
+                  <option key={value} value={value}>{option.label}: {label}</option>
+                ))}
+              </select>
+            ))}
+          </div>
+          <p style={styles.hintText}>{selectedAlgorithm.summary}</p>
+
           <button
             style={{...styles.button, ...styles.buttonBlue, ...(isValid ? {} : styles.buttonDisabled)}}
-            onClick={() => visualizeUCS('price')}
+            onClick={visualizeAlgorithm}
             disabled={!isValid || isPlaying}
           >
-            💰 Visualize Cheapest (UCS)
+            ▶ Visualize {selectedAlgorithm.label}
           </button>
 
           <button
-            style={{...styles.button, ...styles.buttonGreen, ...(isValid ? {} : styles.buttonDisabled)}}
-            onClick={() => visualizeUCS('time')}
+            style={{...styles.button, ...styles.buttonPink, ...(isValid ? {} : styles.buttonDisabled)}}
+            onClick={visualizePareto}
             disabled={!isValid || isPlaying}
           >
-            ⚡ Visualize Fastest (UCS)
+            ⚖️ Visualize Price vs Time Trade-offs (Pareto)
           </button>
 
-          <button
-            style={{...styles.button, ...styles.buttonPurple, ...(isValid ? {} : styles.buttonDisabled)}}
-            onClick={visualizeBFS}
-            disabled={!isValid || isPlaying}
-          >
-            🎯 Visualize Fewest Stops (BFS)
-          </button>
+          {/* Constraint Panel */}
+          <details style={styles.constraintPanel}>
+            <summary style={styles.constraintSummary}>🚧 Constrained Route Search</summary>
+            <div style={styles.constraintGrid}>
+              <label style={styles.constraintLabel}>
+                Max stops
+                <input
+                  type="number"
+                  min="0"
+                  style={styles.numberInput}
+                  value={constraints.maxStops}
+                  onChange={(e) => updateConstraint('maxStops', e.target.value)}
+                  disabled={isPlaying}
+                />
+              </label>
+              <label style={styles.constraintLabel}>
+                Max price ($)
+                <input
+                  type="number"
+                  min="0"
+                  style={styles.numberInput}
+                  value={constraints.maxPrice}
+                  onChange={(e) => updateConstraint('maxPrice', e.target.value)}
+                  disabled={isPlaying}
+                />
+              </label>
+              <label style={styles.constraintLabel}>
+                Max time (h)
+                <input
+                  type="number"
+                  min="0"
+                  style={styles.numberInput}
+                  value={constraints.maxTime}
+                  onChange={(e) => updateConstraint('maxTime', e.target.value)}
+                  disabled={isPlaying}
+                />
+              </label>
+            </div>
+
+            <div style={styles.constraintGrid}>
+              <label style={styles.constraintLabel}>
+                Avoid airports
+                <select
+                  multiple
+                  style={styles.multiSelect}
+                  value={constraints.avoidAirports}
+                  onChange={(e) => updateConstraint('avoidAirports', [...e.target.selectedOptions].map(o => o.value))}
+                  disabled={isPlaying}
+                >
+                  {airports.map(airport => (
+                    <option key={airport.key} value={airport.key}>{airport.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={styles.constraintLabel}>
+                Avoid routes
+                <select
+                  multiple
+                  style={styles.multiSelect}
+                  value={constraints.avoidRoutes}
+                  onChange={(e) => updateConstraint('avoidRoutes', [...e.target.selectedOptions].map(o => o.value))}
+                  disabled={isPlaying}
+                >
+                  {routePairs.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div style={styles.optionRow}>
+              <label style={{ fontSize: '14px' }}>Must pass through:</label>
+              <select
+                style={styles.speedSelect}
+                value={viaCandidate}
+                onChange={(e) => setViaCandidate(e.target.value)}
+                disabled={isPlaying}
+              >
+                <option value="">-- Select airport --</option>
+                {airports.map(airport => (
+                  <option key={airport.key} value={airport.key}>{airport.label}</option>
+                ))}
+              </select>
+              <button
+                style={styles.controlButton}
+                onClick={() => {
+                  updateConstraint('via', [...constraints.via, viaCandidate]);
+                  setViaCandidate('');
+                }}
+                disabled={!viaCandidate || isPlaying}
+              >
+                Add
+              </button>
+            </div>
+            {constraints.via.length > 0 && (
+              <div style={styles.optionRow}>
+                {constraints.via.map((key, index) => (
+                  <button
+                    key={index}
+                    style={styles.viaChip}
+                    title="Remove"
+                    onClick={() => updateConstraint('via', constraints.via.filter((_, i) => i !== index))}
+                    disabled={isPlaying}
+                  >
+                    {index + 1}. {key} ✕
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div style={styles.optionRow}>
+              <select
+                style={styles.speedSelect}
+                value={constraintWeight}
+                onChange={(e) => setConstraintWeight(e.target.value)}
+                disabled={isPlaying}
+              >
+                <option value="price">Optimise price</option>
+                <option value="time">Optimise time</option>
+                <option value="stops">Optimise stops</option>
+              </select>
+              <button
+                style={styles.controlButton}
+                onClick={() => setConstraints(EMPTY_CONSTRAINTS)}
+                disabled={isPlaying}
+              >
+                Clear
+              </button>
+            </div>
+
+            <button
+              style={{...styles.button, ...styles.buttonBrown, width: '100%', ...(isValid ? {} : styles.buttonDisabled)}}
+              onClick={visualizeConstrained}
+              disabled={!isValid || isPlaying}
+            >
+              🚧 Visualize Constrained Route
+            </button>
+          </details>
+
+          {/* Multi-City Panel */}
+          <details style={styles.constraintPanel}>
+            <summary style={styles.constraintSummary}>🌍 Multi-City Trip</summary>
+            <div style={styles.constraintGrid}>
+              <label style={styles.constraintLabel}>
+                Home airport
+                <select
+                  style={styles.speedSelect}
+                  value={tourHome}
+                  onChange={(e) => setTourHome(e.target.value)}
+                  disabled={isPlaying}
+                >
+                  <option value="">-- Select home --</option>
+                  {airports.map(airport => (
+                    <option key={airport.key} value={airport.key}>{airport.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={styles.constraintLabel}>
+                Cities to visit
+                <select
+                  multiple
+                  style={styles.multiSelect}
+                  value={tourCities}
+                  onChange={(e) => setTourCities([...e.target.selectedOptions].map(o => o.value))}
+                  disabled={isPlaying}
+                >
+                  {airports.filter(airport => airport.key !== tourHome).map(airport => (
+                    <option key={airport.key} value={airport.key}>{airport.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={styles.constraintLabel}>
+                Optimise
+                <select
+                  style={styles.speedSelect}
+                  value={tourWeight}
+                  onChange={(e) => setTourWeight(e.target.value)}
+                  disabled={isPlaying}
+                >
+                  <option value="price">Price</option>
+                  <option value="time">Time</option>
+                  <option value="stops">Stops</option>
+                </select>
+              </label>
+            </div>
+            <p style={styles.hintText}>
+              Up to 12 cities are ordered exactly; larger trips use a nearest-neighbour tour improved by 2-opt.
+            </p>
+
+            <button
+              style={{...styles.button, ...styles.buttonIndigo, width: '100%', ...(tourReady ? {} : styles.buttonDisabled)}}
+              onClick={visualizeTour}
+              disabled={!tourReady || isPlaying}
+            >
+              🌍 Plan &amp; Animate Tour
+            </button>
+          </details>
+
+          {/* Round Trip Panel */}
+          <details style={styles.constraintPanel}>
+            <summary style={styles.constraintSummary}>🔁 Round Trip / Open Jaw</summary>
+            <div style={styles.constraintGrid}>
+              <label style={styles.constraintLabel}>
+                Return from
+                <select
+                  style={styles.speedSelect}
+                  value={returnFrom}
+                  onChange={(e) => setReturnFrom(e.target.value)}
+                  disabled={isPlaying}
+                >
+                  <option value="">Destination (round trip)</option>
+                  {airports.filter(airport => airport.key !== startAirport && airport.key !== destAirport).map(airport => (
+                    <option key={airport.key} value={airport.key}>{airport.label} (open jaw)</option>
+                  ))}
+                </select>
+              </label>
+              <label style={styles.constraintLabel}>
+                Optimise
+                <select
+                  style={styles.speedSelect}
+                  value={tripWeight}
+                  onChange={(e) => setTripWeight(e.target.value)}
+                  disabled={isPlaying}
+                >
+                  <option value="price">Price</option>
+                  <option value="time">Time</option>
+                  <option value="stops">Stops</option>
+                  {hasSchedule && <option value="schedule">Earliest arrival (schedule)</option>}
+                </select>
+              </label>
+              {tripWeight === 'schedule' && hasSchedule && (
+                <>
+                  <label style={styles.constraintLabel}>
+                    Min. stay (days)
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder="None"
+                      style={styles.numberInput}
+                      value={stayLimits.minDays}
+                      onChange={(e) => setStayLimits(limits => ({ ...limits, minDays: e.target.value }))}
+                      disabled={isPlaying}
+                    />
+                  </label>
+                  <label style={styles.constraintLabel}>
+                    Max. stay (days)
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder="No limit"
+                      style={styles.numberInput}
+                      value={stayLimits.maxDays}
+                      onChange={(e) => setStayLimits(limits => ({ ...limits, maxDays: e.target.value }))}
+                      disabled={isPlaying}
+                    />
+                  </label>
+                </>
+              )}
+            </div>
+            <p style={styles.hintText}>
+              Uses the From and To airports above. Returning from another city makes an open-jaw trip
+              {hasSchedule && '; scheduled trips depart at the time set below'}.
+            </p>
+
+            <button
+              style={{...styles.button, ...styles.buttonTeal, width: '100%', ...(tripReady ? {} : styles.buttonDisabled)}}
+              onClick={visualizeRoundTrip}
+              disabled={!tripReady || isPlaying}
+            >
+              🔁 Visualize Round Trip
+            </button>
+          </details>
+
+          {hasSchedule && (
+            <>
+              <div style={styles.optionRow}>
+                <label style={{ fontSize: '14px' }}>Depart:</label>
+                <input
+                  type="datetime-local"
+                  style={styles.speedSelect}
+                  value={departureTime}
+                  onChange={(e) => setDepartureTime(e.target.value)}
+                  disabled={isPlaying}
+                />
+                <label style={{ fontSize: '14px' }}>Min. connection:</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="5"
+                  style={styles.numberInput}
+                  value={minConnection}
+                  onChange={(e) => setMinConnection(Number(e.target.value))}
+                  disabled={isPlaying}
+                />
+                <span style={{ fontSize: '14px' }}>min</span>
+              </div>
+
+              <button
+                style={{...styles.button, ...styles.buttonTeal, ...(isValid && departureTime ? {} : styles.buttonDisabled)}}
+                onClick={visualizeEarliestArrival}
+                disabled={!isValid || !departureTime || isPlaying}
+              >
+                🕒 Visualize Earliest Arrival (Schedule)
+              </button>
+            </>
+          )}
         </div>
 
         {/* Playback Controls */}
@@ -700,8 +2721,8 @@ function FlightPlanner() {
             
             <button
               style={styles.controlButton}
-              onClick={() => setCurrentStepIndex(Math.min(algorithmSteps.length - 1, currentStepIndex + 1))}
-              disabled={currentStepIndex >= algorithmSteps.length - 1}
+              onClick={() => setCurrentStepIndex(Math.min(stepCount - 1, currentStepIndex + 1))}
+              disabled={currentStepIndex >= stepCount - 1}
             >
               ⏭️ Next
             </button>
@@ -731,10 +2752,42 @@ function FlightPlanner() {
             </div>
           </div>
         )}
+
+        {/* Search Progress */}
+        {visualizing && searchStatus !== 'done' && (
+          <div style={styles.searchProgress}>
+            {searchStatus === 'running' && (
+              <>
+                <progress style={styles.progressBar} />
+                <span>⏳ Searching… {stepCount} steps generated</span>
+                <button style={{...styles.controlButton, ...styles.controlButtonDanger}} onClick={cancelSearch}>
+                  ✖️ Cancel
+                </button>
+              </>
+            )}
+            {searchStatus === 'cancelled' && <span>✖️ Search cancelled after {stepCount} steps</span>}
+            {searchStatus === 'failed' && <span style={{ color: '#d32f2f' }}>⚠️ Search failed: {search.error.message}</span>}
+          </div>
+        )}
       </div>
 
+      {/* Pareto Front */}
+      {paretoRoutes.length > 0 && isComplete && (
+        <div style={styles.card}>
+          <h3 style={{ marginTop: 0 }}>⚖️ Pareto Front: {paretoRoutes.length} non-dominated route{paretoRoutes.length === 1 ? '' : 's'}</h3>
+          <p style={styles.hintText}>
+            No other route is cheaper, faster and has fewer stops at once. Click a point to show it on the map.
+          </p>
+          <ParetoChart
+            routes={paretoRoutes}
+            selectedIndex={selectedParetoIndex}
+            onSelect={selectParetoRoute}
+          />
+        </div>
+      )}
+
       {/* Final Results */}
-      {finalResult && currentStepIndex === algorithmSteps.length - 1 && (
+      {finalResult && isComplete && (
         <div style={styles.resultsCard}>
           <h2 style={styles.resultsTitle}>✅ Algorithm Complete!</h2>
           <div style={styles.pathDisplay}>
@@ -742,11 +2795,33 @@ function FlightPlanner() {
             <p style={{ fontSize: '18px', fontWeight: '600', color: '#333' }}>
               {finalResult.pathString}
             </p>
+            {finalResult.tourLegs && finalResult.tourLegs.map((leg, index) => (
+              <div key={index} style={styles.legText}>
+                <strong>Leg {index + 1}:</strong> {leg.pathString} · ${leg.price} · {leg.time}h · {leg.stops} stops
+              </div>
+            ))}
+            {finalResult.tripLegs && finalResult.tripLegs.map((leg, index) => (
+              <div key={index}>
+                <div style={styles.legText}>
+                  <strong>{index === 0 ? 'Outbound' : 'Return'}:</strong> {leg.pathString} · ${leg.price}
+                  {' · '}{leg.itinerary ? formatDuration(leg.time) : `${leg.time}h`} · {leg.stops} stops
+                </div>
+                <RouteLegs metrics={leg} />
+                {index === 0 && finalResult.stayHours !== null && (
+                  <div style={styles.layoverText}>
+                    🏨 Stay at destination: {formatDuration(finalResult.stayHours)}
+                  </div>
+                )}
+              </div>
+            ))}
+            {!finalResult.tourLegs && !finalResult.tripLegs && <RouteLegs metrics={finalResult} />}
           </div>
           <div style={styles.metricsGrid}>
             <div style={styles.metricBox}>
               <div style={styles.metricLabel}>Total Time</div>
-              <div style={styles.metricValue}>{finalResult.time}h</div>
+              <div style={styles.metricValue}>
+                {finalResult.itinerary ? formatDuration(finalResult.time) : `${finalResult.time}h`}
+              </div>
             </div>
             <div style={styles.metricBox}>
               <div style={styles.metricLabel}>Total Price</div>
@@ -757,8 +2832,399 @@ function FlightPlanner() {
               <div style={styles.metricValue}>{finalResult.stops}</div>
             </div>
           </div>
+
+          {alternativeWeight && (
+            <div style={styles.alternatives}>
+              <div style={styles.optionRow}>
+                <h3 style={{ margin: 0, fontSize: '16px', color: '#666' }}>
+                  🔀 Top Routes by {alternativeWeight === 'stops' ? 'Stops' : alternativeWeight === 'time' ? 'Time' : 'Price'}
+                </h3>
+                <select
+                  style={styles.speedSelect}
+                  value={alternativeCount}
+                  onChange={(e) => setAlternativeCount(Number(e.target.value))}
+                >
+                  {[2, 3, 4, 5, 6].map(k => (
+                    <option key={k} value={k}>Top {k}</option>
+                  ))}
+                </select>
+              </div>
+              {alternatives.map((route, index) => (
+                <button
+                  key={index}
+                  style={{
+                    ...styles.alternativeItem,
+                    borderColor: highlightedAlternatives.includes(index) ? ALTERNATIVE_COLORS[index] : '#ddd'
+                  }}
+                  onClick={() => toggleAlternative(index)}
+                >
+                  <span style={{ ...styles.legendDot, backgroundColor: ALTERNATIVE_COLORS[index] }}></span>
+                  <strong>#{index + 1}</strong>
+                  <span style={{ flex: 1, textAlign: 'left' }}>{route.pathString}</span>
+                  <span>${route.price} · {route.time}h · {route.stops} stops</span>
+                </button>
+              ))}
+              {alternativesError && <p style={styles.errorText}>⚠️ {alternativesError}</p>}
+              {alternativesPending && <p style={styles.hintText}>Ranking routes...</p>}
+            </div>
+          )}
         </div>
       )}
+
+      {/* Algorithm Comparison */}
+      <div style={styles.card}>
+        <h3 style={{ marginTop: 0 }}>🏁 Compare Algorithms</h3>
+        <p style={styles.hintText}>
+          Runs each chosen algorithm on the same From/To with the options last picked for it above, then plays them in step.
+        </p>
+        <div style={styles.optionRow}>
+          <select
+            multiple
+            style={styles.multiSelect}
+            value={compareIds}
+            onChange={(e) => setCompareIds([...e.target.selectedOptions].map(o => o.value))}
+            disabled={comparisonPlaying}
+          >
+            {ALGORITHMS.map(algorithm => (
+              <option key={algorithm.id} value={algorithm.id}>{algorithm.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          style={{...styles.button, ...styles.buttonGreen, width: '100%', ...(isValid && compareIds.length >= 2 && comparisonStatus !== 'running' ? {} : styles.buttonDisabled)}}
+          onClick={runComparison}
+          disabled={!isValid || compareIds.length < 2 || comparisonPlaying || comparisonStatus === 'running'}
+        >
+          {comparisonStatus === 'running' ? '⏳ Running...' : '🏁 Run Comparison'}
+        </button>
+        {comparisonStatus === 'failed' && (
+          <p style={{ color: '#d32f2f' }}>⚠️ Comparison failed: {comparisonError}</p>
+        )}
+
+        {comparison.length > 0 && (
+          <>
+            <div style={styles.playbackControls}>
+              <button
+                style={styles.controlButton}
+                onClick={() => setComparisonPlaying(!comparisonPlaying)}
+              >
+                {comparisonPlaying ? '⏸️ Pause' : '▶️ Play'}
+              </button>
+              <input
+                type="range"
+                min="0"
+                max={comparisonLength - 1}
+                value={comparisonStep}
+                onChange={(e) => {
+                  setComparisonPlaying(false);
+                  setComparisonStep(Number(e.target.value));
+                }}
+                style={{ flex: 1 }}
+                aria-label="Comparison step"
+              />
+              <span style={{ fontSize: '14px' }}>Step {comparisonStep + 1} of {comparisonLength}</span>
+            </div>
+
+            <div style={styles.comparisonGrid}>
+              {comparison.map(run => {
+                const index = Math.min(comparisonStep, run.history.length - 1);
+                const step = run.history.get(index);
+                return (
+                  <div key={run.algorithm.id} style={styles.comparisonPanel}>
+                    <strong style={{ fontSize: '14px' }}>{run.algorithm.label}</strong>
+                    <GraphVisualization
+                      graph={graph}
+                      currentStep={step}
+                      layout={mapLayout}
+                      width={310}
+                      height={240}
+                    />
+                    <div style={styles.hintText}>
+                      Step {index + 1} of {run.history.length}: {step.description}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <table style={styles.comparisonTable}>
+              <thead>
+                <tr>
+                  <th style={styles.tableCell}>Algorithm</th>
+                  <th style={styles.tableCell}>Nodes expanded</th>
+                  <th style={styles.tableCell}>Max frontier</th>
+                  <th style={styles.tableCell}>Path cost</th>
+                  <th style={styles.tableCell}>Price / time / stops</th>
+                  <th style={styles.tableCell}>Runtime</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map(run => (
+                  <tr key={run.algorithm.id}>
+                    <td style={styles.tableCell}>
+                      {run.algorithm.label}
+                      {run.algorithm.options.length > 0 && ` (${Object.values(run.options).join(', ')})`}
+                    </td>
+                    <td style={styles.tableCell}>{run.statistics.expanded}</td>
+                    <td style={styles.tableCell}>{run.statistics.maxFrontier}</td>
+                    <td style={styles.tableCell}>
+                      {run.finalWaypoint ? formatWeight(run.finalWaypoint.cost, run.algorithm.weightOf(run.options)) : 'No path'}
+                    </td>
+                    <td style={styles.tableCell}>
+                      {run.metrics && `$${run.metrics.price} · ${run.metrics.time}h · ${run.metrics.stops}`}
+                    </td>
+                    <td style={styles.tableCell}>{run.runtime.toFixed(2)} ms</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
+      {/* All-Pairs Matrix */}
+      <div style={styles.card}>
+        <h3 style={{ marginTop: 0 }}>🧮 All-Pairs Matrix</h3>
+        <p style={styles.hintText}>
+          The best price, time or number of flights between every two airports. Networks of up
+          to {FLOYD_WARSHALL_LIMIT} airports run Floyd–Warshall, one step per connecting airport k; larger ones run
+          Dijkstra from each of their {MATRIX_LIMIT} busiest airports. Click a cell to fly its route on the map.
+        </p>
+        <div style={styles.optionRow}>
+          <label style={{ fontSize: '14px' }}>
+            Best:{' '}
+            <select style={styles.speedSelect} value={allPairsWeight} onChange={(e) => setAllPairsWeight(e.target.value)}>
+              <option value="price">Price</option>
+              <option value="time">Time</option>
+              <option value="stops">Flights</option>
+            </select>
+          </label>
+          <button
+            style={{...styles.button, ...styles.buttonTeal, ...(graph.vertices.length > 1 ? {} : styles.buttonDisabled)}}
+            onClick={visualizeAllPairs}
+            disabled={graph.vertices.length < 2}
+          >
+            🧮 Compute All Pairs
+          </button>
+        </div>
+        {allPairs && (matrixStep || allPairs.result) && (
+          <MatrixHeatmap
+            airports={allPairs.airports}
+            matrix={matrixStep ? matrixStep.matrix : allPairs.result.costs}
+            weightType={allPairs.weightType}
+            updated={matrixStep ? matrixStep.updated : undefined}
+            pivot={matrixStep && matrixStep.current ? allPairs.airports.indexOf(matrixStep.current) : -1}
+            selected={matrixCell}
+            onSelect={allPairs.result ? playMatrixRoute : undefined}
+          />
+        )}
+        {allPairs && allPairs.result && (
+          <p style={styles.legText}>
+            {allPairs.result.method} · {allPairs.airports.length} airports
+            {allPairs.airports.length < graph.vertices.length && ` of ${graph.vertices.length}`}
+          </p>
+        )}
+      </div>
+
+      {/* Network Analytics */}
+      <div style={styles.card}>
+        <h3 style={{ marginTop: 0 }}>📊 Network Analytics</h3>
+        <p style={styles.hintText}>
+          How central each airport is, which airports and routes the network can't do without, and how far
+          apart airports are. Distances follow routes in the direction they're flown.
+        </p>
+        {!analyticsShown ? (
+          <button
+            style={{...styles.button, ...styles.buttonIndigo, width: '100%'}}
+            onClick={() => setAnalyticsShown(true)}
+          >
+            📊 Analyze Network
+          </button>
+        ) : (
+          <>
+            <div style={styles.optionRow}>
+              <label style={{ fontSize: '14px' }}>
+                Distances by:{' '}
+                <select style={styles.speedSelect} value={analyticsWeight} onChange={(e) => setAnalyticsWeight(e.target.value)}>
+                  <option value="stops">Flights</option>
+                  <option value="price">Price</option>
+                  <option value="time">Time</option>
+                </select>
+              </label>
+              <label style={{ fontSize: '14px' }}>
+                Size airports on the map by:{' '}
+                <select style={styles.speedSelect} value={analyticsMetric} onChange={(e) => setAnalyticsMetric(e.target.value)}>
+                  <option value="">Nothing</option>
+                  {ANALYTICS_COLUMNS.filter(column => column.metric).map(column => (
+                    <option key={column.id} value={column.id}>{column.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button style={styles.controlButton} onClick={() => setAnalyticsShown(false)}>
+                ✖️ Hide
+              </button>
+            </div>
+
+            {analyticsError && <p style={styles.errorText}>⚠️ {analyticsError}</p>}
+            {analyticsPending && <p style={styles.hintText}>Measuring the network...</p>}
+          </>
+        )}
+
+        {analyticsShown && analytics && (
+          <>
+            {analytics.sampled && (
+              <p style={styles.hintText}>
+                This network is large, so everything but degree and the connectivity figures is estimated from
+                routes out of {analytics.sampled} evenly spread airports.
+              </p>
+            )}
+
+            <div style={styles.metricsGrid}>
+              <div style={styles.metricBox}>
+                <div style={styles.metricLabel}>Components</div>
+                <div style={styles.metricValue}>{analytics.components.length}</div>
+                <div style={styles.legText}>{analytics.stronglyConnected.length} strongly connected</div>
+              </div>
+              <div style={styles.metricBox}>
+                <div style={styles.metricLabel}>Diameter</div>
+                <div style={styles.metricValue}>
+                  {analytics.diameter ? formatWeight(analytics.diameter.length, analytics.weightType) : '—'}
+                </div>
+                {analytics.diameter && (
+                  <div style={styles.legText}>{analytics.diameter.path.join(' → ')}</div>
+                )}
+              </div>
+              <div style={styles.metricBox}>
+                <div style={styles.metricLabel}>Average Path</div>
+                <div style={styles.metricValue}>
+                  {analytics.averagePathLength === null
+                    ? '—'
+                    : formatWeight(Math.round(analytics.averagePathLength * 100) / 100, analytics.weightType)}
+                </div>
+                <div style={styles.legText}>{Math.round(analytics.reachability * 100)}% of pairs connected</div>
+              </div>
+            </div>
+
+            <p style={styles.legText}>
+              <strong>Bridges</strong> (routes whose loss splits the network):{' '}
+              {analytics.bridges.length > 0 ? analytics.bridges.map(([a, b]) => `${a} ⇄ ${b}`).join(', ') : 'none'}
+            </p>
+            <p style={styles.legText}>
+              <strong>Articulation points</strong> (airports whose loss splits the network):{' '}
+              {analytics.articulationPoints.length > 0 ? analytics.articulationPoints.join(', ') : 'none'}
+            </p>
+
+            <table style={styles.comparisonTable} aria-label="Airport analytics">
+              <thead>
+                <tr>
+                  {ANALYTICS_COLUMNS.map(column => {
+                    const sorted = analyticsSort.column === column.id;
+                    return (
+                      <th
+                        key={column.id}
+                        style={styles.tableCell}
+                        aria-sort={sorted ? (analyticsSort.descending ? 'descending' : 'ascending') : 'none'}
+                      >
+                        <button style={styles.sortButton} onClick={() => sortAnalytics(column.id)}>
+                          {column.label}{sorted && (analyticsSort.descending ? ' ▼' : ' ▲')}
+                        </button>
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedAnalytics.map(airport => (
+                  <tr key={airport.key}>
+                    {ANALYTICS_COLUMNS.map(column => (
+                      <td key={column.id} style={styles.tableCell}>
+                        {column.format(airport[column.id])}
+                        {column.id === 'degree' && ` (${airport.outDegree} out, ${airport.inDegree} in)`}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
+      {/* Network Files */}
+      <form style={styles.card} onSubmit={importNetworkFile}>
+        <h3 style={{ marginTop: 0 }}>💾 Save or Share the Network</h3>
+        <p style={styles.hintText}>
+          JSON keeps everything, including pinned positions, the chosen algorithm and the From and To
+          airports, and can be imported again below. GraphML opens in tools like Gephi; GeoJSON holds the
+          airports, routes and the last path found.
+        </p>
+        <div style={styles.optionRow}>
+          <button type="button" style={styles.controlButton} onClick={() => exportNetwork('json')}>⬇️ JSON</button>
+          <button type="button" style={styles.controlButton} onClick={() => exportNetwork('graphml')}>⬇️ GraphML</button>
+          <button type="button" style={styles.controlButton} onClick={() => exportNetwork('geojson')}>⬇️ GeoJSON</button>
+        </div>
+        <div style={styles.inputGroup}>
+          <label style={styles.label} htmlFor="networkFile">Network file (JSON):</label>
+          <input id="networkFile" name="networkFile" type="file" accept=".json" disabled={isPlaying} />
+        </div>
+        {networkFileError && <p style={styles.errorText}>⚠️ {networkFileError}</p>}
+        <button
+          type="submit"
+          style={{...styles.button, ...styles.buttonBlue, width: '100%'}}
+          disabled={isPlaying}
+        >
+          Import Network File
+        </button>
+      </form>
+
+      {/* Data Import */}
+      <form style={styles.card} onSubmit={importFiles}>
+        <h3 style={{ marginTop: 0 }}>📂 Load Your Own Network</h3>
+        <p style={styles.hintText}>
+          Pick an airports and a routes file: either CSVs in the format of <code>public/data</code>,
+          or OpenFlights <code>airports.dat</code> and <code>routes.dat</code>.
+        </p>
+        <div style={styles.inputGroup}>
+          <label style={styles.label} htmlFor="airportFile">Airports file:</label>
+          <input id="airportFile" name="airportFile" type="file" accept=".csv,.dat,.txt" disabled={isPlaying} />
+        </div>
+        <div style={styles.inputGroup}>
+          <label style={styles.label} htmlFor="routeFile">Routes file:</label>
+          <input id="routeFile" name="routeFile" type="file" accept=".csv,.dat,.txt" disabled={isPlaying} />
+        </div>
+        <div style={styles.inputGroup}>
+          <label style={styles.label} htmlFor="scheduleFile">Schedule file (optional):</label>
+          <input id="scheduleFile" name="scheduleFile" type="file" accept=".csv,.txt" disabled={isPlaying} />
+        </div>
+        <div style={styles.optionRow}>
+          <label style={{ fontSize: '14px' }}>OpenFlights fares: $</label>
+          <input
+            type="number"
+            min="0"
+            style={styles.numberInput}
+            value={priceModel.baseFare}
+            onChange={(e) => setPriceModel({ ...priceModel, baseFare: Number(e.target.value) })}
+          />
+          <label style={{ fontSize: '14px' }}>base + $</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            style={styles.numberInput}
+            value={priceModel.farePerKm}
+            onChange={(e) => setPriceModel({ ...priceModel, farePerKm: Number(e.target.value) })}
+          />
+          <label style={{ fontSize: '14px' }}>per km</label>
+        </div>
+        {importError && <p style={styles.errorText}>⚠️ {importError}</p>}
+        <button
+          type="submit"
+          style={{...styles.button, ...styles.buttonBlue, width: '100%'}}
+          disabled={isPlaying}
+        >
+          Import Network
+        </button>
+      </form>
     </div>
   );
 }
@@ -819,6 +3285,10 @@ const styles = {
     borderRadius: '50%',
     border: '2px solid white',
   },
+  legendDash: {
+    width: '20px',
+    borderTop: '2px dashed #999',
+  },
   statusBox: {
     marginTop: '15px',
     padding: '15px',
@@ -897,6 +3367,28 @@ const styles = {
   buttonPurple: {
     backgroundColor: '#9C27B0',
   },
+  buttonOrange: {
+    backgroundColor: '#FF9800',
+  },
+  buttonPink: {
+    backgroundColor: '#E91E63',
+  },
+  buttonIndigo: {
+    backgroundColor: '#3F51B5',
+  },
+  buttonBrown: {
+    backgroundColor: '#795548',
+  },
+  buttonTeal: {
+    backgroundColor: '#009688',
+  },
+  optionRow: {
+    display: 'flex',
+    gap: '10px',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: '10px',
+  },
   buttonDisabled: {
     backgroundColor: '#ccc',
     cursor: 'not-allowed',
@@ -913,6 +3405,17 @@ const styles = {
     alignItems: 'center',
     justifyContent: 'center',
   },
+  editorPanel: {
+    marginTop: '15px',
+    padding: '15px',
+    border: '2px dashed #FF5722',
+    borderRadius: '8px',
+  },
+  editorHeading: {
+    margin: '10px 0 0 0',
+    textAlign: 'center',
+    color: '#333',
+  },
   controlButton: {
     padding: '10px 16px',
     fontSize: '14px',
@@ -924,10 +3427,186 @@ const styles = {
     cursor: 'pointer',
     transition: 'all 0.2s',
   },
+  controlButtonDanger: {
+    borderColor: '#f44336',
+    color: '#f44336',
+  },
   speedControl: {
     display: 'flex',
     alignItems: 'center',
   },
+  searchProgress: {
+    marginTop: '10px',
+    display: 'flex',
+    gap: '10px',
+    alignItems: 'center',
+    fontSize: '14px',
+    color: '#555',
+  },
+  progressBar: {
+    width: '120px',
+  },
+  pseudocode: {
+    padding: '10px 0',
+    backgroundColor: '#263238',
+    borderRadius: '8px',
+    fontFamily: 'Menlo, Consolas, monospace',
+    fontSize: '13px',
+    color: '#eceff1',
+  },
+  pseudocodeLine: {
+    padding: '3px 12px',
+    whiteSpace: 'pre-wrap',
+  },
+  pseudocodeActive: {
+    backgroundColor: '#FFC107',
+    color: '#263238',
+    fontWeight: 'bold',
+  },
+  variableList: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '10px',
+  },
+  variableChip: {
+    padding: '4px 10px',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '12px',
+    fontSize: '13px',
+  },
+  inspector: {
+    display: 'flex',
+    gap: '12px',
+    flexWrap: 'wrap',
+  },
+  inspectorColumn: {
+    flex: '1 1 200px',
+    maxHeight: '280px',
+    overflowY: 'auto',
+    padding: '10px',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '8px',
+    fontSize: '13px',
+  },
+  inspectorHeading: {
+    fontWeight: '600',
+    marginBottom: '6px',
+  },
+  inspectorEntry: {
+    display: 'block',
+    width: '100%',
+    padding: '4px 6px',
+    marginBottom: '4px',
+    fontSize: '12px',
+    textAlign: 'left',
+    backgroundColor: 'white',
+    border: '2px solid transparent',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  inspectorEntrySelected: {
+    borderColor: '#FF9800',
+  },
+  inspectorPath: {
+    color: '#666',
+    fontSize: '11px',
+  },
+  inspectorNote: {
+    fontSize: '12px',
+    color: '#666',
+    marginBottom: '4px',
+  },
+  comparisonGrid: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '10px',
+    justifyContent: 'center',
+    marginTop: '15px',
+  },
+  comparisonPanel: {
+    padding: '8px',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+    width: '320px',
+  },
+  comparisonTable: {
+    width: '100%',
+    marginTop: '15px',
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+  },
+  tableCell: {
+    padding: '6px',
+    borderBottom: '1px solid #eee',
+    textAlign: 'left',
+  },
+  sortButton: {
+    padding: 0,
+    font: 'inherit',
+    fontWeight: 'bold',
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+  },
+  constraintPanel: {
+    padding: '15px',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+  },
+  constraintSummary: {
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  constraintGrid: {
+    display: 'flex',
+    gap: '15px',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    margin: '15px 0',
+  },
+  constraintLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#333',
+  },
+  multiSelect: {
+    minWidth: '200px',
+    height: '110px',
+    padding: '6px',
+    border: '2px solid #ddd',
+    borderRadius: '6px',
+  },
+  viaChip: {
+    padding: '6px 10px',
+    fontSize: '13px',
+    border: '1px solid #795548',
+    borderRadius: '16px',
+    backgroundColor: '#efebe9',
+    cursor: 'pointer',
+  },
+  numberInput: {
+    width: '80px',
+    padding: '8px',
+    fontSize: '14px',
+    border: '2px solid #ddd',
+    borderRadius: '6px',
+  },
+  textInput: {
+    width: '160px',
+    padding: '8px',
+    fontSize: '14px',
+    border: '2px solid #ddd',
+    borderRadius: '6px',
+  },
+  hintText: {
+    fontSize: '14px',
+    color: '#666',
+    marginBottom: '20px',
+  },
   speedSelect: {
     padding: '8px',
     fontSize: '14px',
@@ -955,6 +3634,32 @@ const styles = {
     borderRadius: '8px',
     marginBottom: '20px',
   },
+  layoverText: {
+    fontSize: '13px',
+    color: '#FF9800',
+    margin: '4px 0 4px 16px',
+  },
+  legText: {
+    fontSize: '14px',
+    color: '#666',
+    marginTop: '4px',
+  },
+  alternatives: {
+    marginTop: '20px',
+  },
+  alternativeItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    width: '100%',
+    padding: '10px',
+    marginTop: '8px',
+    fontSize: '13px',
+    backgroundColor: 'white',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+    cursor: 'pointer',
+  },
   metricsGrid: {
     display: 'grid',
     gridTemplateColumns: 'repeat(3, 1fr)',
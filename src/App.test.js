@@ -1,8 +1,166 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, act, within, waitFor } from '@testing-library/react';
+import FlightPlanner from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// A small network where the cheapest way from Alpha to Delta is through Bravo,
+// served in place of public/data
+const DATA_FILES = {
+  '/data/airports.csv': [
+    'code,name,city,country,latitude,longitude,timezone',
+    'AAA,Alpha Airport,Alpha,Testland,10,10,UTC',
+    'BBB,Bravo Airport,Bravo,Testland,12,14,UTC',
+    'CCC,Charlie Airport,Charlie,Testland,8,15,UTC',
+    'DDD,Delta Airport,Delta,Testland,11,20,UTC'
+  ].join('\n'),
+  '/data/routes.csv': [
+    'from,to,time,price,airline,direction',
+    'AAA,BBB,2,100,XA,both',
+    'BBB,DDD,2,100,XA,both',
+    'AAA,CCC,1,150,XB,both',
+    'CCC,DDD,1,150,XB,both'
+  ].join('\n')
+};
+
+function respond(url, files = DATA_FILES) {
+  const text = files[url];
+  return Promise.resolve({
+    ok: text !== undefined,
+    text: () => Promise.resolve(text || ''),
+    json: () => (text ? Promise.resolve(JSON.parse(text)) : Promise.reject(new Error(`${url} not found`)))
+  });
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn(respond);
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.useRealTimers();
+});
+
+function airportSelect(placeholder) {
+  return screen.getAllByRole('combobox').find(select => within(select).queryByRole('option', { name: placeholder }));
+}
+
+test('loads the network and lists its airports', async () => {
+  render(<FlightPlanner />);
+  expect(screen.getByText('Loading data...')).toBeInTheDocument();
+
+  await screen.findByRole('option', { name: '-- Select departure --' });
+  const from = airportSelect('-- Select departure --');
+  expect(within(from).getAllByRole('option').map(option => option.textContent)).toEqual([
+    '-- Select departure --',
+    'Alpha (AAA)',
+    'Bravo (BBB)',
+    'Charlie (CCC)',
+    'Delta (DDD)'
+  ]);
+  expect(global.fetch).toHaveBeenCalledWith('/data/airports.csv');
+  expect(global.fetch).toHaveBeenCalledWith('/data/routes.csv');
+});
+
+test('reports data that cannot be loaded', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  render(<FlightPlanner />);
+  expect(await screen.findByText('Failed to load data: offline')).toBeInTheDocument();
+});
+
+test('plays a search through to its final route', async () => {
+  render(<FlightPlanner />);
+  const visualize = await screen.findByRole('button', { name: /^▶ Visualize/ });
+  expect(visualize).toBeDisabled();
+
+  // The search host gets the graph on a timer of its own; let it arrive
+  // before timers are faked
+  await act(() => new Promise(resolve => setTimeout(resolve)));
+  jest.useFakeTimers();
+  fireEvent.change(airportSelect('-- Select departure --'), { target: { value: 'AAA' } });
+  fireEvent.change(airportSelect('-- Select destination --'), { target: { value: 'DDD' } });
+  fireEvent.click(visualize);
+
+  // Steps stream in from the search, then play back a second apiece
+  for (let i = 0; i < 30 && !screen.queryByText('✅ Algorithm Complete!'); i++) {
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+  }
+
+  expect(screen.getByText('✅ Algorithm Complete!')).toBeInTheDocument();
+  expect(screen.getByText('Alpha (AAA) → Bravo (BBB) → Delta (DDD)', { selector: 'h3 + p' })).toBeInTheDocument();
+
+  // Ranked by the search host once the search was done
+  expect(screen.getAllByText(/^Alpha \(AAA\) → (Bravo|Charlie)/, { selector: 'span' }).map(span => span.textContent)).toEqual([
+    'Alpha (AAA) → Bravo (BBB) → Delta (DDD)',
+    'Alpha (AAA) → Charlie (CCC) → Delta (DDD)'
+  ]);
+});
+
+test('ranks airports in the analytics table by the column clicked', async () => {
+  render(<FlightPlanner />);
+  fireEvent.click(await screen.findByRole('button', { name: '📊 Analyze Network' }));
+  fireEvent.change(screen.getByRole('combobox', { name: 'Distances by:' }), { target: { value: 'price' } });
+
+  // Measured by the search host, which replies on a timer
+  const table = await screen.findByRole('table', { name: 'Airport analytics' });
+  const airportColumn = () => within(table).getAllByRole('row').slice(1)
+    .map(row => within(row).getAllByRole('cell')[0].textContent);
+
+  // Bravo is on the cheapest Alpha-Delta route; Alpha and Delta split Bravo-Charlie
+  await waitFor(() => expect(airportColumn()).toEqual(['Bravo (BBB)', 'Alpha (AAA)', 'Delta (DDD)', 'Charlie (CCC)']));
+  fireEvent.click(within(table).getByRole('button', { name: 'Betweenness ▼' }));
+  expect(airportColumn()).toEqual(['Charlie (CCC)', 'Alpha (AAA)', 'Delta (DDD)', 'Bravo (BBB)']);
+  fireEvent.click(within(table).getByRole('button', { name: 'Airport' }));
+  expect(airportColumn()).toEqual(['Alpha (AAA)', 'Bravo (BBB)', 'Charlie (CCC)', 'Delta (DDD)']);
+
+  expect(screen.getByText('(routes whose loss splits the network): none')).toBeInTheDocument();
+});
+
+test('fills the all-pairs matrix and flies a cell\'s route', async () => {
+  render(<FlightPlanner />);
+  const compute = await screen.findByRole('button', { name: '🧮 Compute All Pairs' });
+  await act(() => new Promise(resolve => setTimeout(resolve)));
+  jest.useFakeTimers();
+
+  const playThrough = async () => {
+    for (let i = 0; i < 30 && !screen.queryByText('✅ Algorithm Complete!'); i++) {
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+    }
+  };
+
+  fireEvent.click(compute);
+  await playThrough();
+  expect(screen.getByText('Floyd–Warshall · 4 airports')).toBeInTheDocument();
+
+  // Each cell's tooltip is a <title> inside it, and clicks on it reach the cell
+  fireEvent.click(screen.getByText('Alpha (AAA) → Delta (DDD): $200', { selector: 'title' }));
+  await playThrough();
+  expect(screen.getByText('Alpha (AAA) → Bravo (BBB) → Delta (DDD)', { selector: 'h3 + p' })).toBeInTheDocument();
+});
+
+test('renaming an airport keyed by its name follows it wherever it was picked', async () => {
+  // The old headerless format has no codes, so its airports are keyed by name
+  const legacyFiles = {
+    '/data/airports.csv': 'Alpha\nBravo\nCharlie',
+    '/data/routes.csv': '0,1,2,100\n1,2,2,100'
+  };
+  global.fetch = jest.fn(url => respond(url, legacyFiles));
+  render(<FlightPlanner />);
+  await screen.findByRole('option', { name: '-- Select departure --' });
+  fireEvent.change(airportSelect('-- Select departure --'), { target: { value: 'Alpha' } });
+
+  fireEvent.click(screen.getByRole('button', { name: '✏️ Edit Network' }));
+  fireEvent.click(screen.getByText('Alpha', { selector: 'text' }));
+  for (let name of ['Apex', 'Apex Field']) {
+    fireEvent.change(screen.getByRole('textbox', { name: 'Name' }), { target: { value: name } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+  }
+  expect(airportSelect('-- Select departure --')).toHaveValue('Apex Field');
+
+  // A name another airport is keyed by is refused
+  fireEvent.change(screen.getByRole('textbox', { name: 'Name' }), { target: { value: 'Bravo' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+  expect(screen.getByText('⚠️ There is already an airport Bravo.')).toBeInTheDocument();
+  expect(airportSelect('-- Select departure --')).toHaveValue('Apex Field');
 });
@@ -0,0 +1,320 @@
+import {
+  loadGraph,
+  collectSteps,
+  searchStatistics,
+  stepToJSON,
+  calculatePathMetrics,
+  zonedTimeToUtc,
+  formatLocalTime,
+  parseClockTime
+} from '../engine';
+
+// =============================================================================
+// COMMAND-LINE ROUTE PLANNER - bin/plan-route.js runs this under Node
+// =============================================================================
+// Loads a network, runs one search between two airports and prints the routes
+// it found as text or JSON. --trace writes every step as a JSON line (see
+// stepToJSON), so the same search always produces the same trace.
+// runCli takes its file access and output as `io`, which keeps it testable:
+//   { readFile(path), writeFile(path, text), stdout(text), stderr(text) }
+// =============================================================================
+
+export const USAGE = `Usage: plan-route [options] <from> <to>
+
+Finds a route between two airports, given by IATA or ICAO code.
+
+Options:
+  -a, --algorithm <id>        ucs (default), bfs, dfs, iddfs, bidirectional-bfs,
+                              bidirectional-dijkstra, greedy, astar, pareto,
+                              constrained or earliest
+  -w, --weight <weight>       price (default) or time; constrained also takes stops
+      --heuristic <mode>      admissible (default) or inadmissible, for astar
+  -d, --data <dir>            folder with airports.csv, routes.csv and, optionally,
+                              schedule.csv (default: public/data)
+      --airports <file>       airports file: our CSV or OpenFlights airports.dat
+      --routes <file>         routes file: our CSV or OpenFlights routes.dat
+      --schedule <file>       timetable, for earliest
+      --depart <time>         YYYY-MM-DDTHH:MM at <from>, for earliest
+      --min-connection <min>  shortest connection, for earliest (default 60)
+      --max-stops <n>         limits for constrained
+      --max-price <n>
+      --max-time <hours>
+      --avoid <codes>         comma-separated airports to avoid, for constrained
+      --via <codes>           comma-separated airports to pass through in order
+  -f, --format <format>       text (default) or json
+      --trace <file>          write every step as a line of JSON; "-" writes them
+                              to stdout in place of the routes
+  -h, --help                  show this help
+
+Exits with 0 when a route is found, 1 when there is none and 2 on bad input.`;
+
+// Each search's arguments after the two airports
+export const SEARCHES = {
+  ucs: { method: 'ucsSteps', args: options => [options.weight] },
+  bfs: { method: 'bfsSteps', args: () => [] },
+  dfs: { method: 'dfsSteps', args: () => [] },
+  iddfs: { method: 'iterativeDeepeningSteps', args: () => [] },
+  'bidirectional-bfs': { method: 'bidirectionalBfsSteps', args: () => [] },
+  'bidirectional-dijkstra': { method: 'bidirectionalDijkstraSteps', args: options => [options.weight] },
+  greedy: { method: 'greedyBestFirstSteps', args: options => [options.weight] },
+  astar: { method: 'aStarSteps', args: options => [options.weight, options.heuristic] },
+  pareto: { method: 'paretoSteps', args: () => [] },
+  constrained: {
+    method: 'constrainedSearchSteps',
+    args: options => [options.weight, {
+      maxStops: options.maxStops,
+      maxPrice: options.maxPrice,
+      maxTime: options.maxTime,
+      excludedAirports: new Set(options.avoid),
+      via: options.via
+    }]
+  },
+  earliest: {
+    method: 'earliestArrivalSteps',
+    args: (options, start) => [departureInstant(options.depart, start), { minConnectionMinutes: options.minConnection }]
+  }
+};
+
+class UsageError extends Error {}
+
+const DEFAULT_OPTIONS = {
+  algorithm: 'ucs',
+  weight: 'price',
+  heuristic: 'admissible',
+  data: 'public/data',
+  airports: null,
+  routes: null,
+  schedule: null,
+  depart: null,
+  minConnection: 60,
+  maxStops: Infinity,
+  maxPrice: Infinity,
+  maxTime: Infinity,
+  avoid: [],
+  via: [],
+  format: 'text',
+  trace: null,
+  help: false
+};
+
+// Option name -> [field, how to read its value]; flags take no value
+const OPTIONS = {
+  '--algorithm': ['algorithm', oneOf(Object.keys(SEARCHES))],
+  '--weight': ['weight', oneOf(['price', 'time', 'stops'])],
+  '--heuristic': ['heuristic', oneOf(['admissible', 'inadmissible'])],
+  '--data': ['data', String],
+  '--airports': ['airports', String],
+  '--routes': ['routes', String],
+  '--schedule': ['schedule', String],
+  '--depart': ['depart', String],
+  '--min-connection': ['minConnection', number],
+  '--max-stops': ['maxStops', number],
+  '--max-price': ['maxPrice', number],
+  '--max-time': ['maxTime', number],
+  '--avoid': ['avoid', codeList],
+  '--via': ['via', codeList],
+  '--format': ['format', oneOf(['text', 'json'])],
+  '--trace': ['trace', String]
+};
+const SHORT_OPTIONS = { '-a': '--algorithm', '-w': '--weight', '-d': '--data', '-f': '--format' };
+
+function oneOf(choices) {
+  return (value, name) => {
+    if (!choices.includes(value)) throw new UsageError(`${name} must be one of ${choices.join(', ')}`);
+    return value;
+  };
+}
+
+function number(value, name) {
+  const parsed = Number(value);
+  if (value === '' || !Number.isFinite(parsed) || parsed < 0) {
+    throw new UsageError(`${name} must be a number, not "${value}"`);
+  }
+  return parsed;
+}
+
+function codeList(value) {
+  return value.split(',').map(code => code.trim().toUpperCase()).filter(code => code.length > 0);
+}
+
+// Accepts "--name value", "--name=value" and the short forms
+export function parseArguments(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  const airports = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    let [name, value] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+    name = SHORT_OPTIONS[name] || name;
+
+    if (name === '-h' || name === '--help') {
+      options.help = true;
+    } else if (OPTIONS[name]) {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw new UsageError(`${name} needs a value`);
+        value = argv[++i];
+      }
+      const [field, read] = OPTIONS[name];
+      options[field] = read(value, name);
+    } else if (name.startsWith('-')) {
+      throw new UsageError(`Unknown option ${name}`);
+    } else {
+      airports.push(name);
+    }
+  }
+
+  if (options.help) return options;
+  if (airports.length !== 2) throw new UsageError('Give exactly two airports, <from> and <to>');
+  if (options.algorithm === 'earliest' && !options.depart) {
+    throw new UsageError('earliest needs a departure time (--depart YYYY-MM-DDTHH:MM)');
+  }
+  if (options.weight === 'stops' && options.algorithm !== 'constrained') {
+    throw new UsageError('--weight stops only applies to constrained; bfs finds the fewest flights');
+  }
+  if (Boolean(options.airports) !== Boolean(options.routes)) {
+    throw new UsageError('--airports and --routes go together');
+  }
+  [options.from, options.to] = airports;
+  return options;
+}
+
+// Wall-clock time at the departure airport, as for the page's picker
+function departureInstant(value, airport) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{1,2}:\d{2})$/.exec(value);
+  if (!match) throw new UsageError(`--depart must look like 2026-01-05T08:00, not "${value}"`);
+  const [, year, month, day, clock] = match;
+  const minutes = parseClockTime(clock);
+  if (minutes === null) throw new UsageError(`--depart has an invalid time "${clock}"`);
+  return zonedTimeToUtc({ year: Number(year), month: Number(month), day: Number(day) }, minutes, airport.timezone);
+}
+
+function loadNetwork(options, io) {
+  const read = (file, optional = false) => {
+    try {
+      return io.readFile(file);
+    } catch (err) {
+      if (optional) return '';
+      throw new UsageError(`Cannot read ${file}: ${err.message}`);
+    }
+  };
+
+  const airportFile = options.airports || `${options.data}/airports.csv`;
+  const routeFile = options.routes || `${options.data}/routes.csv`;
+  // A data folder's schedule is optional; named files come without one
+  let scheduleText = '';
+  if (options.schedule) scheduleText = read(options.schedule);
+  else if (!options.airports) scheduleText = read(`${options.data}/schedule.csv`, true);
+
+  try {
+    return loadGraph(read(airportFile), read(routeFile), scheduleText);
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`Cannot load the network: ${err.message}`);
+  }
+}
+
+function findAirport(graph, reference) {
+  const airport = graph.getVertexByCode(reference) ||
+    graph.getVertexByKey(reference) ||
+    graph.getVertexByName(reference);
+  if (!airport) throw new UsageError(`Unknown airport "${reference}"`);
+  return airport;
+}
+
+// Runs the search the options describe; routes are the waypoints it ended
+// with: one, none, or the whole Pareto front
+export function planRoute(graph, options) {
+  const start = findAirport(graph, options.from);
+  const destination = findAirport(graph, options.to);
+  for (let code of [...options.avoid, ...options.via]) findAirport(graph, code);
+  if (options.algorithm === 'earliest' && !graph.hasSchedule()) {
+    throw new UsageError('earliest needs a schedule (schedule.csv or --schedule)');
+  }
+
+  const search = SEARCHES[options.algorithm];
+  const args = search.args(options, start);
+  const { steps, finalWaypoint, front } = collectSteps(graph[search.method](start, destination, ...args));
+  const routes = front || (finalWaypoint ? [finalWaypoint] : []);
+  return { start, destination, steps, routes };
+}
+
+function describeRoute(waypoint) {
+  const metrics = calculatePathMetrics(waypoint);
+  return {
+    path: metrics.path.map(v => v.key),
+    pathString: metrics.pathString,
+    price: metrics.price,
+    time: metrics.time,
+    stops: metrics.stops,
+    legs: metrics.edges.map(stepToJSON)
+  };
+}
+
+function formatLeg(edge) {
+  const ends = `${edge.from.key} → ${edge.to.key}`;
+  if (edge.flight) {
+    return `${edge.flight.number} ${ends} · ${formatLocalTime(edge.departure, edge.from.timezone)}` +
+      ` → ${formatLocalTime(edge.arrival, edge.to.timezone)} · $${edge.price}`;
+  }
+  return [ends, edge.airline, `${edge.time}h`, `$${edge.price}`].filter(Boolean).join(' · ');
+}
+
+function formatText(options, { start, destination, steps, routes }) {
+  const statistics = searchStatistics(steps);
+  const lines = [];
+  if (routes.length === 0) lines.push(`No route from ${start.label} to ${destination.label}`, '');
+  routes.forEach((waypoint, index) => {
+    const metrics = calculatePathMetrics(waypoint);
+    if (routes.length > 1) lines.push(`Route ${index + 1} of ${routes.length}`);
+    lines.push(metrics.pathString);
+    lines.push(...metrics.edges.map(edge => `  ${formatLeg(edge)}`));
+    lines.push(`Total: $${metrics.price} · ${metrics.time}h · ${metrics.stops} stops`, '');
+  });
+  lines.push(`${options.algorithm}: ${steps.length} steps, ${statistics.expanded} expanded, largest frontier ${statistics.maxFrontier}`);
+  return lines.join('\n') + '\n';
+}
+
+function formatJSON(options, { start, destination, steps, routes }) {
+  return JSON.stringify({
+    algorithm: options.algorithm,
+    from: start.key,
+    to: destination.key,
+    found: routes.length > 0,
+    routes: routes.map(describeRoute),
+    statistics: { steps: steps.length, ...searchStatistics(steps) }
+  }, null, 2) + '\n';
+}
+
+function writeTrace(file, trace, io) {
+  try {
+    io.writeFile(file, trace);
+  } catch (err) {
+    throw new UsageError(`Cannot write ${file}: ${err.message}`);
+  }
+}
+
+// Returns the exit code
+export function runCli(argv, io) {
+  try {
+    const options = parseArguments(argv);
+    if (options.help) {
+      io.stdout(USAGE + '\n');
+      return 0;
+    }
+
+    const graph = loadNetwork(options, io);
+    const planned = planRoute(graph, options);
+
+    const trace = options.trace && planned.steps.map(step => JSON.stringify(stepToJSON(step)) + '\n').join('');
+    if (options.trace === '-') {
+      io.stdout(trace);
+    } else {
+      if (options.trace) writeTrace(options.trace, trace, io);
+      io.stdout(options.format === 'json' ? formatJSON(options, planned) : formatText(options, planned));
+    }
+    return planned.routes.length > 0 ? 0 : 1;
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    io.stderr(`plan-route: ${err.message}\n`);
+    return 2;
+  }
+}
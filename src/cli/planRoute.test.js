@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { loadGraph, collectSteps, stepToJSON } from '../engine';
+import { runCli, parseArguments, USAGE } from './planRoute';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+
+// Runs the CLI against public/data, collecting what it prints and writes
+function run(...argv) {
+  const output = { stdout: '', stderr: '', files: {} };
+  output.code = runCli(['--data', dataDir, ...argv], {
+    readFile: file => fs.readFileSync(file, 'utf8'),
+    writeFile: (file, text) => { output.files[file] = text; },
+    stdout: text => { output.stdout += text; },
+    stderr: text => { output.stderr += text; }
+  });
+  return output;
+}
+
+const graph = loadGraph(...['airports.csv', 'routes.csv', 'schedule.csv'].map(name => fs.readFileSync(path.join(dataDir, name), 'utf8')));
+
+test('prints the cheapest itinerary by default', () => {
+  const { code, stdout, stderr } = run('SFO', 'syd');
+  expect(code).toBe(0);
+  expect(stderr).toBe('');
+  expect(stdout).toBe([
+    'San Francisco (SFO) → New York (JFK) → Paris (CDG) → Sydney (SYD)',
+    '  SFO → JFK · B6 · 6h · $380',
+    '  JFK → CDG · DL · 8h · $480',
+    '  CDG → SYD · QF · 17h · $1200',
+    'Total: $2060 · 31h · 2 stops',
+    '',
+    'ucs: 15 steps, 7 expanded, largest frontier 5',
+    ''
+  ].join('\n'));
+});
+
+test('prints JSON with the routes, legs and search statistics', () => {
+  const { code, stdout } = run('--algorithm=bfs', '--format', 'json', 'KSFO', 'SYD');
+  expect(code).toBe(0);
+  expect(JSON.parse(stdout)).toEqual({
+    algorithm: 'bfs',
+    from: 'SFO',
+    to: 'SYD',
+    found: true,
+    routes: [{
+      path: ['SFO', 'JFK', 'SYD'],
+      pathString: 'San Francisco (SFO) → New York (JFK) → Sydney (SYD)',
+      price: 3480,
+      time: 46,
+      stops: 1,
+      legs: [
+        { from: 'SFO', to: 'JFK', airline: 'B6', time: 6, price: 380 },
+        { from: 'JFK', to: 'SYD', airline: 'QF', time: 40, price: 3100 }
+      ]
+    }],
+    statistics: expect.objectContaining({ steps: expect.any(Number), expanded: expect.any(Number) })
+  });
+});
+
+test('lists the whole Pareto front', () => {
+  const { stdout } = run('-a', 'pareto', '-f', 'json', 'SFO', 'SYD');
+  const { routes } = JSON.parse(stdout);
+  const front = collectSteps(graph.paretoSteps(graph.getVertexByCode('SFO'), graph.getVertexByCode('SYD'))).front;
+  expect(routes.map(route => route.path)).toEqual(front.map(label => label.getPath().map(v => v.key)));
+});
+
+test('plans timetabled journeys from a local departure time', () => {
+  const { code, stdout } = run('-a', 'earliest', '--depart', '2026-01-05T06:00', 'SFO', 'CDG');
+  expect(code).toBe(0);
+  expect(stdout).toMatch(/^ {2}UA107 SFO → JFK · Mon, Jan 5, 07:45 → Mon, Jan 5, 16:45 · \$450$/m);
+});
+
+test('applies the constrained search limits', () => {
+  const { stdout } = run('-a', 'constrained', '--avoid', 'cdg,jnb', '--max-stops', '1', '-f', 'json', 'SFO', 'SYD');
+  expect(JSON.parse(stdout).routes[0].path).toEqual(['SFO', 'JFK', 'SYD']);
+});
+
+test('exits with 1 when there is no route', () => {
+  const { code, stdout } = run('-a', 'constrained', '--avoid', 'JFK', 'SFO', 'SYD');
+  expect(code).toBe(1);
+  expect(stdout).toMatch(/^No route from San Francisco \(SFO\) to Sydney \(SYD\)\n/);
+});
+
+describe('step traces', () => {
+  test('have one JSON line per step, the same on every run', () => {
+    const first = run('--trace', 'trace.jsonl', '-a', 'astar', 'SFO', 'HND');
+    const second = run('--trace', 'trace.jsonl', '-a', 'astar', 'SFO', 'HND');
+    const lines = first.files['trace.jsonl'].trimEnd().split('\n');
+
+    const { steps } = collectSteps(graph.aStarSteps(graph.getVertexByCode('SFO'), graph.getVertexByCode('HND')));
+    expect(lines.map(line => JSON.parse(line))).toEqual(steps.map(step => JSON.parse(JSON.stringify(stepToJSON(step)))));
+    expect(second.files['trace.jsonl']).toBe(first.files['trace.jsonl']);
+    expect(first.stdout).toMatch(/^San Francisco \(SFO\)/);
+  });
+
+  test('are not written unless asked for', () => {
+    expect(run('-a', 'astar', 'SFO', 'HND').files).toEqual({});
+  });
+
+  test('go to stdout in place of the routes with "-"', () => {
+    const { stdout } = run('--trace', '-', '-a', 'bfs', 'SFO', 'JFK');
+    const lines = stdout.trimEnd().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toEqual({
+      current: null,
+      queue: [{ path: ['SFO'], cost: 0 }],
+      visited: ['SFO'],
+      exploring: [],
+      line: 'init',
+      description: 'Starting BFS from San Francisco International Airport'
+    });
+    expect(lines[lines.length - 1].found).toEqual({ path: ['SFO', 'JFK'], cost: 1 });
+  });
+});
+
+describe('bad input', () => {
+  test.each([
+    [['SFO'], 'Give exactly two airports, <from> and <to>'],
+    [['--speed', '9', 'SFO', 'SYD'], 'Unknown option --speed'],
+    [['-a', 'dijkstra', 'SFO', 'SYD'], '--algorithm must be one of ucs, bfs, dfs'],
+    [['--max-price', 'lots', '-a', 'constrained', 'SFO', 'SYD'], '--max-price must be a number, not "lots"'],
+    [['-a', 'earliest', 'SFO', 'SYD'], 'earliest needs a departure time'],
+    [['-a', 'earliest', '--depart', 'tomorrow', 'SFO', 'SYD'], '--depart must look like 2026-01-05T08:00'],
+    [['-w', 'stops', 'SFO', 'SYD'], '--weight stops only applies to constrained'],
+    [['SFO', 'LAX'], 'Unknown airport "LAX"'],
+    [['--via', 'XYZ', '-a', 'constrained', 'SFO', 'SYD'], 'Unknown airport "XYZ"'],
+    [['--airports', 'nowhere.csv', 'SFO', 'SYD'], '--airports and --routes go together'],
+    [['--data', '/nonexistent', 'SFO', 'SYD'], 'Cannot read /nonexistent/airports.csv'],
+    [['SFO', 'SYD', '--format'], '--format needs a value']
+  ])('%j is refused', (argv, message) => {
+    const { code, stdout, stderr } = run(...argv);
+    expect(code).toBe(2);
+    expect(stdout).toBe('');
+    expect(stderr).toContain(`plan-route: ${message}`);
+  });
+
+  test('routes that name unknown airports are reported', () => {
+    const files = { 'airports.csv': 'code,name\nSFO,San Francisco', 'routes.csv': 'from,to,time,price\nSFO,LAX,1,100' };
+    const stderr = jest.fn();
+    const code = runCli(['--airports', 'airports.csv', '--routes', 'routes.csv', 'SFO', 'LAX'], {
+      readFile: file => files[file],
+      stdout: jest.fn(),
+      stderr
+    });
+    expect(code).toBe(2);
+    expect(stderr).toHaveBeenCalledWith('plan-route: Cannot load the network: Route references unknown airport "LAX"\n');
+  });
+});
+
+test('--help prints the usage', () => {
+  expect(run('--help')).toMatchObject({ code: 0, stdout: USAGE + '\n' });
+});
+
+test('later options override earlier ones', () => {
+  expect(parseArguments(['-f', 'json', '--format=text', 'A', 'B'])).toMatchObject({ format: 'text', from: 'A', to: 'B' });
+});
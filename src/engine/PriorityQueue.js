@@ -0,0 +1,113 @@
+// =============================================================================
+// PRIORITY QUEUE - Binary min-heap with decrease-key
+// =============================================================================
+// Items are identified by keyOf(item), so each key appears at most once.
+// Offering a key that is already queued keeps whichever item compares lower,
+// which is the decrease-key step Dijkstra-style searches need.
+// =============================================================================
+
+export default class PriorityQueue {
+  constructor(compare = (a, b) => a - b, keyOf = item => item) {
+    this.compare = compare;
+    this.keyOf = keyOf;
+    this.heap = [];
+    this.positions = new Map();  // key -> index in heap
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  has(key) {
+    return this.positions.has(key);
+  }
+
+  get(key) {
+    const index = this.positions.get(key);
+    return index === undefined ? undefined : this.heap[index];
+  }
+
+  peek() {
+    return this.heap[0];
+  }
+
+  // Adds the item, or replaces the queued item with the same key if this one
+  // has higher priority. Returns 'added', 'updated' or null if it was ignored.
+  offer(item) {
+    const key = this.keyOf(item);
+    const index = this.positions.get(key);
+
+    if (index === undefined) {
+      this.heap.push(item);
+      this.positions.set(key, this.heap.length - 1);
+      this.siftUp(this.heap.length - 1);
+      return 'added';
+    }
+
+    if (this.compare(item, this.heap[index]) < 0) {
+      this.heap[index] = item;
+      this.siftUp(index);
+      return 'updated';
+    }
+
+    return null;
+  }
+
+  pop() {
+    if (this.heap.length === 0) return undefined;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    this.positions.delete(this.keyOf(top));
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.positions.set(this.keyOf(last), 0);
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  // Snapshot of the queued items in priority order; the heap is untouched
+  toSortedArray() {
+    return [...this.heap].sort(this.compare);
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(this.heap[index], this.heap[parent]) >= 0) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
+      if (right < length && this.compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
+      if (smallest === index) break;
+
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+
+  swap(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    this.heap[i] = b;
+    this.heap[j] = a;
+    this.positions.set(this.keyOf(b), i);
+    this.positions.set(this.keyOf(a), j);
+  }
+}
@@ -0,0 +1,101 @@
+import PriorityQueue from './PriorityQueue';
+
+// Queued items are { key, cost }, one per key, cheapest first
+function costQueue() {
+  return new PriorityQueue((a, b) => a.cost - b.cost, item => item.key);
+}
+
+function popAll(queue) {
+  const items = [];
+  while (!queue.isEmpty()) items.push(queue.pop());
+  return items;
+}
+
+// Small deterministic generator so failures can be replayed
+function randomNumbers(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+test('an empty queue has nothing to give', () => {
+  const queue = costQueue();
+  expect(queue.isEmpty()).toBe(true);
+  expect(queue.size).toBe(0);
+  expect(queue.peek()).toBeUndefined();
+  expect(queue.pop()).toBeUndefined();
+  expect(queue.has('A')).toBe(false);
+  expect(queue.get('A')).toBeUndefined();
+  expect(queue.toSortedArray()).toEqual([]);
+});
+
+test('a cheaper offer for a queued key replaces it and moves it up', () => {
+  const queue = costQueue();
+  expect(queue.offer({ key: 'A', cost: 5 })).toBe('added');
+  expect(queue.offer({ key: 'B', cost: 3 })).toBe('added');
+  expect(queue.offer({ key: 'C', cost: 4 })).toBe('added');
+
+  expect(queue.offer({ key: 'A', cost: 1 })).toBe('updated');
+  expect(queue.size).toBe(3);
+  expect(queue.get('A')).toEqual({ key: 'A', cost: 1 });
+  expect(queue.peek()).toEqual({ key: 'A', cost: 1 });
+  expect(popAll(queue).map(item => item.key)).toEqual(['A', 'B', 'C']);
+});
+
+test('an offer that does not improve a queued key is ignored', () => {
+  const queue = costQueue();
+  queue.offer({ key: 'A', cost: 2 });
+  queue.offer({ key: 'B', cost: 3 });
+
+  expect(queue.offer({ key: 'A', cost: 7 })).toBeNull();
+  expect(queue.offer({ key: 'A', cost: 2, tag: 'same cost' })).toBeNull();
+  expect(queue.get('A')).toEqual({ key: 'A', cost: 2 });
+  expect(queue.size).toBe(2);
+});
+
+test('a key can be queued again once it has been popped', () => {
+  const queue = costQueue();
+  queue.offer({ key: 'A', cost: 2 });
+  queue.pop();
+  expect(queue.has('A')).toBe(false);
+  expect(queue.offer({ key: 'A', cost: 9 })).toBe('added');
+  expect(queue.pop()).toEqual({ key: 'A', cost: 9 });
+});
+
+test('pops in order after random offers and decrease-keys', () => {
+  const random = randomNumbers(42);
+  const queue = costQueue();
+  const best = new Map();
+
+  for (let i = 0; i < 500; i++) {
+    const key = Math.floor(random() * 120);
+    const cost = Math.floor(random() * 1000);
+    queue.offer({ key, cost });
+    if (!(best.get(key) <= cost)) best.set(key, cost);
+
+    // Pop now and then, so the heap shrinks as well as grows
+    if (i % 7 === 6) best.delete(queue.pop().key);
+  }
+
+  const expected = [...best].map(([key, cost]) => ({ key, cost })).sort((a, b) => a.cost - b.cost);
+  expect(queue.toSortedArray().map(item => item.cost)).toEqual(expected.map(item => item.cost));
+
+  const popped = popAll(queue);
+  expect(popped.map(item => item.cost)).toEqual(expected.map(item => item.cost));
+  expect(new Map(popped.map(item => [item.key, item.cost]))).toEqual(best);
+});
+
+test('ties are broken by the comparator alone', () => {
+  const queue = new PriorityQueue((a, b) => a.cost - b.cost || a.key.localeCompare(b.key), item => item.key);
+  for (let key of ['D', 'B', 'E', 'A', 'C']) queue.offer({ key, cost: 1 });
+  queue.offer({ key: 'Z', cost: 0 });
+  expect(popAll(queue).map(item => item.key)).toEqual(['Z', 'A', 'B', 'C', 'D', 'E']);
+});
+
+test('defaults to a queue of plain numbers', () => {
+  const queue = new PriorityQueue();
+  for (let n of [5, 1, 4, 1, 3]) queue.offer(n);
+  expect(popAll(queue)).toEqual([1, 3, 4, 5]);
+});
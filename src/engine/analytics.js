@@ -0,0 +1,335 @@
+import PriorityQueue from './PriorityQueue';
+
+// =============================================================================
+// NETWORK ANALYTICS - Centrality, connectivity and distances
+// =============================================================================
+// Shortest paths follow routes in the direction they're flown, weighted by
+// stops, price or time, with parallel flights counting as their best.
+// Components, bridges and articulation points (the single points of failure)
+// treat each airport pair with a route either way as one undirected link, as
+// the network diagram draws it.
+//
+// Every airport is a source up to EXACT_ANALYTICS_LIMIT airports. Larger
+// networks, like a full OpenFlights import, are measured from an evenly spaced
+// sample of ANALYTICS_SAMPLE_SIZE sources instead: betweenness is scaled up
+// from the sampled paths, closeness uses the distances to the sampled
+// airports, and the diameter and average path length cover sampled pairs.
+// =============================================================================
+
+export const EXACT_ANALYTICS_LIMIT = 500;
+export const ANALYTICS_SAMPLE_SIZE = 200;
+
+// Path costs within this of each other are equal, so sums of fractional
+// flight times still tie
+const EPSILON = 1e-9;
+
+export function analyzeNetwork(graph, weightType = 'stops', options = {}) {
+  const { exactLimit = EXACT_ANALYTICS_LIMIT, sampleSize = ANALYTICS_SAMPLE_SIZE } = options;
+  const vertices = graph.vertices;
+  const n = vertices.length;
+  const { outgoing, incoming, neighbours } = adjacency(graph, weightType);
+
+  const sources = n > exactLimit ? sampleSources(n, sampleSize) : vertices.map((v, index) => index);
+  const sampled = sources.length < n;
+
+  const betweenness = new Float64Array(n);
+  const closeness = new Float64Array(n);
+  let pathTotal = 0;
+  let reachablePairs = 0;
+  let diameter = null;
+
+  // Brandes: one shortest-path tree per source, then each airport's share of
+  // the paths through it, added up from the far end of the tree back
+  for (let source of sources) {
+    const { distance, paths, predecessors, order } = shortestPathTree(outgoing, source);
+    const dependency = new Float64Array(n);
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      for (let v of predecessors[w]) dependency[v] += paths[v] / paths[w] * (1 + dependency[w]);
+      betweenness[w] += dependency[w];
+    }
+
+    let reached = 0;
+    let total = 0;
+    for (let target = 0; target < n; target++) {
+      if (target === source || distance[target] === Infinity) continue;
+      reached++;
+      total += distance[target];
+      if (!diameter || distance[target] > diameter.length + EPSILON) {
+        diameter = { length: distance[target], source, target, predecessors };
+      }
+    }
+    closeness[source] = closenessOf(reached, total, n - 1);
+    pathTotal += total;
+    reachablePairs += reached;
+  }
+  if (sampled) closeness.set(sampledCloseness(incoming, sources, n));
+
+  // Normalised by the n - 1 ordered pairs each airport could be between
+  const pairScale = n > 2 ? (n / sources.length) / ((n - 1) * (n - 2)) : 0;
+  const weak = weakComponents(neighbours);
+  const strong = stronglyConnectedComponents(outgoing);
+  const { bridges, articulation } = bridgesAndArticulationPoints(neighbours);
+  const keyOf = index => vertices[index].key;
+
+  return {
+    weightType,
+    sampled: sampled ? sources.length : false,
+    airports: vertices.map((vertex, index) => ({
+      key: vertex.key,
+      label: vertex.label,
+      degree: neighbours[index].length,
+      outDegree: outgoing[index].length,
+      inDegree: incoming[index].length,
+      betweenness: betweenness[index] * pairScale,
+      closeness: closeness[index],
+      component: weak.componentOf[index],
+      articulation: articulation[index]
+    })),
+    components: weak.components.map(component => component.map(keyOf)),
+    stronglyConnected: strong.map(component => component.map(keyOf)),
+    bridges: bridges.map(pair => pair.map(keyOf).sort()).sort((a, b) => a.join().localeCompare(b.join())),
+    articulationPoints: articulation.flatMap((isArticulation, index) => (isArticulation ? [keyOf(index)] : [])),
+    diameter: diameter && {
+      length: diameter.length,
+      from: keyOf(diameter.source),
+      to: keyOf(diameter.target),
+      path: treePath(diameter.predecessors, diameter.target).map(keyOf)
+    },
+    averagePathLength: reachablePairs > 0 ? pathTotal / reachablePairs : null,
+    // Share of the (sampled) ordered pairs with any route between them
+    reachability: n > 1 ? reachablePairs / (sources.length * (n - 1)) : 1
+  };
+}
+
+// By vertex index: the best weight to each airport flown to and from, and
+// the distinct airports linked either way
+function adjacency(graph, weightType) {
+  const n = graph.vertices.length;
+  const outgoing = Array.from({ length: n }, () => new Map());
+  const incoming = Array.from({ length: n }, () => new Map());
+  const linked = Array.from({ length: n }, () => new Set());
+
+  const indexOf = new Map(graph.vertices.map((vertex, index) => [vertex, index]));
+
+  for (let vertex of graph.vertices) {
+    for (let edge of vertex.edges) {
+      const from = indexOf.get(edge.from);
+      const to = indexOf.get(edge.to);
+      if (from === to) continue;
+      const weight = weightType === 'stops' ? 1 : weightType === 'time' ? edge.time : edge.price;
+      if (!(outgoing[from].get(to) <= weight)) {
+        outgoing[from].set(to, weight);
+        incoming[to].set(from, weight);
+      }
+      linked[from].add(to);
+      linked[to].add(from);
+    }
+  }
+
+  const toList = map => [...map].map(([index, weight]) => ({ index, weight }));
+  return {
+    outgoing: outgoing.map(toList),
+    incoming: incoming.map(toList),
+    neighbours: linked.map(set => [...set].sort((a, b) => a - b))
+  };
+}
+
+function sampleSources(n, size) {
+  const count = Math.min(n, size);
+  return Array.from({ length: count }, (_, i) => Math.floor(i * n / count));
+}
+
+// Dijkstra that also counts the equally short paths to each airport and keeps
+// every predecessor on one; `order` lists the reached airports nearest first
+function shortestPathTree(adjacent, source) {
+  const n = adjacent.length;
+  const distance = new Float64Array(n).fill(Infinity);
+  const paths = new Float64Array(n);
+  const predecessors = Array.from({ length: n }, () => []);
+  const settled = new Uint8Array(n);
+  const order = [];
+  const queue = new PriorityQueue((a, b) => a.distance - b.distance || a.index - b.index, item => item.index);
+
+  distance[source] = 0;
+  paths[source] = 1;
+  queue.offer({ index: source, distance: 0 });
+
+  while (!queue.isEmpty()) {
+    const { index: v } = queue.pop();
+    settled[v] = 1;
+    order.push(v);
+
+    for (let { index: w, weight } of adjacent[v]) {
+      if (settled[w]) continue;
+      const candidate = distance[v] + weight;
+      if (candidate < distance[w] - EPSILON) {
+        distance[w] = candidate;
+        paths[w] = paths[v];
+        predecessors[w] = [v];
+        queue.offer({ index: w, distance: candidate });
+      } else if (candidate <= distance[w] + EPSILON) {
+        paths[w] += paths[v];
+        predecessors[w].push(v);
+      }
+    }
+  }
+  return { distance, paths, predecessors, order };
+}
+
+function treePath(predecessors, target) {
+  const path = [target];
+  while (predecessors[path[0]].length > 0) path.unshift(predecessors[path[0]][0]);
+  return path;
+}
+
+// Wasserman and Faust's closeness, which stays comparable when some airports
+// can't be reached: the share of the others reached times the inverse of
+// their average distance
+function closenessOf(reached, total, others) {
+  return reached > 0 && total > 0 ? (reached / others) * (reached / total) : 0;
+}
+
+// Distances from every airport to each sampled one, found backwards from it
+function sampledCloseness(incoming, sources, n) {
+  const reached = new Float64Array(n);
+  const total = new Float64Array(n);
+  for (let target of sources) {
+    const { distance } = shortestPathTree(incoming, target);
+    for (let v = 0; v < n; v++) {
+      if (v === target || distance[v] === Infinity) continue;
+      reached[v]++;
+      total[v] += distance[v];
+    }
+  }
+  const isSource = new Set(sources);
+  return Array.from({ length: n }, (_, v) => closenessOf(reached[v], total[v], sources.length - (isSource.has(v) ? 1 : 0)));
+}
+
+// Largest first
+function weakComponents(neighbours) {
+  const n = neighbours.length;
+  const componentOf = new Int32Array(n).fill(-1);
+  const components = [];
+
+  for (let root = 0; root < n; root++) {
+    if (componentOf[root] >= 0) continue;
+    const component = [root];
+    componentOf[root] = components.length;
+    for (let i = 0; i < component.length; i++) {
+      for (let w of neighbours[component[i]]) {
+        if (componentOf[w] >= 0) continue;
+        componentOf[w] = components.length;
+        component.push(w);
+      }
+    }
+    components.push(component.sort((a, b) => a - b));
+  }
+
+  const ranked = components
+    .map((component, index) => ({ component, index }))
+    .sort((a, b) => b.component.length - a.component.length || a.index - b.index);
+  const rank = new Int32Array(components.length);
+  ranked.forEach(({ index }, position) => { rank[index] = position; });
+  return {
+    components: ranked.map(({ component }) => component),
+    componentOf: Array.from(componentOf, index => rank[index])
+  };
+}
+
+// Kosaraju: airports in order of finishing a depth-first search, then
+// gathered backwards from the last to finish. Largest first.
+function stronglyConnectedComponents(outgoing) {
+  const n = outgoing.length;
+  const finished = [];
+  const seen = new Uint8Array(n);
+
+  for (let root = 0; root < n; root++) {
+    if (seen[root]) continue;
+    seen[root] = 1;
+    const stack = [[root, 0]];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [v, next] = frame;
+      if (next < outgoing[v].length) {
+        frame[1]++;
+        const w = outgoing[v][next].index;
+        if (!seen[w]) {
+          seen[w] = 1;
+          stack.push([w, 0]);
+        }
+      } else {
+        stack.pop();
+        finished.push(v);
+      }
+    }
+  }
+
+  const incoming = Array.from({ length: n }, () => []);
+  outgoing.forEach((edges, v) => edges.forEach(({ index }) => incoming[index].push(v)));
+
+  const assigned = new Uint8Array(n);
+  const components = [];
+  for (let i = finished.length - 1; i >= 0; i--) {
+    const root = finished[i];
+    if (assigned[root]) continue;
+    assigned[root] = 1;
+    const component = [root];
+    for (let j = 0; j < component.length; j++) {
+      for (let w of incoming[component[j]]) {
+        if (assigned[w]) continue;
+        assigned[w] = 1;
+        component.push(w);
+      }
+    }
+    components.push(component.sort((a, b) => a - b));
+  }
+  return components.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+// Tarjan's low-link search, without recursion so large networks don't
+// overflow the stack. A link is a bridge when nothing below it in the search
+// tree reaches back above it; an airport is an articulation point when some
+// child's subtree only reaches back as far as the airport itself.
+function bridgesAndArticulationPoints(neighbours) {
+  const n = neighbours.length;
+  const discovered = new Int32Array(n).fill(-1);
+  const low = new Int32Array(n);
+  const parent = new Int32Array(n).fill(-1);
+  const articulation = new Array(n).fill(false);
+  const bridges = [];
+  let time = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (discovered[root] >= 0) continue;
+    discovered[root] = low[root] = time++;
+    let rootChildren = 0;
+    const stack = [[root, 0]];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [v, next] = frame;
+      if (next < neighbours[v].length) {
+        frame[1]++;
+        const w = neighbours[v][next];
+        if (discovered[w] < 0) {
+          parent[w] = v;
+          discovered[w] = low[w] = time++;
+          if (v === root) rootChildren++;
+          stack.push([w, 0]);
+        } else if (w !== parent[v]) {
+          low[v] = Math.min(low[v], discovered[w]);
+        }
+      } else {
+        stack.pop();
+        const p = parent[v];
+        if (p < 0) continue;
+        low[p] = Math.min(low[p], low[v]);
+        if (low[v] > discovered[p]) bridges.push([p, v]);
+        if (p !== root && low[v] >= discovered[p]) articulation[p] = true;
+      }
+    }
+    if (rootChildren > 1) articulation[root] = true;
+  }
+  return { bridges, articulation };
+}
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { buildGraph, loadGraph, analyzeNetwork } from '.';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const network = loadGraph(readData('airports.csv'), readData('routes.csv'));
+
+// Airports named by their codes; routes as [from, to, price] flown both ways
+// unless marked oneWay
+function tinyGraph(codes, routes) {
+  return buildGraph(
+    codes.map(code => ({ name: code, code })),
+    routes.map(([from, to, price, extra = {}]) => ({ from, to, time: 1, price, ...extra }))
+  );
+}
+
+function airport(analysis, key) {
+  return analysis.airports.find(a => a.key === key);
+}
+
+// Every loopless route by the airports it visits, for brute-force checks
+function allRoutes(from, to, route = [from]) {
+  if (from === to) return [route];
+  const next = new Map(from.edges.filter(edge => !route.includes(edge.to)).map(edge => [edge.to, edge]));
+  return [...next.keys()].flatMap(vertex => allRoutes(vertex, to, [...route, vertex]));
+}
+
+function routeCost(route, weightType) {
+  let cost = 0;
+  for (let i = 1; i < route.length; i++) {
+    const weights = route[i - 1].edges.filter(edge => edge.to === route[i])
+      .map(edge => (weightType === 'stops' ? 1 : edge[weightType]));
+    cost += Math.min(...weights);
+  }
+  return cost;
+}
+
+describe('on the bundled network', () => {
+  const pairs = network.vertices.flatMap(a => network.vertices.filter(b => b !== a).map(b => [a, b]));
+  const n = network.vertices.length;
+
+  test.each(['stops', 'price', 'time'])('betweenness matches every shortest route counted by %s', weightType => {
+    const expected = new Map(network.vertices.map(v => [v.key, 0]));
+    for (let [from, to] of pairs) {
+      const routes = allRoutes(from, to);
+      if (routes.length === 0) continue;
+      const best = Math.min(...routes.map(route => routeCost(route, weightType)));
+      const shortest = routes.filter(route => routeCost(route, weightType) === best);
+      for (let route of shortest) {
+        for (let v of route.slice(1, -1)) expected.set(v.key, expected.get(v.key) + 1 / shortest.length);
+      }
+    }
+
+    const analysis = analyzeNetwork(network, weightType);
+    for (let a of analysis.airports) {
+      expect(a.betweenness).toBeCloseTo(expected.get(a.key) / ((n - 1) * (n - 2)), 10);
+    }
+  });
+
+  test.each(['stops', 'price', 'time'])('closeness, average path and diameter agree with shortestPath by %s', weightType => {
+    const analysis = analyzeNetwork(network, weightType);
+    const cost = (from, to) => {
+      const route = network.shortestPath(from, to, weightType);
+      return route ? route.cost : Infinity;
+    };
+
+    for (let from of network.vertices) {
+      const costs = network.vertices.filter(to => to !== from).map(to => cost(from, to)).filter(Number.isFinite);
+      const total = costs.reduce((sum, c) => sum + c, 0);
+      const expected = (costs.length / (n - 1)) * (costs.length / total);
+      expect(airport(analysis, from.key).closeness).toBeCloseTo(expected, 10);
+    }
+
+    const costs = pairs.map(([from, to]) => cost(from, to)).filter(Number.isFinite);
+    expect(analysis.averagePathLength).toBeCloseTo(costs.reduce((sum, c) => sum + c, 0) / costs.length, 10);
+    expect(analysis.reachability).toBe(costs.length / pairs.length);
+
+    const { diameter } = analysis;
+    expect(diameter.length).toBe(Math.max(...costs));
+    expect(cost(network.getVertexByKey(diameter.from), network.getVertexByKey(diameter.to))).toBe(diameter.length);
+    expect(routeCost(diameter.path.map(key => network.getVertexByKey(key)), weightType)).toBe(diameter.length);
+  });
+
+  test('every airport is linked, with SFO hanging off JFK', () => {
+    const analysis = analyzeNetwork(network);
+    expect(analysis.components).toHaveLength(1);
+    expect(analysis.bridges).toEqual([['JFK', 'SFO']]);
+    expect(analysis.articulationPoints).toEqual(['JFK']);
+    expect(airport(analysis, 'SFO')).toMatchObject({ degree: 1, outDegree: 1, inDegree: 1, articulation: false });
+    expect(analysis.sampled).toBe(false);
+  });
+});
+
+describe('on hand-built networks', () => {
+  test('a line has its middle as the only way through', () => {
+    const analysis = analyzeNetwork(tinyGraph(['A', 'B', 'C'], [['A', 'B', 10], ['B', 'C', 10]]));
+    expect(analysis.airports.map(a => a.betweenness)).toEqual([0, 1, 0]);
+    expect(analysis.bridges).toEqual([['A', 'B'], ['B', 'C']]);
+    expect(analysis.articulationPoints).toEqual(['B']);
+    expect(analysis.diameter).toEqual({ length: 2, from: 'A', to: 'C', path: ['A', 'B', 'C'] });
+    expect(analysis.averagePathLength).toBeCloseTo(8 / 6);
+  });
+
+  test('equally short routes share the betweenness', () => {
+    const graph = tinyGraph(['A', 'B', 'C', 'D'], [['A', 'B', 1], ['B', 'D', 1], ['A', 'C', 1], ['C', 'D', 1]]);
+    const analysis = analyzeNetwork(graph, 'price');
+    // B and C each carry half of A⇄D and nothing else: 1 of the 6 ordered pairs
+    expect(airport(analysis, 'B').betweenness).toBeCloseTo(1 / 6);
+    expect(airport(analysis, 'C').betweenness).toBeCloseTo(1 / 6);
+    expect(analysis.bridges).toEqual([]);
+    expect(analysis.articulationPoints).toEqual([]);
+  });
+
+  test('weights decide which way the paths go', () => {
+    const graph = tinyGraph(['A', 'B', 'C', 'D'], [['A', 'B', 1], ['B', 'D', 1], ['A', 'C', 5], ['C', 'D', 5]]);
+    expect(airport(analyzeNetwork(graph, 'price'), 'C').betweenness).toBe(0);
+    expect(airport(analyzeNetwork(graph, 'stops'), 'C').betweenness).toBeCloseTo(1 / 6);
+  });
+
+  test('separate networks are separate components, largest first', () => {
+    const graph = tinyGraph(['A', 'B', 'C', 'D', 'E'], [['A', 'B', 1], ['C', 'D', 1], ['D', 'E', 1]]);
+    const analysis = analyzeNetwork(graph);
+    expect(analysis.components).toEqual([['C', 'D', 'E'], ['A', 'B']]);
+    expect(analysis.airports.map(a => a.component)).toEqual([1, 1, 0, 0, 0]);
+    expect(analysis.reachability).toBeCloseTo(8 / 20);
+    // Unreachable airports lower closeness rather than leaving it undefined
+    expect(airport(analysis, 'A').closeness).toBeCloseTo(1 / 4);
+    expect(airport(analysis, 'D').closeness).toBeCloseTo(2 / 4);
+  });
+
+  test('one-way routes split strongly connected components but not links', () => {
+    const graph = tinyGraph(['A', 'B', 'C', 'D'], [
+      ['A', 'B', 1, { oneWay: true }],
+      ['B', 'C', 1, { oneWay: true }],
+      ['C', 'A', 1, { oneWay: true }],
+      ['C', 'D', 1, { oneWay: true }]
+    ]);
+    const analysis = analyzeNetwork(graph);
+    expect(analysis.components).toEqual([['A', 'B', 'C', 'D']]);
+    expect(analysis.stronglyConnected).toEqual([['A', 'B', 'C'], ['D']]);
+    expect(analysis.bridges).toEqual([['C', 'D']]);
+    expect(airport(analysis, 'C')).toMatchObject({ degree: 3, outDegree: 2, inDegree: 1, articulation: true });
+    expect(airport(analysis, 'D').closeness).toBe(0);
+    expect(analysis.diameter.path).toEqual(['A', 'B', 'C', 'D']);
+  });
+
+  test('parallel flights count once, at their best', () => {
+    const graph = tinyGraph(['A', 'B'], [['A', 'B', 300], ['A', 'B', 200]]);
+    const analysis = analyzeNetwork(graph, 'price');
+    expect(airport(analysis, 'A').degree).toBe(1);
+    expect(analysis.bridges).toEqual([['A', 'B']]);
+    expect(analysis.diameter.length).toBe(200);
+  });
+
+  test('an empty network has nothing to measure', () => {
+    const analysis = analyzeNetwork(buildGraph([], []));
+    expect(analysis).toMatchObject({ airports: [], components: [], diameter: null, averagePathLength: null });
+  });
+});
+
+describe('large networks', () => {
+  // A 30 × 30 grid, far too regular to need every source
+  const codes = Array.from({ length: 900 }, (_, i) => `A${i}`);
+  const grid = buildGraph(
+    codes.map(code => ({ code, name: code })),
+    codes.flatMap((code, i) => [
+      ...(i % 30 < 29 ? [{ from: code, to: codes[i + 1], time: 1, price: 10 }] : []),
+      ...(i < 870 ? [{ from: code, to: codes[i + 30], time: 1, price: 10 }] : [])
+    ])
+  );
+
+  test('are measured from a sample of sources', () => {
+    const analysis = analyzeNetwork(grid, 'stops', { sampleSize: 50 });
+    expect(analysis.sampled).toBe(50);
+    expect(analysis.reachability).toBe(1);
+    expect(analysis.bridges).toEqual([]);
+    // The grid's centre carries more paths, and is closer to everything, than its corner
+    const centre = airport(analysis, 'A435');
+    const corner = airport(analysis, 'A0');
+    expect(centre.betweenness).toBeGreaterThan(corner.betweenness);
+    expect(centre.closeness).toBeGreaterThan(corner.closeness);
+    expect(analysis.averagePathLength).toBeGreaterThan(15);
+    expect(analysis.averagePathLength).toBeLessThan(25);
+  });
+
+});
@@ -0,0 +1,193 @@
+import { parseClockTime } from './time';
+
+// =============================================================================
+// CSV FILES - airports.csv, routes.csv and schedule.csv
+// =============================================================================
+
+const AIRPORT_COLUMNS = {
+  code: ['code', 'iata'],
+  icao: ['icao'],
+  name: ['name'],
+  city: ['city'],
+  country: ['country'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng'],
+  timezone: ['timezone', 'tz']
+};
+
+const ROUTE_COLUMNS = {
+  from: ['from', 'source'],
+  to: ['to', 'destination'],
+  time: ['time', 'hours'],
+  price: ['price', 'cost'],
+  airline: ['airline', 'carrier'],
+  direction: ['direction']
+};
+
+const SCHEDULE_COLUMNS = {
+  flight: ['flight', 'number'],
+  airline: ['airline', 'carrier'],
+  from: ['from', 'source'],
+  to: ['to', 'destination'],
+  departure: ['departure', 'departs'],
+  arrival: ['arrival', 'arrives'],
+  days: ['days'],
+  price: ['price', 'fare']
+};
+
+const ONE_WAY_VALUES = ['oneway', 'one-way', 'directed'];
+
+// Splits one CSV line, honouring double-quoted fields with "" or \" escapes
+export function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if ((char === '"' || char === '\\') && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Maps each logical column to its index in the header row
+function findColumns(header, aliases) {
+  const columns = {};
+  for (let [name, candidates] of Object.entries(aliases)) {
+    const index = header.findIndex(column => candidates.includes(column));
+    if (index !== -1) columns[name] = index;
+  }
+  return columns;
+}
+
+export function parseCoordinate(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Accepts the headered format
+//   code,icao,name,city,country,latitude,longitude,timezone
+// as well as the old headerless "name" or "name,latitude,longitude" lines
+export function parseAirportsCSV(text) {
+  const rows = text.split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(splitCSVLine);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.toLowerCase());
+  if (!header.includes('name') && !header.includes('code')) {
+    return rows.map(([name, latitude, longitude]) => ({
+      name,
+      latitude: parseCoordinate(latitude),
+      longitude: parseCoordinate(longitude)
+    }));
+  }
+
+  const column = findColumns(header, AIRPORT_COLUMNS);
+  return rows.slice(1).map(row => {
+    const field = name => (column[name] === undefined ? '' : row[column[name]] || '');
+    const code = field('code').toUpperCase();
+    return {
+      code,
+      icao: field('icao').toUpperCase(),
+      name: field('name') || field('city') || code,
+      city: field('city'),
+      country: field('country'),
+      latitude: parseCoordinate(field('latitude')),
+      longitude: parseCoordinate(field('longitude')),
+      timezone: field('timezone')
+    };
+  });
+}
+
+// Accepts "from,to,time,price[,airline][,direction]" with a header and
+// airport codes, or the old headerless rows where from/to are line indices
+// into airports.csv. Routes fly both ways unless direction is "oneway".
+// Throws on a row whose time or price is not a number, naming its line.
+export function parseRoutesCSV(text) {
+  const lines = text.split('\n')
+    .map((line, index) => ({ number: index + 1, line }))
+    .filter(({ line }) => line.trim().length > 0);
+  const rows = lines.map(({ line }) => splitCSVLine(line));
+  if (rows.length === 0) return [];
+
+  const hasHeader = Number.isNaN(parseFloat(rows[0][2]));
+  const column = hasHeader
+    ? findColumns(rows[0].map(field => field.toLowerCase()), ROUTE_COLUMNS)
+    : { from: 0, to: 1, time: 2, price: 3 };
+
+  const field = (row, name) => (column[name] === undefined ? '' : row[column[name]] || '');
+  const routeArray = [];
+  for (let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (row.length < 4) continue;
+    const time = parseFloat(row[column.time]);
+    const price = parseFloat(row[column.price]);
+    if (!Number.isFinite(time) || !Number.isFinite(price)) {
+      throw new Error(`Route on line ${lines[i].number} has an invalid time or price`);
+    }
+    routeArray.push({
+      from: row[column.from],
+      to: row[column.to],
+      time,
+      price,
+      airline: field(row, 'airline'),
+      oneWay: ONE_WAY_VALUES.includes(field(row, 'direction').toLowerCase())
+    });
+  }
+  return routeArray;
+}
+
+// Columns: flight,airline,from,to,departure,arrival,days,price. Times are
+// "HH:MM" local to each airport, arrivals may end in "+1" for the next day,
+// and days lists ISO weekdays ("1234567" or "daily").
+export function parseScheduleCSV(text) {
+  const rows = text.split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(splitCSVLine);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.toLowerCase());
+  if (!header.includes('flight') || !header.includes('departure')) return [];
+
+  const column = findColumns(header, SCHEDULE_COLUMNS);
+  return rows.slice(1).map(row => {
+    const field = name => (column[name] === undefined ? '' : row[column[name]] || '');
+    const departure = parseClockTime(field('departure'));
+    const arrival = parseClockTime(field('arrival'));
+    if (departure === null || arrival === null) {
+      throw new Error(`Flight ${field('flight')} has an invalid departure or arrival time`);
+    }
+
+    const days = field('days').toLowerCase();
+    return {
+      flight: field('flight'),
+      airline: field('airline'),
+      from: field('from'),
+      to: field('to'),
+      departure,
+      arrival,
+      days: new Set(days === '' || days === 'daily'
+        ? [1, 2, 3, 4, 5, 6, 7]
+        : [...days].map(Number).filter(day => day >= 1 && day <= 7)),
+      price: parseFloat(field('price'))
+    };
+  });
+}
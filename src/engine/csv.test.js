@@ -0,0 +1,132 @@
+import { splitCSVLine, parseCoordinate, parseAirportsCSV, parseRoutesCSV, parseScheduleCSV, parseClockTime } from '.';
+
+describe('splitCSVLine', () => {
+  test('splits and trims plain fields', () => {
+    expect(splitCSVLine('SFO, JFK ,6,450')).toEqual(['SFO', 'JFK', '6', '450']);
+  });
+
+  test('keeps commas inside quotes and unescapes quotes', () => {
+    expect(splitCSVLine('"Paris, France","Say ""hi""","a \\"b\\""')).toEqual(['Paris, France', 'Say "hi"', 'a "b"']);
+  });
+
+  test('keeps empty fields', () => {
+    expect(splitCSVLine('a,,c,')).toEqual(['a', '', 'c', '']);
+  });
+});
+
+test('parseCoordinate reads numbers and rejects anything else', () => {
+  expect(parseCoordinate('-33.9461')).toBe(-33.9461);
+  expect(parseCoordinate('')).toBeNull();
+  expect(parseCoordinate('north')).toBeNull();
+  expect(parseCoordinate(undefined)).toBeNull();
+});
+
+describe('parseAirportsCSV', () => {
+  test('reads the headered format in any column order, with aliases', () => {
+    const airports = parseAirportsCSV([
+      'iata,name,lat,lon,tz,city,country',
+      'sfo,"San Francisco International Airport",37.619,-122.375,America/Los_Angeles,San Francisco,United States',
+      'XYZ,,,,,Nowhere,'
+    ].join('\n'));
+
+    expect(airports).toEqual([
+      {
+        code: 'SFO',
+        icao: '',
+        name: 'San Francisco International Airport',
+        city: 'San Francisco',
+        country: 'United States',
+        latitude: 37.619,
+        longitude: -122.375,
+        timezone: 'America/Los_Angeles'
+      },
+      { code: 'XYZ', icao: '', name: 'Nowhere', city: 'Nowhere', country: '', latitude: null, longitude: null, timezone: '' }
+    ]);
+  });
+
+  test('reads the old headerless names, with or without coordinates', () => {
+    expect(parseAirportsCSV('San Francisco,37.6,-122.4\n\nNew York\n')).toEqual([
+      { name: 'San Francisco', latitude: 37.6, longitude: -122.4 },
+      { name: 'New York', latitude: null, longitude: null }
+    ]);
+  });
+
+  test('returns nothing for an empty file', () => {
+    expect(parseAirportsCSV('\n  \n')).toEqual([]);
+  });
+});
+
+describe('parseRoutesCSV', () => {
+  test('reads codes, airlines and direction from a header', () => {
+    expect(parseRoutesCSV('source,destination,hours,cost,carrier,direction\nSFO,JFK,6,380,B6,both\nJFK,CDG,8,480,DL,oneway\n')).toEqual([
+      { from: 'SFO', to: 'JFK', time: 6, price: 380, airline: 'B6', oneWay: false },
+      { from: 'JFK', to: 'CDG', time: 8, price: 480, airline: 'DL', oneWay: true }
+    ]);
+  });
+
+  test('reads the old headerless rows of airport indices', () => {
+    expect(parseRoutesCSV('0,1,6,450\n1,2,13.5,900\n')).toEqual([
+      { from: '0', to: '1', time: 6, price: 450, airline: '', oneWay: false },
+      { from: '1', to: '2', time: 13.5, price: 900, airline: '', oneWay: false }
+    ]);
+  });
+
+  test('skips rows that are too short', () => {
+    expect(parseRoutesCSV('from,to,time,price\nSFO,JFK,6\nSFO,JFK,6,450')).toHaveLength(1);
+  });
+
+  test('rejects a route with an unreadable time or price, naming its line', () => {
+    expect(() => parseRoutesCSV('from,to,time,price\nSFO,JFK,6,450\n\nJFK,CDG,eight,480\n'))
+      .toThrow('Route on line 4 has an invalid time or price');
+    expect(() => parseRoutesCSV('0,1,6,450\n1,2,13.5,\n')).toThrow('Route on line 2 has an invalid time or price');
+  });
+});
+
+describe('parseScheduleCSV', () => {
+  const header = 'flight,airline,from,to,departure,arrival,days,price';
+
+  test('reads local times, next-day arrivals and operating days', () => {
+    const [daily, weekly] = parseScheduleCSV([
+      header,
+      'UA107,UA,SFO,JFK,07:45,16:45,daily,450',
+      'QF12,QF,SYD,SFO,22:10,16:40+1,135,1200'
+    ].join('\n'));
+
+    expect(daily).toEqual({
+      flight: 'UA107',
+      airline: 'UA',
+      from: 'SFO',
+      to: 'JFK',
+      departure: 7 * 60 + 45,
+      arrival: 16 * 60 + 45,
+      days: new Set([1, 2, 3, 4, 5, 6, 7]),
+      price: 450
+    });
+    expect(weekly.arrival).toBe(24 * 60 + 16 * 60 + 40);
+    expect(weekly.days).toEqual(new Set([1, 3, 5]));
+  });
+
+  test('treats empty days as daily and ignores digits that are not weekdays', () => {
+    const [empty, odd] = parseScheduleCSV(`${header}\nA1,A,X,Y,01:00,02:00,,10\nA2,A,X,Y,01:00,02:00,089,10`);
+    expect(empty.days.size).toBe(7);
+    expect(odd.days).toEqual(new Set());
+  });
+
+  test('rejects a flight with an unreadable time', () => {
+    expect(() => parseScheduleCSV(`${header}\nAB1,AB,SFO,JFK,7.45,16:45,daily,450`))
+      .toThrow('Flight AB1 has an invalid departure or arrival time');
+  });
+
+  test('ignores files without a schedule header', () => {
+    expect(parseScheduleCSV('')).toEqual([]);
+    expect(parseScheduleCSV('from,to,time,price\nSFO,JFK,6,450')).toEqual([]);
+  });
+});
+
+test('parseClockTime reads HH:MM with an optional day offset', () => {
+  expect(parseClockTime('7:05')).toBe(425);
+  expect(parseClockTime(' 23:59 ')).toBe(1439);
+  expect(parseClockTime('06:30 +2')).toBe(2 * 1440 + 390);
+  expect(parseClockTime('noon')).toBeNull();
+  expect(parseClockTime('12:5')).toBeNull();
+});
@@ -0,0 +1,20 @@
+// =============================================================================
+// GEOGRAPHY - Great-circle distances on a spherical Earth
+// =============================================================================
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in km, or null when either airport lacks coordinates
+export function greatCircleDistance(a, b) {
+  if (!a.hasCoordinates() || !b.hasCoordinates()) return null;
+  return haversine(a.latitude, a.longitude, b.latitude, b.longitude);
+}
+
+export function haversine(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,2054 @@
+import PriorityQueue from './PriorityQueue';
+import { greatCircleDistance } from './geo';
+import { MINUTE_MS, HOUR_MS, localDate, addDays, isoWeekday, zonedTimeToUtc, formatLocalTime } from './time';
+import { EXACT_TOUR_LIMIT, heldKarpTour, tourCost, nearestNeighbourTour, twoOptTour } from './tours';
+
+// Networks up to this many airports get their all-pairs matrix from
+// Floyd–Warshall; larger ones from Dijkstra run from each airport
+export const FLOYD_WARSHALL_LIMIT = 100;
+
+// =============================================================================
+// GRAPH CLASSES
+// =============================================================================
+// The instrumented searches are generators (bfsSteps, ucsSteps, ...): each
+// yields one snapshot per step and returns the search's result, usually
+// { finalWaypoint }, so a long search costs nothing until its steps are read.
+
+export class Edge {
+  constructor(from, to, time, price, details = {}) {
+    this.from = from;
+    this.to = to;
+    this.time = time;
+    this.price = price;
+    this.airline = details.airline || null;      // carrier code, e.g. "UA"
+    this.stops = details.stops || 0;             // intermediate stops on this flight
+    this.equipment = details.equipment || null;  // aircraft types, e.g. "777 747"
+  }
+}
+
+// A timetabled flight. Times are minutes after local midnight at each end;
+// arrival can exceed 24h for flights landing on a later day.
+export class ScheduledFlight {
+  constructor(number, from, to, departure, arrival, days, price, airline = null) {
+    this.number = number;        // e.g. "UA837"
+    this.from = from;
+    this.to = to;
+    this.departure = departure;  // local minutes at `from`
+    this.arrival = arrival;      // local minutes at `to`, relative to the departure date
+    this.days = days;            // Set of ISO weekdays it operates on, 1 = Monday
+    this.price = price;
+    this.airline = airline;
+  }
+
+  // The first departure at or after `readyTime` (UTC ms) within `horizonDays`,
+  // as a leg with concrete UTC departure and arrival times
+  nextDeparture(readyTime, horizonDays = 7) {
+    const fromZone = this.from.timezone;
+    const toZone = this.to.timezone;
+    const firstDate = localDate(readyTime, fromZone);
+
+    for (let day = -1; day <= horizonDays; day++) {
+      const date = addDays(firstDate, day);
+      if (!this.days.has(isoWeekday(date))) continue;
+
+      const departure = zonedTimeToUtc(date, this.departure, fromZone);
+      if (departure < readyTime) continue;
+
+      const arrival = zonedTimeToUtc(date, this.arrival, toZone);
+      return new FlightLeg(this, departure, arrival);
+    }
+    return null;
+  }
+}
+
+// One dated instance of a ScheduledFlight. Shaped like an Edge so waypoints
+// and calculatePathMetrics can use either.
+export class FlightLeg {
+  constructor(flight, departure, arrival) {
+    this.flight = flight;
+    this.from = flight.from;
+    this.to = flight.to;
+    this.departure = departure;  // UTC ms
+    this.arrival = arrival;      // UTC ms
+    this.time = Math.round((arrival - departure) / HOUR_MS * 100) / 100;
+    this.price = flight.price;
+    this.airline = flight.airline;
+  }
+}
+
+// Unique identifier used by the searches: the IATA or ICAO code, else the
+// OpenFlights ID for codeless OpenFlights airports, else the name for airports
+// loaded from the old name-per-line format
+export function airportKey(airport) {
+  return airport.code || airport.icao || (airport.openFlightsId ? `OF${airport.openFlightsId}` : airport.name);
+}
+
+export class Vertex {
+  constructor(name, id, details = {}) {
+    this.name = name;
+    this.id = id;
+    this.code = details.code || null;        // IATA code, e.g. "SFO"
+    this.icao = details.icao || null;        // ICAO code, e.g. "KSFO"
+    this.city = details.city || null;
+    this.country = details.country || null;
+    this.latitude = details.latitude ?? null;
+    this.longitude = details.longitude ?? null;
+    this.timezone = details.timezone || null;  // IANA zone, e.g. "America/Los_Angeles"
+    this.openFlightsId = details.openFlightsId || null;  // row ID in OpenFlights' airports.dat
+    this.position = details.position || null;  // pinned { x, y } in the network diagram, as fractions of its size
+    this.edges = [];
+    this.flights = [];  // ScheduledFlights departing here
+  }
+
+  get key() {
+    return airportKey(this);
+  }
+
+  get label() {
+    return this.code ? `${this.city || this.name} (${this.code})` : this.name;
+  }
+
+  hasCoordinates() {
+    return Number.isFinite(this.latitude) && Number.isFinite(this.longitude);
+  }
+
+  addEdge(edge) {
+    this.edges.push(edge);
+  }
+
+  addFlight(flight) {
+    this.flights.push(flight);
+  }
+}
+
+export class Waypoint {
+  constructor(vertex, parent = null, cost = 0, heuristic = 0, edge = null) {
+    this.vertex = vertex;
+    this.parent = parent;
+    this.cost = cost;            // g: cost from the start
+    this.heuristic = heuristic;  // h: estimated cost to the destination
+    this.edge = edge;            // the flight taken from parent to here
+  }
+
+  get priority() {
+    return this.cost + this.heuristic;  // f = g + h
+  }
+
+  getPath() {
+    const path = [];
+    let current = this;
+    while (current !== null) {
+      path.unshift(current.vertex);
+      current = current.parent;
+    }
+    return path;
+  }
+}
+
+// A Pareto search label: one non-dominated way of reaching `vertex`
+export class Label extends Waypoint {
+  constructor(vertex, parent = null, price = 0, time = 0, stops = 0, edge = null, viaIndex = 0) {
+    super(vertex, parent, price, 0, edge);
+    this.price = price;
+    this.time = time;
+    this.stops = stops;        // flights taken so far
+    this.viaIndex = viaIndex;  // required via-points passed so far (constrained search)
+  }
+
+  // At least as good on every criterion; equal labels count as dominated
+  // so duplicates are dropped
+  dominates(other) {
+    return this.price <= other.price && this.time <= other.time && this.stops <= other.stops;
+  }
+}
+
+export class Graph {
+  constructor() {
+    this.vertices = [];
+  }
+
+  addVertex(vertex) {
+    this.vertices.push(vertex);
+  }
+
+  addEdge(x, y, time, price, details = {}) {
+    const edge = new Edge(x, y, time, price, details);
+    x.addEdge(edge);
+    return edge;
+  }
+
+  addUndirectedEdge(x, y, time, price, details = {}) {
+    const edge1 = new Edge(x, y, time, price, details);
+    x.addEdge(edge1);
+    const edge2 = new Edge(y, x, time, price, details);
+    y.addEdge(edge2);
+  }
+
+  addScheduledFlight(flight) {
+    flight.from.addFlight(flight);
+    return flight;
+  }
+
+  // Drops the airport along with every route and scheduled flight touching
+  // it. Ids are renumbered so they stay equal to each vertex's index.
+  removeVertex(vertex) {
+    this.vertices = this.vertices.filter(v => v !== vertex);
+    for (let v of this.vertices) {
+      v.edges = v.edges.filter(edge => edge.to !== vertex);
+      v.flights = v.flights.filter(flight => flight.to !== vertex);
+    }
+    this.vertices.forEach((v, index) => { v.id = index; });
+  }
+
+  removeEdge(edge) {
+    edge.from.edges = edge.from.edges.filter(e => e !== edge);
+  }
+
+  // Every route between the two airports, in either direction
+  edgesBetween(x, y) {
+    return [...x.edges.filter(edge => edge.to === y), ...y.edges.filter(edge => edge.to === x)];
+  }
+
+  hasSchedule() {
+    return this.vertices.some(v => v.flights.length > 0);
+  }
+
+  getVertexByName(name) {
+    return this.vertices.find(v => v.name === name);
+  }
+
+  getVertexByKey(key) {
+    return this.vertices.find(v => v.key === key);
+  }
+
+  getVertexByCode(code) {
+    const upper = code.toUpperCase();
+    return this.vertices.find(v => v.code === upper || v.icao === upper);
+  }
+
+  // ========================================================================
+  // INSTRUMENTED BFS - Yields step-by-step snapshots for visualization
+  // ========================================================================
+  *bfsSteps(start, destination) {
+    const queue = [];
+    const visited = new Set();
+    const startWaypoint = new Waypoint(start, null, 0);
+    queue.push(startWaypoint);
+    visited.add(start.key);
+    
+    // Initial step
+    yield {
+      current: null,
+      queue: [startWaypoint],
+      visited: new Set([start.key]),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting BFS from ${start.name}`
+    };
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      // Step: Dequeue node
+      yield {
+        current: current.vertex,
+        queue: [...queue],
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        line: 'dequeue',
+        description: `Visiting ${current.vertex.name}`
+      };
+      
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: [...queue],
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Found destination: ${destination.name}!`
+        };
+        return { finalWaypoint: current };
+      }
+      
+      const newNeighbors = [];
+      const skipped = [];
+      for (let edge of cheapestEdges(current.vertex, 'price')) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.key)) {
+          skipped.push(neighbor.name);
+          continue;
+        }
+        
+        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + 1, 0, edge);
+        queue.push(neighborWaypoint);
+        visited.add(neighbor.key);
+        newNeighbors.push(neighbor.name);
+      }
+      
+      // Step: After exploring neighbors
+      if (newNeighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: [...queue],
+          visited: new Set(visited),
+          exploring: new Set(),
+          skipped,
+          line: newNeighbors.length > 0 ? 'enqueue' : 'skip',
+          description: [
+            newNeighbors.length > 0 ? `Added ${newNeighbors.length} neighbors to queue: ${newNeighbors.join(', ')}` : '',
+            skipped.length > 0 ? describeSkipped(skipped) : ''
+          ].filter(Boolean).join('; ')
+        };
+      }
+    }
+    
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No path found from ${start.name} to ${destination.name}`
+    };
+    
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED DFS - Follows each branch as deep as it goes
+  // ========================================================================
+  // The queue in each snapshot is the stack, top first. Finds a route, not
+  // necessarily the one with the fewest flights.
+  *dfsSteps(start, destination) {
+    const stack = [new Waypoint(start, null, 0)];
+    const visited = new Set();
+
+    yield {
+      current: null,
+      queue: [...stack],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting DFS from ${start.name}`
+    };
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (visited.has(current.vertex.key)) continue;
+      visited.add(current.vertex.key);
+
+      yield {
+        current: current.vertex,
+        queue: [...stack].reverse(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        line: 'visit',
+        description: `Visiting ${current.vertex.name} (depth ${current.cost})`
+      };
+
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: [...stack].reverse(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Found destination: ${destination.name}!`
+        };
+        return { finalWaypoint: current };
+      }
+
+      // Pushed in reverse so the first neighbour is explored first
+      const edges = [...cheapestEdges(current.vertex, 'price')];
+      const neighbors = edges.filter(edge => !visited.has(edge.to.key));
+      const skipped = edges.filter(edge => visited.has(edge.to.key)).map(edge => edge.to.name);
+      for (let edge of [...neighbors].reverse()) {
+        stack.push(new Waypoint(edge.to, current, current.cost + 1, 0, edge));
+      }
+
+      if (neighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: [...stack].reverse(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          skipped,
+          line: neighbors.length > 0 ? 'push' : 'skip',
+          description: [
+            neighbors.length > 0 ? `Pushed ${neighbors.length} neighbors onto the stack: ${neighbors.map(edge => edge.to.name).join(', ')}` : '',
+            skipped.length > 0 ? describeSkipped(skipped) : ''
+          ].filter(Boolean).join('; ')
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No path found from ${start.name} to ${destination.name}`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED ITERATIVE DEEPENING - Depth-limited DFS with a growing limit
+  // ========================================================================
+  // Each iteration starts afresh with the limit one deeper, so the first
+  // iteration to reach the destination finds the fewest-flights route.
+  // Within an iteration an airport is only revisited at a shallower depth.
+  // Stops early once an iteration never hits its limit.
+  *iterativeDeepeningSteps(start, destination, maxDepth = this.vertices.length - 1) {
+
+    for (let limit = 0; limit <= maxDepth; limit++) {
+      const stack = [new Waypoint(start, null, 0)];
+      const shallowest = new Map();  // vertex key -> depth first reached this iteration
+      const visited = new Set();
+      let cutOff = false;
+
+      yield {
+        current: null,
+        queue: [...stack],
+        visited: new Set(),
+        exploring: new Set(),
+        depthLimit: limit,
+        line: 'deepen',
+        description: `Iteration ${limit + 1}: depth limit ${limit}`
+      };
+
+      while (stack.length > 0) {
+        const current = stack.pop();
+        const key = current.vertex.key;
+        if (shallowest.has(key) && shallowest.get(key) <= current.cost) continue;
+        shallowest.set(key, current.cost);
+        visited.add(key);
+
+        const atLimit = current.cost === limit && current.vertex.edges.length > 0;
+        yield {
+          current: current.vertex,
+          queue: [...stack].reverse(),
+          visited: new Set(visited),
+          exploring: new Set([key]),
+          depthLimit: limit,
+          line: atLimit && current.vertex !== destination ? 'limit' : 'pop',
+          variables: { depth: current.cost },
+          description: `Visiting ${current.vertex.name} (depth ${current.cost}/${limit})${atLimit && current.vertex !== destination ? ' — depth limit reached' : ''}`
+        };
+
+        if (current.vertex === destination) {
+          yield {
+            current: current.vertex,
+            queue: [...stack].reverse(),
+            visited: new Set(visited),
+            exploring: new Set(),
+            depthLimit: limit,
+            found: current,
+            line: 'goal',
+            description: `✅ Found destination at depth ${current.cost}: ${destination.name}!`
+          };
+          return { finalWaypoint: current };
+        }
+
+        if (atLimit) {
+          cutOff = true;
+          continue;
+        }
+
+        const neighbors = [...cheapestEdges(current.vertex, 'price')].filter(edge => (
+          !shallowest.has(edge.to.key) || shallowest.get(edge.to.key) > current.cost + 1
+        ));
+        for (let edge of [...neighbors].reverse()) {
+          stack.push(new Waypoint(edge.to, current, current.cost + 1, 0, edge));
+        }
+
+        if (neighbors.length > 0) {
+          yield {
+            current: current.vertex,
+            queue: [...stack].reverse(),
+            visited: new Set(visited),
+            exploring: new Set(),
+            depthLimit: limit,
+            line: 'push',
+            description: `Pushed ${neighbors.length} neighbors onto the stack: ${neighbors.map(edge => edge.to.name).join(', ')}`
+          };
+        }
+      }
+
+      if (!cutOff) break;
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No path found from ${start.name} to ${destination.name}`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED UCS - Yields step-by-step snapshots for visualization
+  // ========================================================================
+  *ucsSteps(start, destination, weightType = 'price') {
+    const priorityQueue = new PriorityQueue(byCost, waypointKey);
+    const visited = new Set();
+    const startWaypoint = new Waypoint(start, null, 0);
+    priorityQueue.offer(startWaypoint);
+    
+    yield {
+      current: null,
+      queue: [startWaypoint],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting UCS (${weightType}) from ${start.name}`
+    };
+    
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      visited.add(current.vertex.key);
+      
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: current.cost,
+        line: 'pop',
+        description: `Visiting ${current.vertex.name} (cost: ${current.cost})`
+      };
+      
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Found optimal path to ${destination.name}! Total cost: ${current.cost}`
+        };
+        return { finalWaypoint: current };
+      }
+      
+      const newNeighbors = [];
+      const updatedNeighbors = [];
+      const skipped = [];
+      for (let edge of cheapestEdges(current.vertex, weightType)) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.key)) {
+          skipped.push(neighbor.name);
+          continue;
+        }
+        
+        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + edgeWeight(edge, weightType), 0, edge);
+        const outcome = priorityQueue.offer(neighborWaypoint);
+        if (outcome === 'added') newNeighbors.push(`${neighbor.name}(${neighborWaypoint.cost})`);
+        if (outcome === 'updated') updatedNeighbors.push(`${neighbor.name}(${neighborWaypoint.cost})`);
+      }
+      
+      if (newNeighbors.length > 0 || updatedNeighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          skipped,
+          line: newNeighbors.length + updatedNeighbors.length > 0 ? 'relax' : 'skip',
+          description: describeFrontierChanges(newNeighbors, updatedNeighbors, skipped)
+        };
+      }
+    }
+    
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No path found`
+    };
+    
+    return { finalWaypoint: null };
+  }
+
+  // Flights arriving at each airport, for searches that run backwards
+  incomingEdges() {
+    const incoming = new Map(this.vertices.map(v => [v.key, []]));
+    for (let vertex of this.vertices) {
+      for (let edge of vertex.edges) incoming.get(edge.to.key).push(edge);
+    }
+    return incoming;
+  }
+
+  // ========================================================================
+  // INSTRUMENTED BIDIRECTIONAL BFS - Two frontiers that meet in the middle
+  // ========================================================================
+  // The forward search follows flights out of the start and the backward
+  // search follows them into the destination. Each round expands a whole
+  // layer of the smaller frontier; the first layer that touches the other
+  // side gives the fewest-flights route through its best meeting airport.
+  *bidirectionalBfsSteps(start, destination) {
+    const incoming = this.incomingEdges();
+    const forward = {
+      name: 'Forward',
+      reached: new Map([[start.key, new Waypoint(start, null, 0)]]),
+      queue: [],
+      neighbours: vertex => [...cheapestEdges(vertex, 'price')].map(edge => [edge.to, edge])
+    };
+    const backward = {
+      name: 'Backward',
+      reached: new Map([[destination.key, new Waypoint(destination, null, 0)]]),
+      queue: [],
+      neighbours: vertex => [...cheapestIncomingEdges(incoming.get(vertex.key), 'price')].map(edge => [edge.from, edge])
+    };
+    forward.queue.push(forward.reached.get(start.key));
+    backward.queue.push(backward.reached.get(destination.key));
+    const snapshot = (current, description, extra = {}) => ({
+      current,
+      queue: [...forward.queue],
+      visited: new Set(forward.reached.keys()),
+      backward: { queue: [...backward.queue], visited: new Set(backward.reached.keys()) },
+      exploring: current ? new Set([current.key]) : new Set(),
+      description,
+      ...extra
+    });
+
+    yield snapshot(null, `Starting bidirectional BFS from ${start.name} and ${destination.name}`, { line: 'init' });
+
+    if (start === destination) {
+      const found = forward.reached.get(start.key);
+      yield snapshot(start, `✅ Already at ${destination.name}`, { found, meeting: start.key, line: 'done' });
+      return { finalWaypoint: found };
+    }
+
+    while (forward.queue.length > 0 && backward.queue.length > 0) {
+      const side = forward.queue.length <= backward.queue.length ? forward : backward;
+      const other = side === forward ? backward : forward;
+      const layer = side.queue.splice(0);
+      let best = null;  // cheapest meeting found in this layer
+
+      yield snapshot(null, `${side.name} search expands layer ${layer[0].cost} (${layer.length} airports)`, {
+        line: 'choose',
+        variables: { side: side.name, layer: layer[0].cost }
+      });
+
+      for (let current of layer) {
+        yield snapshot(current.vertex, `${side.name}: visiting ${current.vertex.name}`, {
+          line: 'visit',
+          variables: { side: side.name, layer: layer[0].cost }
+        });
+
+        const newNeighbors = [];
+        const skipped = [];
+        for (let [neighbor, edge] of side.neighbours(current.vertex)) {
+          if (side.reached.has(neighbor.key)) {
+            skipped.push(neighbor.name);
+            continue;
+          }
+
+          const neighborWaypoint = new Waypoint(neighbor, current, current.cost + 1, 0, edge);
+          side.reached.set(neighbor.key, neighborWaypoint);
+          side.queue.push(neighborWaypoint);
+          newNeighbors.push(neighbor.name);
+
+          const match = other.reached.get(neighbor.key);
+          if (match && (!best || neighborWaypoint.cost + match.cost < best.flights)) {
+            best = {
+              vertex: neighbor,
+              flights: neighborWaypoint.cost + match.cost,
+              forward: side === forward ? neighborWaypoint : match,
+              backward: side === forward ? match : neighborWaypoint
+            };
+          }
+        }
+
+        if (newNeighbors.length > 0 || skipped.length > 0) {
+          yield snapshot(current.vertex, `${side.name}: ${describeFrontierChanges(newNeighbors, [], skipped)}`, {
+            exploring: new Set(),
+            skipped,
+            meeting: best ? best.vertex.key : undefined,
+            line: best ? 'meet' : 'expand',
+            variables: { side: side.name, best: best ? `${best.flights} flights via ${best.vertex.code || best.vertex.name}` : 'none' }
+          });
+        }
+      }
+
+      if (best) {
+        const found = joinWaypoints(best.forward, best.backward, 'stops');
+        yield snapshot(null, `✅ Frontiers meet at ${best.vertex.name}: ${best.flights} flights`, {
+          found,
+          meeting: best.vertex.key,
+          line: 'done'
+        });
+        return { finalWaypoint: found };
+      }
+    }
+
+    yield snapshot(null, `❌ No path found from ${start.name} to ${destination.name}`, { line: 'fail' });
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED BIDIRECTIONAL DIJKSTRA - Forward and backward UCS
+  // ========================================================================
+  // Each step settles the lower of the two frontier minimums. Every new label
+  // is checked against the other side's best label for the same airport, and
+  // the cheapest such pairing is the best route so far (μ). Once the two
+  // frontier minimums add up to μ or more, no undiscovered route can beat it.
+  *bidirectionalDijkstraSteps(start, destination, weightType = 'price') {
+    const incoming = this.incomingEdges();
+    const forward = {
+      name: 'Forward',
+      settled: new Map(),
+      queue: new PriorityQueue(byCost, waypointKey),
+      neighbours: vertex => [...cheapestEdges(vertex, weightType)].map(edge => [edge.to, edge])
+    };
+    const backward = {
+      name: 'Backward',
+      settled: new Map(),
+      queue: new PriorityQueue(byCost, waypointKey),
+      neighbours: vertex => [...cheapestIncomingEdges(incoming.get(vertex.key), weightType)].map(edge => [edge.from, edge])
+    };
+    forward.queue.offer(new Waypoint(start, null, 0));
+    backward.queue.offer(new Waypoint(destination, null, 0));
+    const labelOf = (side, key) => side.settled.get(key) || side.queue.get(key);
+    let best = start === destination
+      ? { vertex: start, cost: 0, forward: forward.queue.peek(), backward: backward.queue.peek() }
+      : null;
+    const snapshot = (current, description, extra = {}) => ({
+      current,
+      queue: forward.queue.toSortedArray(),
+      visited: new Set(forward.settled.keys()),
+      backward: { queue: backward.queue.toSortedArray(), visited: new Set(backward.settled.keys()) },
+      exploring: current ? new Set([current.key]) : new Set(),
+      meeting: best ? best.vertex.key : undefined,
+      description,
+      ...extra,
+      variables: { 'μ': best ? best.cost : '∞', ...extra.variables }
+    });
+
+    yield snapshot(null, `Starting bidirectional Dijkstra (${weightType}) from ${start.name} and ${destination.name}`, { line: 'init' });
+
+    while (!forward.queue.isEmpty() && !backward.queue.isEmpty()) {
+      const bound = forward.queue.peek().cost + backward.queue.peek().cost;
+      if (best && bound >= best.cost) {
+        yield snapshot(null, `Stopping: frontier minimums sum to ${bound} ≥ best route μ = ${best.cost}`, {
+          line: 'stop',
+          variables: { 'minF + minB': bound }
+        });
+        break;
+      }
+
+      const side = forward.queue.peek().cost <= backward.queue.peek().cost ? forward : backward;
+      const other = side === forward ? backward : forward;
+      const current = side.queue.pop();
+      side.settled.set(current.vertex.key, current);
+
+      yield snapshot(current.vertex, `${side.name}: visiting ${current.vertex.name} (cost: ${current.cost})`, {
+        currentCost: current.cost,
+        line: 'pop',
+        variables: { side: side.name, 'minF + minB': bound }
+      });
+
+      const newNeighbors = [];
+      const updatedNeighbors = [];
+      const skipped = [];
+      let improved = false;
+      for (let [neighbor, edge] of side.neighbours(current.vertex)) {
+        if (side.settled.has(neighbor.key)) {
+          skipped.push(neighbor.name);
+          continue;
+        }
+
+        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + edgeWeight(edge, weightType), 0, edge);
+        const outcome = side.queue.offer(neighborWaypoint);
+        if (outcome === 'added') newNeighbors.push(`${neighbor.name}(${neighborWaypoint.cost})`);
+        if (outcome === 'updated') updatedNeighbors.push(`${neighbor.name}(${neighborWaypoint.cost})`);
+
+        const match = labelOf(other, neighbor.key);
+        if (match && (!best || neighborWaypoint.cost + match.cost < best.cost)) {
+          improved = true;
+          best = {
+            vertex: neighbor,
+            cost: neighborWaypoint.cost + match.cost,
+            forward: side === forward ? neighborWaypoint : match,
+            backward: side === forward ? match : neighborWaypoint
+          };
+        }
+      }
+
+      if (newNeighbors.length > 0 || updatedNeighbors.length > 0 || skipped.length > 0) {
+        const meetingNote = improved ? ` — new best route μ = ${best.cost} via ${best.vertex.name}` : '';
+        yield snapshot(current.vertex, `${side.name}: ${describeFrontierChanges(newNeighbors, updatedNeighbors, skipped)}${meetingNote}`, {
+          exploring: new Set(),
+          skipped,
+          line: improved ? 'meet' : 'relax',
+          variables: { side: side.name }
+        });
+      }
+    }
+
+    if (!best) {
+      yield snapshot(null, `❌ No path found`, { line: 'fail' });
+      return { finalWaypoint: null };
+    }
+
+    const found = joinWaypoints(best.forward, best.backward, weightType);
+    yield snapshot(null, `✅ Optimal path meets at ${best.vertex.name}! Total cost: ${found.cost}`, { found, line: 'done' });
+    return { finalWaypoint: found };
+  }
+
+  // ========================================================================
+  // HEURISTIC - Great-circle distance scaled into the chosen weight
+  // ========================================================================
+  // The admissible heuristic uses the smallest weight-per-km of any route,
+  // so it can never overestimate. The inadmissible one uses the largest,
+  // which usually overestimates and lets A* settle for a worse path.
+  buildHeuristic(destination, weightType = 'price', mode = 'admissible') {
+    if (!destination.hasCoordinates()) return () => 0;
+
+    let minRate = Infinity;
+    let maxRate = 0;
+    for (let vertex of this.vertices) {
+      for (let edge of vertex.edges) {
+        const distance = greatCircleDistance(edge.from, edge.to);
+        if (!distance) continue;
+        const rate = edgeWeight(edge, weightType) / distance;
+        minRate = Math.min(minRate, rate);
+        maxRate = Math.max(maxRate, rate);
+      }
+    }
+    if (minRate === Infinity) return () => 0;
+
+    const rate = mode === 'inadmissible' ? maxRate : minRate;
+    return vertex => {
+      const distance = greatCircleDistance(vertex, destination);
+      return distance === null ? 0 : Math.round(distance * rate * 100) / 100;
+    };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED A* - Yields step-by-step snapshots for visualization
+  // ========================================================================
+  *aStarSteps(start, destination, weightType = 'price', heuristicMode = 'admissible') {
+    const priorityQueue = new PriorityQueue(byPriority, waypointKey);
+    const visited = new Set();
+    const heuristic = this.buildHeuristic(destination, weightType, heuristicMode);
+    const scores = new Map();  // vertex key -> { g, h, f } of its best known waypoint
+    const startWaypoint = new Waypoint(start, null, 0, heuristic(start));
+    priorityQueue.offer(startWaypoint);
+    scores.set(start.key, scoreOf(startWaypoint));
+
+    yield {
+      current: null,
+      queue: [startWaypoint],
+      visited: new Set(),
+      exploring: new Set(),
+      scores: new Map(scores),
+      line: 'init',
+      description: `Starting A* (${weightType}, ${heuristicMode} heuristic) from ${start.name}`
+    };
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      visited.add(current.vertex.key);
+
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: current.cost,
+        scores: new Map(scores),
+        line: 'pop',
+        variables: { g: current.cost, h: current.heuristic, f: current.priority },
+        description: `Visiting ${current.vertex.name} (g: ${current.cost}, h: ${current.heuristic}, f: ${current.priority})`
+      };
+
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          scores: new Map(scores),
+          found: current,
+          line: 'goal',
+          description: `✅ Found path to ${destination.name}! Total cost: ${current.cost}`
+        };
+        return { finalWaypoint: current };
+      }
+
+      const newNeighbors = [];
+      const updatedNeighbors = [];
+      const skipped = [];
+      for (let edge of cheapestEdges(current.vertex, weightType)) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.key)) {
+          skipped.push(neighbor.name);
+          continue;
+        }
+
+        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + edgeWeight(edge, weightType), heuristic(neighbor), edge);
+        const outcome = priorityQueue.offer(neighborWaypoint);
+        if (outcome) scores.set(neighbor.key, scoreOf(neighborWaypoint));
+        if (outcome === 'added') newNeighbors.push(`${neighbor.name}(f: ${neighborWaypoint.priority})`);
+        if (outcome === 'updated') updatedNeighbors.push(`${neighbor.name}(f: ${neighborWaypoint.priority})`);
+      }
+
+      if (newNeighbors.length > 0 || updatedNeighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          scores: new Map(scores),
+          skipped,
+          line: newNeighbors.length + updatedNeighbors.length > 0 ? 'relax' : 'skip',
+          description: describeFrontierChanges(newNeighbors, updatedNeighbors, skipped)
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      scores: new Map(scores),
+      line: 'fail',
+      description: `❌ No path found`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED GREEDY BEST-FIRST - Always expands the closest-looking airport
+  // ========================================================================
+  // Orders the frontier by the heuristic alone, ignoring the cost so far, so
+  // it heads straight for the destination and often settles for a worse path.
+  *greedyBestFirstSteps(start, destination, weightType = 'price') {
+    const priorityQueue = new PriorityQueue(byHeuristic, waypointKey);
+    const visited = new Set();
+    const heuristic = this.buildHeuristic(destination, weightType);
+    const startWaypoint = new Waypoint(start, null, 0, heuristic(start));
+    priorityQueue.offer(startWaypoint);
+
+    yield {
+      current: null,
+      queue: [startWaypoint],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting greedy best-first (${weightType}) from ${start.name}`
+    };
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      visited.add(current.vertex.key);
+
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: current.cost,
+        line: 'pop',
+        variables: { h: current.heuristic },
+        description: `Visiting ${current.vertex.name} (h: ${current.heuristic})`
+      };
+
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Found path to ${destination.name}! Total cost: ${current.cost}`
+        };
+        return { finalWaypoint: current };
+      }
+
+      const newNeighbors = [];
+      const skipped = [];
+      for (let edge of cheapestEdges(current.vertex, weightType)) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.key)) {
+          skipped.push(neighbor.name);
+          continue;
+        }
+        if (priorityQueue.has(neighbor.key)) continue;
+
+        const neighborWaypoint = new Waypoint(neighbor, current, current.cost + edgeWeight(edge, weightType), heuristic(neighbor), edge);
+        priorityQueue.offer(neighborWaypoint);
+        newNeighbors.push(`${neighbor.name}(h: ${neighborWaypoint.heuristic})`);
+      }
+
+      if (newNeighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          skipped,
+          line: newNeighbors.length > 0 ? 'push' : 'skip',
+          description: describeFrontierChanges(newNeighbors, [], skipped)
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No path found`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED EARLIEST ARRIVAL - Time-dependent Dijkstra over the schedule
+  // ========================================================================
+  // Labels are arrival times. At each connecting airport only flights leaving
+  // at least minConnectionMinutes after landing can be taken (the origin has
+  // no minimum), and overnight layovers fall out naturally. Waypoint costs are hours
+  // elapsed since departureTime. latestDepartureTime caps the first flight out.
+  *earliestArrivalSteps(start, destination, departureTime, options = {}) {
+    const { minConnectionMinutes = 60, horizonDays = 7, latestDepartureTime = Infinity } = options;
+    const priorityQueue = new PriorityQueue(byCost, waypointKey);
+    const visited = new Set();
+    const startWaypoint = new Waypoint(start, null, 0);
+    priorityQueue.offer(startWaypoint);
+    const elapsedHours = time => Math.round((time - departureTime) / HOUR_MS * 100) / 100;
+
+    yield {
+      current: null,
+      queue: [startWaypoint],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting earliest-arrival search from ${start.name} at ${formatLocalTime(departureTime, start.timezone)}`
+    };
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      visited.add(current.vertex.key);
+      const arrivedAt = current.edge ? current.edge.arrival : departureTime;
+
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: current.cost,
+        line: 'pop',
+        variables: { arrival: formatLocalTime(arrivedAt, current.vertex.timezone) },
+        description: `Visiting ${current.vertex.name}, reached ${formatLocalTime(arrivedAt, current.vertex.timezone)} (${current.cost}h elapsed)`
+      };
+
+      if (current.vertex === destination) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Earliest arrival at ${destination.name}: ${formatLocalTime(arrivedAt, destination.timezone)} after ${current.cost}h`
+        };
+        return { finalWaypoint: current };
+      }
+
+      const readyTime = current.edge ? arrivedAt + minConnectionMinutes * MINUTE_MS : departureTime;
+      const newNeighbors = [];
+      const updatedNeighbors = [];
+      const skipped = [];
+      for (let flight of current.vertex.flights) {
+        const neighbor = flight.to;
+        if (visited.has(neighbor.key)) {
+          if (!skipped.includes(neighbor.name)) skipped.push(neighbor.name);
+          continue;
+        }
+
+        const leg = flight.nextDeparture(readyTime, horizonDays);
+        if (!leg) continue;
+        if (!current.edge && leg.departure > latestDepartureTime) continue;
+
+        const neighborWaypoint = new Waypoint(neighbor, current, elapsedHours(leg.arrival), 0, leg);
+        const outcome = priorityQueue.offer(neighborWaypoint);
+        const summary = `${neighbor.name} via ${flight.number} (${neighborWaypoint.cost}h)`;
+        if (outcome === 'added') newNeighbors.push(summary);
+        if (outcome === 'updated') updatedNeighbors.push(summary);
+      }
+
+      if (newNeighbors.length > 0 || updatedNeighbors.length > 0 || skipped.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          skipped,
+          line: newNeighbors.length + updatedNeighbors.length > 0 ? 'relax' : 'skip',
+          description: describeFrontierChanges(newNeighbors, updatedNeighbors, skipped)
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: Number.isFinite(latestDepartureTime)
+        ? `❌ No connection leaving by ${formatLocalTime(latestDepartureTime, start.timezone)}`
+        : `❌ No connection found within ${horizonDays} days`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // INSTRUMENTED PARETO SEARCH - Multi-criteria label setting
+  // ========================================================================
+  // Labels are settled in lexicographic (price, time, flights) order, so a
+  // settled label can never be dominated by one found later. Each airport
+  // keeps every non-dominated label, and any label dominated by one already
+  // at the destination is pruned.
+  *paretoSteps(start, destination) {
+    const priorityQueue = new PriorityQueue(byLexicographicCost);
+    const labels = new Map(this.vertices.map(v => [v.key, []]));  // settled labels
+    const visited = new Set();
+    const front = [];
+    const startLabel = new Label(start);
+    priorityQueue.offer(startLabel);
+
+    const isDominated = label =>
+      labels.get(label.vertex.key).some(other => other.dominates(label)) ||
+      front.some(other => other.dominates(label));
+    const snapshotLabels = () =>
+      new Map([...labels].filter(([, list]) => list.length > 0).map(([key, list]) => [key, list.map(labelScore)]));
+
+    yield {
+      current: null,
+      queue: [startLabel],
+      visited: new Set(),
+      exploring: new Set(),
+      labels: snapshotLabels(),
+      line: 'init',
+      description: `Starting Pareto search (price, time, stops) from ${start.name}`
+    };
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      if (isDominated(current)) continue;
+
+      labels.get(current.vertex.key).push(current);
+      visited.add(current.vertex.key);
+      const isDestination = current.vertex === destination;
+      if (isDestination) front.push(current);
+
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: current.cost,
+        labels: snapshotLabels(),
+        found: isDestination ? current : undefined,
+        line: isDestination ? 'goal' : 'pop',
+        description: isDestination
+          ? `🎯 Pareto-optimal route #${front.length} to ${destination.name}: ${describeLabel(current)}`
+          : `Settled label at ${current.vertex.name}: ${describeLabel(current)}`
+      };
+      if (isDestination) continue;
+
+      const newLabels = [];
+      let pruned = 0;
+      for (let edge of current.vertex.edges) {
+        const label = new Label(
+          edge.to,
+          current,
+          current.price + edge.price,
+          current.time + edge.time,
+          current.stops + 1,
+          edge
+        );
+        if (isDominated(label)) {
+          pruned++;
+          continue;
+        }
+        priorityQueue.offer(label);
+        newLabels.push(`${edge.to.name}(${describeLabel(label)})`);
+      }
+
+      if (newLabels.length > 0 || pruned > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          labels: snapshotLabels(),
+          line: newLabels.length > 0 ? 'push' : 'prune',
+          description: [
+            newLabels.length > 0 ? `Added labels: ${newLabels.join(', ')}` : null,
+            pruned > 0 ? `Pruned ${pruned} dominated label${pruned === 1 ? '' : 's'}` : null
+          ].filter(Boolean).join('; ')
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      labels: snapshotLabels(),
+      line: front.length > 0 ? 'done' : 'fail',
+      description: front.length > 0
+        ? `✅ Found ${front.length} Pareto-optimal route${front.length === 1 ? '' : 's'} to ${destination.name}`
+        : `❌ No path found`
+    };
+
+    return { front, finalWaypoint: front[0] || null };
+  }
+
+  // ========================================================================
+  // SHORTEST PATH - Plain Dijkstra without snapshots, used as a building block
+  // ========================================================================
+  // excludedVertices holds vertex keys and excludedLinks "from>to" key pairs
+  // that the path may not use. weightType may also be 'stops'.
+  shortestPath(start, destination, weightType = 'price', options = {}) {
+    const { excludedVertices = new Set(), excludedLinks = new Set() } = options;
+    if (excludedVertices.has(start.key)) return null;
+
+    const priorityQueue = new PriorityQueue(byCost, waypointKey);
+    const visited = new Set();
+    priorityQueue.offer(new Waypoint(start, null, 0));
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      if (current.vertex === destination) return current;
+      visited.add(current.vertex.key);
+
+      for (let edge of cheapestEdges(current.vertex, weightType)) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.key) || excludedVertices.has(neighbor.key)) continue;
+        if (excludedLinks.has(linkKey(current.vertex, neighbor))) continue;
+        priorityQueue.offer(new Waypoint(neighbor, current, current.cost + edgeWeight(edge, weightType), 0, edge));
+      }
+    }
+    return null;
+  }
+
+  // Every airport's cheapest waypoint from start, by vertex key
+  shortestPathsFrom(start, weightType = 'price') {
+    const priorityQueue = new PriorityQueue(byCost, waypointKey);
+    const settled = new Map();
+    priorityQueue.offer(new Waypoint(start, null, 0));
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      settled.set(current.vertex.key, current);
+      for (let edge of cheapestEdges(current.vertex, weightType)) {
+        if (settled.has(edge.to.key)) continue;
+        priorityQueue.offer(new Waypoint(edge.to, current, current.cost + edgeWeight(edge, weightType), 0, edge));
+      }
+    }
+    return settled;
+  }
+
+  // ========================================================================
+  // K SHORTEST PATHS - Yen's algorithm for loopless alternatives
+  // ========================================================================
+  // Each new route deviates from an accepted one at some spur airport: the
+  // prefix up to the spur is kept, the links that accepted routes with the
+  // same prefix took next are removed, and shortestPath finds the rest.
+  // Parallel flights count as one link, so routes differ by airports visited.
+  kShortestPaths(start, destination, k = 3, weightType = 'price') {
+    const first = this.shortestPath(start, destination, weightType);
+    if (!first) return [];
+
+    const accepted = [first];
+    const candidates = [];
+    const seen = new Set([routeKey(first)]);
+
+    while (accepted.length < k) {
+      const previous = waypointChain(accepted[accepted.length - 1]);
+
+      for (let j = 0; j < previous.length - 1; j++) {
+        const spur = previous[j];
+        const rootKey = previous.slice(0, j + 1).map(wp => wp.vertex.key).join('>');
+
+        const excludedLinks = new Set();
+        for (let route of accepted) {
+          const chain = waypointChain(route);
+          if (chain.length > j + 1 && chain.slice(0, j + 1).map(wp => wp.vertex.key).join('>') === rootKey) {
+            excludedLinks.add(linkKey(chain[j].vertex, chain[j + 1].vertex));
+          }
+        }
+        const excludedVertices = new Set(previous.slice(0, j).map(wp => wp.vertex.key));
+
+        const spurPath = this.shortestPath(spur.vertex, destination, weightType, { excludedVertices, excludedLinks });
+        if (!spurPath) continue;
+
+        // Graft the spur path onto the shared prefix
+        let route = spur;
+        for (let step of waypointChain(spurPath).slice(1)) {
+          route = new Waypoint(step.vertex, route, route.cost + edgeWeight(step.edge, weightType), 0, step.edge);
+        }
+
+        const key = routeKey(route);
+        if (!seen.has(key)) {
+          seen.add(key);
+          candidates.push(route);
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.cost - b.cost || a.getPath().length - b.getPath().length);
+      accepted.push(candidates.shift());
+    }
+
+    return accepted;
+  }
+
+  // ========================================================================
+  // INSTRUMENTED CONSTRAINED SEARCH - Resource-constrained shortest path
+  // ========================================================================
+  // Minimises weightType subject to:
+  //   maxStops, maxPrice, maxTime     - upper bounds on the whole trip
+  //   excludedAirports                - vertex keys the route may not touch
+  //   excludedLinks                   - "from>to" key pairs it may not fly
+  //   via                             - vertex keys to pass through, in order
+  // A label's state is its airport plus how many via-points it has passed.
+  // Within a state, labels no better on price, time and stops than a settled
+  // one are dropped, so the first label to settle at the destination with
+  // every via-point passed is optimal.
+  *constrainedSearchSteps(start, destination, weightType = 'price', constraints = {}) {
+    const {
+      maxStops = Infinity,
+      maxPrice = Infinity,
+      maxTime = Infinity,
+      excludedAirports = new Set(),
+      excludedLinks = new Set(),
+      via = []
+    } = constraints;
+    const objective = label => (weightType === 'stops' ? label.stops : label[weightType]);
+    const priorityQueue = new PriorityQueue((a, b) => objective(a) - objective(b) || byLexicographicCost(a, b));
+    const settled = new Map();  // "key#viaIndex" -> settled labels
+    const visited = new Set();
+    const stateKey = label => `${label.vertex.key}#${label.viaIndex}`;
+    const isDominated = label => (settled.get(stateKey(label)) || []).some(other => other.dominates(label));
+    const advanceVia = (vertex, index) => (index < via.length && via[index] === vertex.key ? index + 1 : index);
+    const viaProgress = label => (via.length > 0 ? `, via ${label.viaIndex}/${via.length}` : '');
+
+    if (excludedAirports.has(start.key) || excludedAirports.has(destination.key)) {
+      yield {
+        current: null,
+        queue: [],
+        visited: new Set(),
+        exploring: new Set(),
+        line: 'fail',
+        description: `❌ ${excludedAirports.has(start.key) ? start.name : destination.name} is on the avoid list`
+      };
+      return { finalWaypoint: null };
+    }
+
+    const startLabel = new Label(start, null, 0, 0, 0, null, advanceVia(start, 0));
+    priorityQueue.offer(startLabel);
+
+    yield {
+      current: null,
+      queue: [startLabel],
+      visited: new Set(),
+      exploring: new Set(),
+      line: 'init',
+      description: `Starting constrained search (${weightType}) from ${start.name}: ${describeConstraints(constraints)}`
+    };
+
+    while (!priorityQueue.isEmpty()) {
+      const current = priorityQueue.pop();
+      if (isDominated(current)) continue;
+
+      const key = stateKey(current);
+      if (!settled.has(key)) settled.set(key, []);
+      settled.get(key).push(current);
+      visited.add(current.vertex.key);
+
+      yield {
+        current: current.vertex,
+        queue: priorityQueue.toSortedArray(),
+        visited: new Set(visited),
+        exploring: new Set([current.vertex.key]),
+        currentCost: objective(current),
+        line: 'pop',
+        description: `Visiting ${current.vertex.name} (${describeLabel(current)}${viaProgress(current)})`
+      };
+
+      if (current.vertex === destination && current.viaIndex === via.length) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          found: current,
+          line: 'goal',
+          description: `✅ Found best route to ${destination.name} within the constraints: ${describeLabel(current)}`
+        };
+        return { finalWaypoint: current };
+      }
+
+      const added = [];
+      const pruned = [];
+      for (let edge of current.vertex.edges) {
+        const neighbor = edge.to;
+        const label = new Label(
+          neighbor,
+          current,
+          current.price + edge.price,
+          current.time + edge.time,
+          current.stops + 1,
+          edge,
+          advanceVia(neighbor, current.viaIndex)
+        );
+        // Unless this flight finishes the trip, at least one more will follow
+        const finishes = neighbor === destination && label.viaIndex === via.length;
+        const minimumStops = finishes ? label.stops - 1 : label.stops;
+
+        let reason = null;
+        if (excludedAirports.has(neighbor.key)) reason = 'avoided airport';
+        else if (excludedLinks.has(linkKey(current.vertex, neighbor))) reason = 'avoided route';
+        else if (minimumStops > maxStops) reason = `needs ${minimumStops}+ stops, max ${maxStops}`;
+        else if (label.price > maxPrice) reason = `$${label.price} over budget $${maxPrice}`;
+        else if (label.time > maxTime) reason = `${label.time}h over limit ${maxTime}h`;
+        else if (isDominated(label)) reason = 'dominated';
+
+        if (reason) {
+          pruned.push({ from: current.vertex, to: neighbor, reason });
+          continue;
+        }
+        priorityQueue.offer(label);
+        added.push(`${neighbor.name}(${objective(label)})`);
+      }
+
+      if (added.length > 0 || pruned.length > 0) {
+        yield {
+          current: current.vertex,
+          queue: priorityQueue.toSortedArray(),
+          visited: new Set(visited),
+          exploring: new Set(),
+          pruned,
+          line: added.length > 0 ? 'push' : 'prune',
+          description: [
+            added.length > 0 ? `Added to queue: ${added.join(', ')}` : null,
+            pruned.length > 0 ? `✂️ Pruned ${pruned.map(p => `${p.to.name} (${p.reason})`).join(', ')}` : null
+          ].filter(Boolean).join('; ')
+        };
+      }
+    }
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set(),
+      line: 'fail',
+      description: `❌ No route satisfies the constraints`
+    };
+
+    return { finalWaypoint: null };
+  }
+
+  // ========================================================================
+  // MULTI-CITY TOUR - Travelling salesman over pairwise shortest paths
+  // ========================================================================
+  // Shortest paths between every pair of {home, ...cities} form a cost
+  // matrix (asymmetric when routes are one-way). Up to EXACT_TOUR_LIMIT
+  // cities the best order comes from Held-Karp dynamic programming; beyond
+  // that, from a nearest-neighbour tour improved with 2-opt.
+  planTour(home, cities, weightType = 'price') {
+    const stops = [home, ...cities.filter(city => city !== home)];
+    const paths = stops.map(from => stops.map(to => (
+      from === to ? null : this.shortestPath(from, to, weightType)
+    )));
+    const matrix = paths.map(row => row.map(path => (path ? path.cost : Infinity)));
+
+    const exact = stops.length - 1 <= EXACT_TOUR_LIMIT;
+    const order = exact ? heldKarpTour(matrix) : twoOptTour(matrix, nearestNeighbourTour(matrix));
+    if (!order || !Number.isFinite(tourCost(matrix, order))) return null;
+
+    // Chain the legs into one waypoint so the whole tour plays back as a path
+    let tour = new Waypoint(home, null, 0);
+    const legs = [];
+    for (let i = 0; i < order.length - 1; i++) {
+      const leg = paths[order[i]][order[i + 1]];
+      legs.push(leg);
+      for (let step of waypointChain(leg).slice(1)) {
+        tour = new Waypoint(step.vertex, tour, tour.cost + edgeWeight(step.edge, weightType), 0, step.edge);
+      }
+    }
+
+    return {
+      order: order.map(index => stops[index]),
+      legs,
+      tour,
+      cost: tour.cost,
+      method: exact ? 'exact (Held-Karp)' : 'heuristic (nearest neighbour + 2-opt)'
+    };
+  }
+
+  // Plans the tour, then yields playback steps that fly it one leg at a time
+  *tourSteps(home, cities, weightType = 'price') {
+    const plan = this.planTour(home, cities, weightType);
+    if (!plan) {
+      yield {
+        current: null,
+        queue: [],
+        visited: new Set(),
+        exploring: new Set(),
+        line: 'fail',
+        description: `❌ No round trip from ${home.name} can reach every selected city`
+      };
+      return { finalWaypoint: null, plan: null };
+    }
+
+    const backHome = ` — ✅ back home, total cost ${plan.cost}`;
+    yield {
+      current: home,
+      queue: [],
+      visited: new Set([home.key]),
+      exploring: new Set([home.key]),
+      line: 'plan',
+      description: `Planned tour from ${home.name} — ${plan.method}: ${plan.order.map(v => v.code || v.name).join(' → ')}` +
+        (plan.legs.length === 0 ? backHome : '')
+    };
+
+    const chain = waypointChain(plan.tour);
+    const visited = new Set([home.key]);
+    let position = 0;
+    for (let [index, leg] of plan.legs.entries()) {
+      position += waypointChain(leg).length - 1;
+      const metrics = calculatePathMetrics(leg);
+      for (let vertex of metrics.path) visited.add(vertex.key);
+      yield {
+        current: leg.vertex,
+        queue: [],
+        visited: new Set(visited),
+        exploring: new Set([leg.vertex.key]),
+        found: chain[position],
+        line: 'leg',
+        description: `Leg ${index + 1}: ${metrics.pathString} · $${metrics.price} · ${metrics.time}h` +
+          (index === plan.legs.length - 1 ? backHome : '')
+      };
+    }
+
+    return { finalWaypoint: plan.tour, plan };
+  }
+
+  // ========================================================================
+  // ROUND TRIP / OPEN JAW - Outbound and return searched as two legs
+  // ========================================================================
+  // Flies origin → destination, then returnFrom → origin; an open jaw is any
+  // returnFrom other than the destination. weightType 'schedule' runs both
+  // legs as earliest-arrival searches, the return leaving no sooner than
+  // minStayHours and no later than maxStayHours after the outbound lands.
+  // Otherwise each leg is a uniform cost search by weightType.
+  *roundTripSteps(origin, destination, returnFrom = destination, weightType = 'price', options = {}) {
+    const { departureTime, minConnectionMinutes = 60, minStayHours = 0, maxStayHours = Infinity } = options;
+    const search = (from, to, leaveAfter, leaveBy) => (weightType === 'schedule'
+      ? this.earliestArrivalSteps(from, to, leaveAfter, { minConnectionMinutes, latestDepartureTime: leaveBy })
+      : this.ucsSteps(from, to, weightType));
+
+    const outbound = yield* prefixedSteps(search(origin, destination, departureTime), 'Outbound');
+    yield outbound.lastStep;
+    if (!outbound.finalWaypoint) {
+      return { outbound: null, inbound: null };
+    }
+
+    const landed = outbound.finalWaypoint.edge && outbound.finalWaypoint.edge.arrival;
+    const inbound = yield* prefixedSteps(
+      search(returnFrom, origin, landed + minStayHours * HOUR_MS, landed + maxStayHours * HOUR_MS),
+      'Return'
+    );
+    if (!inbound.finalWaypoint) {
+      yield inbound.lastStep;
+      return { outbound: outbound.finalWaypoint, inbound: null };
+    }
+
+    const legs = [outbound.finalWaypoint, inbound.finalWaypoint].map(calculatePathMetrics);
+    yield {
+      ...inbound.lastStep,
+      description: `${inbound.lastStep.description} — ✅ trip total $${legs[0].price + legs[1].price} · ` +
+        `${Math.round((legs[0].time + legs[1].time) * 100) / 100}h`
+    };
+    return { outbound: outbound.finalWaypoint, inbound: inbound.finalWaypoint };
+  }
+
+  // ========================================================================
+  // ALL PAIRS - Best cost between every two airports
+  // ========================================================================
+  // Fills a matrix over `airports` (every airport by default), rows and
+  // columns in their order: 0 on the diagonal and Infinity where there is no
+  // route. Networks of up to FLOYD_WARSHALL_LIMIT airports run Floyd–Warshall;
+  // larger ones run Dijkstra from each airport, which is far cheaper than
+  // O(n³) on networks as sparse as airline ones. Every step carries the whole
+  // matrix so far, so keep `airports` to a few hundred. The result is
+  // { airports, costs, routes, method }, where routes[i][j] is the waypoint
+  // flying from airport i to airport j, or null.
+  *allPairsSteps(weightType = 'price', airports = this.vertices) {
+    return yield* (this.vertices.length <= FLOYD_WARSHALL_LIMIT
+      ? this.floydWarshallSteps(weightType, airports)
+      : this.repeatedDijkstraSteps(weightType, airports));
+  }
+
+  // Each step allows one more airport k as a connection: after it, dist[i][j]
+  // is the best route connecting only at airports up to k. `updated` lists
+  // the [row, column] cells it improved. previous[i][j] is the airport
+  // before j on the best i → j route so far, so each row ends up as a tree
+  // of routes out of airport i.
+  *floydWarshallSteps(weightType = 'price', airports = this.vertices) {
+    const vertices = this.vertices;
+    const n = vertices.length;
+    const indexOf = new Map(vertices.map((v, i) => [v, i]));
+    const flights = vertices.map(v => new Map([...cheapestEdges(v, weightType)].map(edge => [indexOf.get(edge.to), edge])));
+    const dist = vertices.map(() => new Array(n).fill(Infinity));
+    const previous = vertices.map(() => new Array(n).fill(-1));
+
+    for (let i = 0; i < n; i++) {
+      dist[i][i] = 0;
+      for (let [j, edge] of flights[i]) {
+        if (j === i) continue;
+        dist[i][j] = edgeWeight(edge, weightType);
+        previous[i][j] = i;
+      }
+    }
+
+    const shown = airports.map(v => indexOf.get(v));
+    const cellOf = new Map(shown.map((i, position) => [i, position]));
+    const matrix = () => shown.map(i => shown.map(j => dist[i][j]));
+    const pairs = airports.length * (airports.length - 1);
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(),
+      exploring: new Set(),
+      matrix: matrix(),
+      updated: [],
+      line: 'init',
+      description: `Starting Floyd–Warshall (${weightType}): direct flights connect ` +
+        `${connectedPairs(matrix())} of ${pairs} airport pairs`
+    };
+
+    const connections = new Set();
+    for (let k = 0; k < n; k++) {
+      const updated = [];
+      for (let i = 0; i < n; i++) {
+        if (dist[i][k] === Infinity) continue;
+        for (let j = 0; j < n; j++) {
+          if (dist[i][k] + dist[k][j] < dist[i][j]) {
+            dist[i][j] = dist[i][k] + dist[k][j];
+            previous[i][j] = previous[k][j];
+            if (cellOf.has(i) && cellOf.has(j)) updated.push([cellOf.get(i), cellOf.get(j)]);
+          }
+        }
+      }
+
+      const pivot = vertices[k];
+      connections.add(pivot.key);
+      yield {
+        current: pivot,
+        queue: [],
+        visited: new Set(connections),
+        exploring: new Set([pivot.key]),
+        matrix: matrix(),
+        updated,
+        line: 'relax',
+        variables: { k: pivot.code || pivot.name, improved: updated.length },
+        description: updated.length > 0
+          ? `Connecting at ${pivot.name} improves ${updated.length} pair${updated.length === 1 ? '' : 's'}`
+          : `Connecting at ${pivot.name} improves nothing`
+      };
+    }
+
+    // Each row's routes, rebuilt from the airport before the end of each one
+    const routes = shown.map(i => {
+      const built = new Map([[i, new Waypoint(vertices[i], null, 0)]]);
+      const routeTo = j => {
+        if (!built.has(j)) {
+          const parent = routeTo(previous[i][j]);
+          const edge = flights[previous[i][j]].get(j);
+          built.set(j, new Waypoint(vertices[j], parent, parent.cost + edgeWeight(edge, weightType), 0, edge));
+        }
+        return built.get(j);
+      };
+      return shown.map(j => (j === i || dist[i][j] === Infinity ? null : routeTo(j)));
+    });
+
+    const costs = matrix();
+    yield finishedAllPairs(costs, connections);
+    return { airports, costs, routes, method: 'Floyd–Warshall' };
+  }
+
+  // One step per row: a full Dijkstra from that airport
+  *repeatedDijkstraSteps(weightType = 'price', airports = this.vertices) {
+    const costs = airports.map((from, i) => airports.map((to, j) => (i === j ? 0 : Infinity)));
+    const routes = airports.map(() => airports.map(() => null));
+
+    yield {
+      current: null,
+      queue: [],
+      visited: new Set(),
+      exploring: new Set(),
+      matrix: costs.map(row => [...row]),
+      updated: [],
+      line: 'init',
+      description: `Running Dijkstra (${weightType}) from each of ${airports.length} airports`
+    };
+
+    const sources = new Set();
+    for (let [i, source] of airports.entries()) {
+      const reached = this.shortestPathsFrom(source, weightType);
+      const updated = [];
+      airports.forEach((target, j) => {
+        const route = reached.get(target.key);
+        if (j === i || !route) return;
+        costs[i][j] = route.cost;
+        routes[i][j] = route;
+        updated.push([i, j]);
+      });
+
+      sources.add(source.key);
+      yield {
+        current: source,
+        queue: [],
+        visited: new Set(sources),
+        exploring: new Set([source.key]),
+        matrix: costs.map(row => [...row]),
+        updated,
+        line: 'dijkstra',
+        variables: { source: source.code || source.name, reached: updated.length },
+        description: `Dijkstra from ${source.name} reaches ${updated.length} of ${airports.length - 1} airports`
+      };
+    }
+
+    yield finishedAllPairs(costs.map(row => [...row]), sources);
+    return { airports, costs, routes, method: 'repeated Dijkstra' };
+  }
+
+  // ========================================================================
+  // ROUTE PLAYBACK - Flies a known route one flight at a time
+  // ========================================================================
+  // For routes found elsewhere, like a cell of the all-pairs matrix. `path`
+  // lists the airports in order; each hop takes the best flight by weightType,
+  // as the searches do.
+  *routeSteps(path, weightType = 'price') {
+    let route = new Waypoint(path[0], null, 0);
+    const visited = new Set([path[0].key]);
+    const arrived = () => ` — ✅ arrived at ${route.vertex.name}, total cost ${route.cost}`;
+
+    yield {
+      current: path[0],
+      queue: [],
+      visited: new Set(visited),
+      exploring: new Set([path[0].key]),
+      ...(path.length === 1 ? { found: route } : {}),
+      line: path.length === 1 ? 'done' : 'init',
+      description: `Starting at ${path[0].name}` + (path.length === 1 ? arrived() : '')
+    };
+
+    for (let hop = 1; hop < path.length; hop++) {
+      const [from, to] = [path[hop - 1], path[hop]];
+      const edge = [...cheapestEdges(from, weightType)].find(candidate => candidate.to === to);
+      if (!edge) {
+        yield {
+          current: from,
+          queue: [],
+          visited: new Set(visited),
+          exploring: new Set(),
+          line: 'fail',
+          description: `❌ There is no flight from ${from.name} to ${to.name}`
+        };
+        return { finalWaypoint: null };
+      }
+
+      route = new Waypoint(to, route, route.cost + edgeWeight(edge, weightType), 0, edge);
+      visited.add(to.key);
+      yield {
+        current: to,
+        queue: [],
+        visited: new Set(visited),
+        exploring: new Set([to.key]),
+        found: route,
+        line: 'fly',
+        description: `Flight ${hop} of ${path.length - 1}: ${from.code || from.name} → ${to.code || to.name}` +
+          ` · ${[edge.airline, `${edge.time}h`, `$${edge.price}`].filter(Boolean).join(' · ')}` +
+          (hop === path.length - 1 ? arrived() : '')
+      };
+    }
+
+    return { finalWaypoint: route };
+  }
+}
+
+// One edge per neighbour: the best of any parallel flights by weightType,
+// with the other weight breaking ties
+function cheapestEdges(vertex, weightType) {
+  return cheapestByEndpoint(vertex.edges, edge => edge.to, weightType);
+}
+
+// The same for flights arriving at an airport, one per origin
+function cheapestIncomingEdges(edges, weightType) {
+  return cheapestByEndpoint(edges, edge => edge.from, weightType);
+}
+
+function cheapestByEndpoint(edges, endpointOf, weightType) {
+  const best = new Map();
+  for (let edge of edges) {
+    const known = best.get(endpointOf(edge));
+    if (!known || compareEdges(edge, known, weightType) < 0) best.set(endpointOf(edge), edge);
+  }
+  return best.values();
+}
+
+function compareEdges(a, b, weightType) {
+  return weightType === 'time'
+    ? a.time - b.time || a.price - b.price
+    : a.price - b.price || a.time - b.time;  // 'price', and 'stops' ties broken by price
+}
+
+function edgeWeight(edge, weightType) {
+  if (weightType === 'stops') return 1;
+  return weightType === 'time' ? edge.time : edge.price;
+}
+
+// Continues a forward waypoint along a backward search's chain to its root.
+// Backward waypoints record the flight leaving their airport towards the root.
+function joinWaypoints(forwardWaypoint, backwardWaypoint, weightType) {
+  let joined = forwardWaypoint;
+  for (let step = backwardWaypoint; step.parent !== null; step = step.parent) {
+    joined = new Waypoint(step.parent.vertex, joined, joined.cost + edgeWeight(step.edge, weightType), 0, step.edge);
+  }
+  return joined;
+}
+
+// Yields a search's steps with `prefix: ` on their descriptions, all but the
+// last, which is returned alongside the search's result for the caller to
+// finish off and yield itself
+function* prefixedSteps(steps, prefix) {
+  let last = null;
+  let next = steps.next();
+  while (!next.done) {
+    if (last) yield last;
+    last = { ...next.value, description: `${prefix}: ${next.value.description}` };
+    next = steps.next();
+  }
+  return { ...next.value, lastStep: last };
+}
+
+// Off-diagonal cells with a route
+function connectedPairs(matrix) {
+  return matrix.reduce((count, row, i) => count + row.filter((cost, j) => j !== i && cost !== Infinity).length, 0);
+}
+
+function finishedAllPairs(costs, used) {
+  const n = costs.length;
+  return {
+    current: null,
+    queue: [],
+    visited: new Set(used),
+    exploring: new Set(),
+    matrix: costs,
+    updated: [],
+    line: 'done',
+    description: `✅ All pairs done: ${connectedPairs(costs)} of ${n * (n - 1)} airport pairs have a route`
+  };
+}
+
+function linkKey(from, to) {
+  return `${from.key}>${to.key}`;
+}
+
+// The waypoints from the start to this one, in order
+export function waypointChain(waypoint) {
+  const chain = [];
+  for (let current = waypoint; current !== null; current = current.parent) {
+    chain.unshift(current);
+  }
+  return chain;
+}
+
+function routeKey(waypoint) {
+  return waypoint.getPath().map(v => v.key).join('>');
+}
+
+function byCost(a, b) {
+  return a.cost - b.cost;
+}
+
+// Ties on f go to the waypoint closer to the destination
+function byPriority(a, b) {
+  return a.priority - b.priority || a.heuristic - b.heuristic;
+}
+
+// Greedy best-first ignores the cost so far except to break ties
+function byHeuristic(a, b) {
+  return a.heuristic - b.heuristic || a.cost - b.cost;
+}
+
+function waypointKey(waypoint) {
+  return waypoint.vertex.key;
+}
+
+function describeFrontierChanges(added, updated, skipped = []) {
+  const parts = [];
+  if (added.length > 0) parts.push(`Added to queue: ${added.join(', ')}`);
+  if (updated.length > 0) parts.push(`Found cheaper route to: ${updated.join(', ')}`);
+  if (skipped.length > 0) parts.push(describeSkipped(skipped));
+  return parts.join('; ');
+}
+
+function describeSkipped(skipped) {
+  return `Skipped already visited: ${skipped.join(', ')}`;
+}
+
+function byLexicographicCost(a, b) {
+  return a.price - b.price || a.time - b.time || a.stops - b.stops;
+}
+
+function labelScore(label) {
+  return { price: label.price, time: label.time, stops: label.stops };
+}
+
+function describeLabel(label) {
+  return `$${label.price}, ${label.time}h, ${label.stops} flight${label.stops === 1 ? '' : 's'}`;
+}
+
+function describeConstraints(constraints) {
+  const parts = [];
+  if (Number.isFinite(constraints.maxStops)) parts.push(`≤ ${constraints.maxStops} stops`);
+  if (Number.isFinite(constraints.maxPrice)) parts.push(`≤ $${constraints.maxPrice}`);
+  if (Number.isFinite(constraints.maxTime)) parts.push(`≤ ${constraints.maxTime}h`);
+  if (constraints.excludedAirports?.size > 0) parts.push(`avoiding ${[...constraints.excludedAirports].join(', ')}`);
+  if (constraints.excludedLinks?.size > 0) parts.push(`${constraints.excludedLinks.size} avoided route(s)`);
+  if (constraints.via?.length > 0) parts.push(`via ${constraints.via.join(' → ')}`);
+  return parts.length > 0 ? parts.join(', ') : 'no constraints';
+}
+
+function scoreOf(waypoint) {
+  return { g: waypoint.cost, h: waypoint.heuristic, f: waypoint.priority };
+}
+
+export function calculatePathMetrics(waypoint) {
+  const path = waypoint.getPath();
+  const edges = [];
+  for (let current = waypoint; current.parent !== null; current = current.parent) {
+    // Waypoints record the flight they took; fall back to the cheapest for any that don't
+    edges.unshift(current.edge ||
+      [...cheapestEdges(current.parent.vertex, 'price')].find(e => e.to === current.vertex));
+  }
+
+  let totalTime = 0;
+  let totalPrice = 0;
+  let totalStops = path.length - 2;
+  
+  for (let edge of edges) {
+    if (edge) {
+      totalTime += edge.time;
+      totalPrice += edge.price;
+    }
+  }
+  
+  // Scheduled journeys count door-to-door time, including layovers
+  let itinerary = null;
+  if (edges.length > 0 && edges.every(edge => edge instanceof FlightLeg)) {
+    itinerary = edges.map((leg, i) => ({
+      leg,
+      layoverHours: i + 1 < edges.length
+        ? Math.round((edges[i + 1].departure - leg.arrival) / HOUR_MS * 100) / 100
+        : null
+    }));
+    totalTime = Math.round((edges[edges.length - 1].arrival - edges[0].departure) / HOUR_MS * 100) / 100;
+  }
+  
+  return {
+    path: path,
+    edges: edges,
+    itinerary: itinerary,
+    pathString: path.map(v => v.label).join(' → '),
+    time: totalTime,
+    price: totalPrice,
+    stops: totalStops
+  };
+}
+
+export function buildGraph(airportList, routeList, scheduleList = []) {
+  const g = new Graph();
+  const vertexArray = [];
+  const vertexByKey = new Map();
+  const keys = new Set();
+  
+  for (let i = 0; i < airportList.length; i++) {
+    const { name, ...details } = airportList[i];
+    const vertex = new Vertex(name, i, details);
+    // Routes name airports by key, so a second airport with the same one
+    // would take over the first one's routes
+    const key = vertex.key.toUpperCase();
+    if (keys.has(key)) throw new Error(`Two airports share the key "${vertex.key}"`);
+    keys.add(key);
+    vertexArray.push(vertex);
+    vertexByKey.set(key, vertex);
+    if (vertex.icao) vertexByKey.set(vertex.icao, vertex);
+    g.addVertex(vertex);
+  }
+  
+  // Codes take precedence; bare integers fall back to the airport's line index
+  function resolve(reference) {
+    const vertex = vertexByKey.get(reference.toUpperCase()) ||
+      (/^\d+$/.test(reference) ? vertexArray[parseInt(reference)] : undefined);
+    if (!vertex) {
+      throw new Error(`Route references unknown airport "${reference}"`);
+    }
+    return vertex;
+  }
+
+  for (let route of routeList) {
+    if (route.oneWay) {
+      g.addEdge(resolve(route.from), resolve(route.to), route.time, route.price, route);
+    } else {
+      g.addUndirectedEdge(resolve(route.from), resolve(route.to), route.time, route.price, route);
+    }
+  }
+
+  for (let entry of scheduleList) {
+    g.addScheduledFlight(new ScheduledFlight(
+      entry.flight,
+      resolve(entry.from),
+      resolve(entry.to),
+      entry.departure,
+      entry.arrival,
+      entry.days,
+      entry.price,
+      entry.airline
+    ));
+  }
+  
+  return g;
+}
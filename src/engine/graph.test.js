@@ -0,0 +1,395 @@
+import fs from 'fs';
+import path from 'path';
+import { buildGraph, loadGraph, collectSteps, calculatePathMetrics, waypointChain, HOUR_MS, FLOYD_WARSHALL_LIMIT } from '.';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const network = loadGraph(readData('airports.csv'), readData('routes.csv'), readData('schedule.csv'));
+
+// Airports named by their codes; routes as [from, to, time, price, extra]
+function tinyGraph(codes, routes) {
+  return buildGraph(
+    codes.map(code => ({ name: code, code })),
+    routes.map(([from, to, time, price, extra = {}]) => ({ from, to, time, price, ...extra }))
+  );
+}
+
+// Every loopless route, for checking optimality by brute force
+function allRoutes(graph, from, to, route = [from], edges = []) {
+  if (from === to) return [edges];
+  return from.edges
+    .filter(edge => !route.includes(edge.to))
+    .flatMap(edge => allRoutes(graph, edge.to, to, [...route, edge.to], [...edges, edge]));
+}
+
+function bestRoute(graph, from, to, weightOf) {
+  const totals = allRoutes(graph, from, to).map(edges => edges.reduce((sum, edge) => sum + weightOf(edge), 0));
+  return totals.length > 0 ? Math.min(...totals) : null;
+}
+
+const WEIGHTS = { price: edge => edge.price, time: edge => edge.time, stops: () => 1 };
+
+// The waypoint chain follows real flights from start to destination
+function expectValidRoute(waypoint, start, destination) {
+  const chain = waypointChain(waypoint);
+  expect(chain[0].vertex).toBe(start);
+  expect(chain[chain.length - 1].vertex).toBe(destination);
+  for (let i = 1; i < chain.length; i++) {
+    expect(chain[i].edge.from).toBe(chain[i - 1].vertex);
+    expect(chain[i].edge.to).toBe(chain[i].vertex);
+  }
+}
+
+const pairs = network.vertices.flatMap(a => network.vertices.filter(b => b !== a).map(b => [a, b]));
+
+describe('optimal searches on the bundled network', () => {
+  test.each(['price', 'time'])('UCS finds the cheapest route by %s', weightType => {
+    for (let [start, destination] of pairs) {
+      const { finalWaypoint } = collectSteps(network.ucsSteps(start, destination, weightType));
+      expectValidRoute(finalWaypoint, start, destination);
+      expect(finalWaypoint.cost).toBe(bestRoute(network, start, destination, WEIGHTS[weightType]));
+    }
+  });
+
+  test.each(['price', 'time'])('admissible A* and bidirectional Dijkstra match UCS by %s', weightType => {
+    for (let [start, destination] of pairs) {
+      const best = bestRoute(network, start, destination, WEIGHTS[weightType]);
+      const aStar = collectSteps(network.aStarSteps(start, destination, weightType, 'admissible')).finalWaypoint;
+      const bidirectional = collectSteps(network.bidirectionalDijkstraSteps(start, destination, weightType)).finalWaypoint;
+      expectValidRoute(aStar, start, destination);
+      expectValidRoute(bidirectional, start, destination);
+      expect(aStar.cost).toBe(best);
+      expect(bidirectional.cost).toBe(best);
+    }
+  });
+
+  test('admissible A* finds the fewest flights when optimising stops', () => {
+    for (let [start, destination] of pairs) {
+      const { finalWaypoint } = collectSteps(network.aStarSteps(start, destination, 'stops', 'admissible'));
+      expectValidRoute(finalWaypoint, start, destination);
+      expect(finalWaypoint.cost).toBe(bestRoute(network, start, destination, WEIGHTS.stops));
+    }
+  });
+
+  test('BFS, iterative deepening and bidirectional BFS find the fewest flights', () => {
+    for (let [start, destination] of pairs) {
+      const fewest = bestRoute(network, start, destination, WEIGHTS.stops);
+      for (let steps of [
+        network.bfsSteps(start, destination),
+        network.iterativeDeepeningSteps(start, destination),
+        network.bidirectionalBfsSteps(start, destination)
+      ]) {
+        const { finalWaypoint } = collectSteps(steps);
+        expectValidRoute(finalWaypoint, start, destination);
+        expect(waypointChain(finalWaypoint).length - 1).toBe(fewest);
+      }
+    }
+  });
+
+  test('DFS and greedy best-first find some route', () => {
+    for (let [start, destination] of pairs) {
+      expectValidRoute(collectSteps(network.dfsSteps(start, destination)).finalWaypoint, start, destination);
+      expectValidRoute(collectSteps(network.greedyBestFirstSteps(start, destination)).finalWaypoint, start, destination);
+    }
+  });
+
+  test('the Pareto front holds the cheapest and fastest routes and nothing dominated', () => {
+    for (let [start, destination] of pairs) {
+      const { front } = collectSteps(network.paretoSteps(start, destination));
+      expect(Math.min(...front.map(label => label.price))).toBe(bestRoute(network, start, destination, WEIGHTS.price));
+      expect(Math.min(...front.map(label => label.time))).toBe(bestRoute(network, start, destination, WEIGHTS.time));
+      for (let label of front) {
+        expectValidRoute(label, start, destination);
+        expect(front.some(other => other !== label && other.dominates(label))).toBe(false);
+      }
+    }
+  });
+
+  test('K shortest paths are distinct and in order of cost', () => {
+    const [start, destination] = [network.getVertexByCode('SFO'), network.getVertexByCode('SYD')];
+    const routes = network.kShortestPaths(start, destination, 4, 'price');
+    expect(routes.length).toBeGreaterThan(1);
+    expect(routes[0].cost).toBe(bestRoute(network, start, destination, WEIGHTS.price));
+    routes.forEach(route => expectValidRoute(route, start, destination));
+    expect(routes.map(route => route.cost)).toEqual([...routes.map(route => route.cost)].sort((a, b) => a - b));
+    expect(new Set(routes.map(route => route.getPath().map(v => v.key).join('>'))).size).toBe(routes.length);
+  });
+});
+
+describe('constrained search', () => {
+  const start = network.getVertexByCode('SFO');
+  const destination = network.getVertexByCode('SYD');
+
+  test('respects the stop limit and avoided airports', () => {
+    const unconstrained = collectSteps(network.constrainedSearchSteps(start, destination, 'price')).finalWaypoint;
+    const avoided = unconstrained.getPath()[2].key;  // SFO only flies to JFK
+    const { finalWaypoint } = collectSteps(network.constrainedSearchSteps(start, destination, 'price', {
+      maxStops: 2,
+      excludedAirports: new Set([avoided])
+    }));
+
+    expectValidRoute(finalWaypoint, start, destination);
+    expect(finalWaypoint.stops).toBeLessThanOrEqual(3);  // flights taken, so two stops on the way
+    expect(finalWaypoint.getPath().map(v => v.key)).not.toContain(avoided);
+  });
+
+  test('passes through the via-points in order', () => {
+    const { finalWaypoint } = collectSteps(network.constrainedSearchSteps(start, destination, 'price', { via: ['CDG'] }));
+    expect(finalWaypoint.getPath().map(v => v.key)).toContain('CDG');
+  });
+
+  test('reports no route when the limits rule every one out', () => {
+    const { steps, finalWaypoint } = collectSteps(network.constrainedSearchSteps(start, destination, 'price', { maxPrice: 1 }));
+    expect(finalWaypoint).toBeNull();
+    expect(steps[steps.length - 1].description).toMatch(/^❌/);
+  });
+});
+
+describe('ties', () => {
+  // Two routes from AAA to DDD at the same total price
+  const graph = tinyGraph(['AAA', 'BBB', 'CCC', 'DDD'], [
+    ['AAA', 'BBB', 2, 100],
+    ['BBB', 'DDD', 2, 100],
+    ['AAA', 'CCC', 1, 150],
+    ['CCC', 'DDD', 1, 50]
+  ]);
+  const [a, , , d] = graph.vertices;
+
+  test('searches return one of the tied routes at the optimal cost, the same one every time', () => {
+    for (let search of ['ucsSteps', 'aStarSteps', 'bidirectionalDijkstraSteps']) {
+      const first = collectSteps(graph[search](a, d, 'price')).finalWaypoint;
+      const again = collectSteps(graph[search](a, d, 'price')).finalWaypoint;
+      expect(first.cost).toBe(200);
+      expect(again.getPath()).toEqual(first.getPath());
+    }
+  });
+
+  test('BFS takes the two-flight route either way', () => {
+    expect(collectSteps(graph.bfsSteps(a, d)).finalWaypoint.getPath()).toHaveLength(3);
+  });
+
+  test('equally priced parallel flights resolve to the faster one', () => {
+    const parallel = tinyGraph(['AAA', 'BBB'], [
+      ['AAA', 'BBB', 9, 100, { airline: 'SL' }],
+      ['AAA', 'BBB', 5, 100, { airline: 'FS' }]
+    ]);
+    const { finalWaypoint } = collectSteps(parallel.ucsSteps(parallel.vertices[0], parallel.vertices[1], 'price'));
+    expect(calculatePathMetrics(finalWaypoint)).toMatchObject({ price: 100, time: 5 });
+    expect(finalWaypoint.edge.airline).toBe('FS');
+  });
+});
+
+describe('unreachable destinations', () => {
+  // ZZZ has no routes; BBB -> AAA is one-way
+  const graph = tinyGraph(['AAA', 'BBB', 'CCC', 'ZZZ'], [
+    ['BBB', 'AAA', 1, 10, { oneWay: true }],
+    ['BBB', 'CCC', 1, 10]
+  ]);
+  const [a, b, , z] = graph.vertices;
+  const searches = {
+    bfs: (from, to) => graph.bfsSteps(from, to),
+    dfs: (from, to) => graph.dfsSteps(from, to),
+    iddfs: (from, to) => graph.iterativeDeepeningSteps(from, to),
+    ucs: (from, to) => graph.ucsSteps(from, to),
+    astar: (from, to) => graph.aStarSteps(from, to),
+    greedy: (from, to) => graph.greedyBestFirstSteps(from, to),
+    bidirectionalBfs: (from, to) => graph.bidirectionalBfsSteps(from, to),
+    bidirectionalDijkstra: (from, to) => graph.bidirectionalDijkstraSteps(from, to),
+    constrained: (from, to) => graph.constrainedSearchSteps(from, to)
+  };
+
+  test.each(Object.keys(searches))('%s reports no route to an isolated airport or against a one-way route', name => {
+    for (let [from, to] of [[a, z], [a, b]]) {
+      const { steps, finalWaypoint } = collectSteps(searches[name](from, to));
+      expect(finalWaypoint).toBeNull();
+      expect(steps[steps.length - 1].description).toMatch(/^❌/);
+    }
+  });
+
+  test('the Pareto front is empty', () => {
+    expect(collectSteps(graph.paretoSteps(a, z)).front).toEqual([]);
+  });
+
+  test('the one-way route can still be flown the other way', () => {
+    expect(collectSteps(graph.ucsSteps(b, a)).finalWaypoint.cost).toBe(10);
+  });
+});
+
+describe('schedules', () => {
+  const start = network.getVertexByCode('SFO');
+  const destination = network.getVertexByCode('JFK');
+  const departure = Date.UTC(2026, 0, 5, 12);  // a Monday, 04:00 in San Francisco
+
+  test('earliest arrival leaves after the departure time and connects legally', () => {
+    const { finalWaypoint } = collectSteps(network.earliestArrivalSteps(start, destination, departure, { minConnectionMinutes: 60 }));
+    const legs = calculatePathMetrics(finalWaypoint).edges;
+    expect(legs[0].departure).toBeGreaterThanOrEqual(departure);
+    for (let i = 1; i < legs.length; i++) {
+      expect(legs[i].departure - legs[i - 1].arrival).toBeGreaterThanOrEqual(HOUR_MS);
+    }
+  });
+
+  test('no later departure arrives sooner', () => {
+    const arrivalOf = time => collectSteps(network.earliestArrivalSteps(start, destination, time)).finalWaypoint.edge.arrival;
+    const earliest = arrivalOf(departure);
+    for (let hours = 1; hours <= 24; hours++) {
+      expect(arrivalOf(departure + hours * HOUR_MS)).toBeGreaterThanOrEqual(earliest);
+    }
+  });
+});
+
+describe('tours', () => {
+  const home = network.getVertexByCode('SFO');
+  const cities = ['CDG', 'SYD', 'GIG'].map(code => network.getVertexByCode(code));
+
+  test('visits every city and ends at home, at the cheapest order', () => {
+    const plan = network.planTour(home, cities, 'price');
+    expect(plan.order[0]).toBe(home);
+    expect(new Set(plan.order)).toEqual(new Set([home, ...cities]));
+    expect(plan.tour.vertex).toBe(home);
+
+    // Every order of the three cities, costed from pairwise cheapest routes
+    const cost = (from, to) => bestRoute(network, from, to, WEIGHTS.price);
+    const orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]].map(order => order.map(i => cities[i]));
+    const best = Math.min(...orders.map(order => [home, ...order, home]
+      .slice(1)
+      .reduce((total, city, i, rest) => total + cost(i === 0 ? home : rest[i - 1], city), 0)));
+    expect(plan.cost).toBe(best);
+  });
+
+  test('plays back one step per leg after the plan', () => {
+    const { steps, plan } = collectSteps(network.tourSteps(home, cities, 'price'));
+    expect(steps).toHaveLength(plan.legs.length + 1);
+    expect(steps[steps.length - 1].description).toMatch(/back home/);
+  });
+
+  test.each([
+    ['no cities', []],
+    ['only home', [home]]
+  ])('with %s is a free tour that never leaves', (name, stops) => {
+    const { steps, plan } = collectSteps(network.tourSteps(home, stops, 'price'));
+    expect(plan).toMatchObject({ order: [home], legs: [], cost: 0 });
+    expect(plan.tour.vertex).toBe(home);
+    expect(steps).toHaveLength(1);
+    expect(steps[0].description).toMatch(/back home, total cost 0/);
+  });
+});
+
+describe('round trips', () => {
+  const origin = network.getVertexByCode('SFO');
+  const destination = network.getVertexByCode('CDG');
+
+  test('finds both legs and totals them on the last step', () => {
+    const { steps, outbound, inbound } = collectSteps(network.roundTripSteps(origin, destination));
+    expectValidRoute(outbound, origin, destination);
+    expectValidRoute(inbound, destination, origin);
+    expect(steps[0].description).toMatch(/^Outbound: /);
+    expect(steps[steps.length - 1].description).toMatch(/^Return: .*trip total/);
+  });
+
+  test.each(['price', 'time', 'stops'])('flies each leg the best way by %s', weightType => {
+    const sydney = network.getVertexByCode('SYD');
+    const { outbound, inbound } = collectSteps(network.roundTripSteps(origin, sydney, sydney, weightType));
+    expect(outbound.cost).toBe(bestRoute(network, origin, sydney, WEIGHTS[weightType]));
+    expect(inbound.cost).toBe(bestRoute(network, sydney, origin, WEIGHTS[weightType]));
+  });
+
+  test('counts the fewest stops on both legs when optimising stops', () => {
+    const sydney = network.getVertexByCode('SYD');
+    const { outbound, inbound } = collectSteps(network.roundTripSteps(origin, sydney, sydney, 'stops'));
+    const fewestStops = (from, to) => bestRoute(network, from, to, WEIGHTS.stops) - 1;
+    expect(calculatePathMetrics(outbound).stops).toBe(fewestStops(origin, sydney));
+    expect(calculatePathMetrics(inbound).stops).toBe(fewestStops(sydney, origin));
+  });
+
+  test('stops after the outbound leg when it cannot be flown', () => {
+    const graph = tinyGraph(['AAA', 'BBB'], []);
+    const { steps, outbound, inbound } = collectSteps(graph.roundTripSteps(graph.vertices[0], graph.vertices[1]));
+    expect(outbound).toBeNull();
+    expect(inbound).toBeNull();
+    expect(steps.every(step => step.description.startsWith('Outbound: '))).toBe(true);
+  });
+});
+
+describe('all pairs', () => {
+  const n = network.vertices.length;
+
+  test.each(['price', 'time', 'stops'])('Floyd–Warshall and repeated Dijkstra find every best route by %s', weightType => {
+    const floydWarshall = collectSteps(network.floydWarshallSteps(weightType));
+    const dijkstra = collectSteps(network.repeatedDijkstraSteps(weightType));
+    expect(floydWarshall.costs).toEqual(dijkstra.costs);
+
+    const expected = network.vertices.map(from => network.vertices.map(to => {
+      const best = from === to ? 0 : bestRoute(network, from, to, WEIGHTS[weightType]);
+      return best === null ? Infinity : best;
+    }));
+    expect(floydWarshall.costs).toEqual(expected);
+
+    // A route for every pair of different airports that has one, at its best cost
+    const routeCosts = expected.map((row, i) => row.map((cost, j) => (i === j || cost === Infinity ? null : cost)));
+    for (let { routes } of [floydWarshall, dijkstra]) {
+      expect(routes.map(row => row.map(route => route && route.cost))).toEqual(routeCosts);
+      routes.forEach((row, i) => row.forEach((route, j) => {
+        if (route) expectValidRoute(route, network.vertices[i], network.vertices[j]);
+      }));
+    }
+  });
+
+  test('after step k, Floyd–Warshall has the best routes connecting only at the first k airports', () => {
+    const { steps } = collectSteps(network.floydWarshallSteps('price'));
+    expect(steps).toHaveLength(n + 2);
+
+    steps.slice(0, n + 1).forEach((step, k) => {
+      const allowed = new Set(network.vertices.slice(0, k));
+      network.vertices.forEach((from, i) => network.vertices.forEach((to, j) => {
+        if (i === j) return;
+        const totals = allRoutes(network, from, to)
+          .filter(edges => edges.slice(0, -1).every(edge => allowed.has(edge.to)))
+          .map(edges => edges.reduce((sum, edge) => sum + edge.price, 0));
+        expect(step.matrix[i][j]).toBe(totals.length > 0 ? Math.min(...totals) : Infinity);
+      }));
+    });
+
+    // Step k connects at the k-th airport and marks the cells it improved
+    steps.slice(1, n + 1).forEach((step, k) => {
+      const changed = step.matrix.flatMap((row, i) => row.flatMap((cost, j) => (cost !== steps[k].matrix[i][j] ? [[i, j]] : [])));
+      expect(step.updated).toEqual(changed);
+      expect(step.current).toBe(network.vertices[k]);
+    });
+  });
+
+  test('a matrix over some of the airports keeps their order', () => {
+    const airports = ['SYD', 'SFO', 'CDG'].map(code => network.getVertexByCode(code));
+    const { costs, steps } = collectSteps(network.allPairsSteps('price', airports));
+    expect(costs).toEqual(airports.map(from => airports.map(to => (from === to ? 0 : network.shortestPath(from, to).cost))));
+    expect(steps.every(step => step.matrix.length === 3)).toBe(true);
+  });
+
+  test('larger networks run Dijkstra from each airport', () => {
+    const codes = Array.from({ length: FLOYD_WARSHALL_LIMIT + 1 }, (_, i) => `A${i}`);
+    const line = tinyGraph(codes, codes.slice(1).map((code, i) => [codes[i], code, 1, 10]));
+    const airports = [line.vertices[0], line.vertices[50], line.vertices[100]];
+    const { steps, costs, method } = collectSteps(line.allPairsSteps('price', airports));
+    expect(method).toBe('repeated Dijkstra');
+    expect(costs).toEqual([[0, 500, 1000], [500, 0, 500], [1000, 500, 0]]);
+    expect(steps.map(step => step.line)).toEqual(['init', 'dijkstra', 'dijkstra', 'dijkstra', 'done']);
+  });
+});
+
+describe('route playback', () => {
+  const path = ['SFO', 'JFK', 'CDG', 'SYD'].map(code => network.getVertexByCode(code));
+
+  test('flies the route a flight at a time', () => {
+    const { steps, finalWaypoint } = collectSteps(network.routeSteps(path, 'price'));
+    expect(steps).toHaveLength(4);
+    expect(finalWaypoint.getPath()).toEqual(path);
+    expect(finalWaypoint.cost).toBe(2060);
+    expect(steps[3].description).toMatch(/^Flight 3 of 3: CDG → SYD · QF · 17h · \$1200 — ✅/);
+  });
+
+  test('stops where there is no flight', () => {
+    const { steps, finalWaypoint } = collectSteps(network.routeSteps([path[0], path[3]], 'price'));
+    expect(finalWaypoint).toBeNull();
+    expect(steps[steps.length - 1].description).toMatch(/^❌/);
+  });
+});
@@ -0,0 +1,42 @@
+// =============================================================================
+// FLIGHT PLANNER ENGINE - Public API
+// =============================================================================
+// The graph, its searches and the file formats, with no React or DOM
+// dependencies, so the same code runs in the page, the search worker, tests
+// and Node scripts. Import from here rather than the individual modules.
+//
+//   const graph = loadGraph(airportsCsv, routesCsv);
+//   const sfo = graph.getVertexByCode('SFO');
+//   const { steps, finalWaypoint } = collectSteps(graph.ucsSteps(sfo, graph.getVertexByCode('SYD'), 'price'));
+//   calculatePathMetrics(finalWaypoint);  // { path, edges, pathString, time, price, stops, itinerary }
+// =============================================================================
+
+export {
+  FLOYD_WARSHALL_LIMIT,
+  Edge,
+  ScheduledFlight,
+  FlightLeg,
+  Vertex,
+  Waypoint,
+  Label,
+  Graph,
+  buildGraph,
+  waypointChain,
+  calculatePathMetrics
+} from './graph';
+export { default as PriorityQueue } from './PriorityQueue';
+export { collectSteps, searchStatistics, stepToJSON } from './steps';
+export { PSEUDOCODE } from './pseudocode';
+export { loadGraph } from './load';
+export { splitCSVLine, parseCoordinate, parseAirportsCSV, parseRoutesCSV, parseScheduleCSV } from './csv';
+export {
+  DEFAULT_OPENFLIGHTS_OPTIONS,
+  isOpenFlightsAirports,
+  isOpenFlightsRoutes,
+  parseOpenFlightsAirports,
+  parseOpenFlightsRoutes
+} from './openflights';
+export { EXACT_ANALYTICS_LIMIT, ANALYTICS_SAMPLE_SIZE, analyzeNetwork } from './analytics';
+export { serializeNetwork, parseNetworkJSON, networkToGraphML, networkToGeoJSON } from './network';
+export { greatCircleDistance, haversine } from './geo';
+export { MINUTE_MS, HOUR_MS, DAY_MS, zonedTimeToUtc, formatLocalTime, parseClockTime } from './time';
@@ -0,0 +1,34 @@
+import { buildGraph } from './graph';
+import { parseAirportsCSV, parseRoutesCSV, parseScheduleCSV } from './csv';
+import {
+  isOpenFlightsAirports,
+  isOpenFlightsRoutes,
+  parseOpenFlightsAirports,
+  parseOpenFlightsRoutes
+} from './openflights';
+
+// =============================================================================
+// NETWORK LOADING - Our CSV files or OpenFlights .dat dumps, told apart by shape
+// =============================================================================
+
+// Builds the graph from the text of an airports file, a routes file and an
+// optional schedule. `openFlightsOptions` overrides the speeds and fares
+// OpenFlights routes are priced with (see DEFAULT_OPENFLIGHTS_OPTIONS).
+export function loadGraph(airportText, routeText, scheduleText = '', openFlightsOptions = {}) {
+  let airportList;
+  let routeList;
+
+  if (isOpenFlightsAirports(airportText)) {
+    if (!isOpenFlightsRoutes(routeText)) {
+      throw new Error('OpenFlights airports must be paired with an OpenFlights routes file');
+    }
+    const imported = parseOpenFlightsRoutes(routeText, parseOpenFlightsAirports(airportText), openFlightsOptions);
+    airportList = imported.airports;
+    routeList = imported.routes;
+  } else {
+    airportList = parseAirportsCSV(airportText);
+    routeList = parseRoutesCSV(routeText);
+  }
+
+  return buildGraph(airportList, routeList, parseScheduleCSV(scheduleText));
+}
@@ -0,0 +1,167 @@
+import { calculatePathMetrics } from './graph';
+
+// =============================================================================
+// NETWORK FILES - Versioned JSON, GraphML and GeoJSON
+// =============================================================================
+// The JSON format lists every airport, one route per direction flown and any
+// timetabled flights, so importing it rebuilds the same graph, pinned
+// positions included. `scenario` records the algorithm, its options and the
+// endpoints that were picked when it was saved.
+// =============================================================================
+
+const NETWORK_FORMAT = 'flight-planner-network';
+const NETWORK_FORMAT_VERSION = 1;
+
+export function serializeNetwork(graph, scenario = null) {
+  return {
+    format: NETWORK_FORMAT,
+    version: NETWORK_FORMAT_VERSION,
+    airports: graph.vertices.map(v => ({
+      name: v.name,
+      code: v.code,
+      icao: v.icao,
+      city: v.city,
+      country: v.country,
+      latitude: v.latitude,
+      longitude: v.longitude,
+      timezone: v.timezone,
+      openFlightsId: v.openFlightsId,
+      position: v.position
+    })),
+    routes: graph.vertices.flatMap(v => v.edges.map(edge => ({
+      from: edge.from.key,
+      to: edge.to.key,
+      time: edge.time,
+      price: edge.price,
+      airline: edge.airline,
+      stops: edge.stops,
+      equipment: edge.equipment
+    }))),
+    flights: graph.vertices.flatMap(v => v.flights.map(flight => ({
+      flight: flight.number,
+      airline: flight.airline,
+      from: flight.from.key,
+      to: flight.to.key,
+      departure: flight.departure,
+      arrival: flight.arrival,
+      days: [...flight.days].sort(),
+      price: flight.price
+    }))),
+    scenario
+  };
+}
+
+// Returns the airport, route and schedule lists buildGraph takes, plus the scenario
+export function parseNetworkJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Network file is not valid JSON');
+  }
+
+  if (!data || data.format !== NETWORK_FORMAT) {
+    throw new Error('Not a flight planner network file');
+  }
+  if (!(data.version <= NETWORK_FORMAT_VERSION)) {
+    throw new Error(`Network file version ${data.version} is newer than this app supports (${NETWORK_FORMAT_VERSION})`);
+  }
+  if (!Array.isArray(data.airports) || !Array.isArray(data.routes)) {
+    throw new Error('Network file has no airports or routes list');
+  }
+
+  return {
+    airports: data.airports,
+    routes: data.routes.map(route => ({ ...route, oneWay: true })),  // already one entry per direction
+    schedule: (data.flights || []).map(flight => ({ ...flight, days: new Set(flight.days) })),
+    scenario: data.scenario || null
+  };
+}
+
+const GRAPHML_KEYS = [
+  // [for, name, attr.type]
+  ['node', 'code', 'string'],
+  ['node', 'name', 'string'],
+  ['node', 'city', 'string'],
+  ['node', 'country', 'string'],
+  ['node', 'latitude', 'double'],
+  ['node', 'longitude', 'double'],
+  ['edge', 'time', 'double'],
+  ['edge', 'price', 'double'],
+  ['edge', 'airline', 'string']
+];
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A directed graph with one edge per direction flown, for Gephi, yEd and the like
+export function networkToGraphML(graph) {
+  const data = (owner, values) => GRAPHML_KEYS
+    .filter(([forType, name]) => forType === owner && values[name] !== null && values[name] !== undefined && values[name] !== '')
+    .map(([, name]) => `      <data key="${name}">${escapeXML(values[name])}</data>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map(([forType, name, type]) => `  <key id="${name}" for="${forType}" attr.name="${name}" attr.type="${type}"/>`),
+    '  <graph id="flights" edgedefault="directed">'
+  ];
+  for (let vertex of graph.vertices) {
+    lines.push(`    <node id="${escapeXML(vertex.key)}">`, ...data('node', vertex), '    </node>');
+  }
+  graph.vertices.flatMap(v => v.edges).forEach((edge, index) => {
+    lines.push(
+      `    <edge id="e${index}" source="${escapeXML(edge.from.key)}" target="${escapeXML(edge.to.key)}">`,
+      ...data('edge', edge),
+      '    </edge>'
+    );
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+// Airports as points, one line per airport pair flown (like the map) and,
+// when given, the found path as a single line. Airports without coordinates
+// are left out.
+export function networkToGeoJSON(graph, foundWaypoint = null) {
+  const point = v => [v.longitude, v.latitude];
+  const feature = (geometry, properties) => ({ type: 'Feature', geometry, properties });
+
+  const features = graph.vertices.filter(v => v.hasCoordinates()).map(v => feature(
+    { type: 'Point', coordinates: point(v) },
+    { kind: 'airport', code: v.code, name: v.name, city: v.city, country: v.country }
+  ));
+
+  const pairs = new Map();
+  for (let vertex of graph.vertices) {
+    for (let edge of vertex.edges) {
+      if (!edge.from.hasCoordinates() || !edge.to.hasCoordinates()) continue;
+      const key = [edge.from.key, edge.to.key].sort().join('|');
+      const pair = pairs.get(key);
+      if (!pair) {
+        pairs.set(key, feature(
+          { type: 'LineString', coordinates: [point(edge.from), point(edge.to)] },
+          { kind: 'route', from: edge.from.key, to: edge.to.key, time: edge.time, price: edge.price, oneWay: true }
+        ));
+      } else if (pair.properties.from !== edge.from.key) {
+        pair.properties.oneWay = false;
+      }
+    }
+  }
+  features.push(...pairs.values());
+
+  if (foundWaypoint && foundWaypoint.getPath().every(v => v.hasCoordinates())) {
+    const metrics = calculatePathMetrics(foundWaypoint);
+    features.push(feature(
+      { type: 'LineString', coordinates: metrics.path.map(point) },
+      { kind: 'path', path: metrics.path.map(v => v.key), time: metrics.time, price: metrics.price, stops: metrics.stops }
+    ));
+  }
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  buildGraph,
+  loadGraph,
+  collectSteps,
+  serializeNetwork,
+  parseNetworkJSON,
+  networkToGraphML,
+  networkToGeoJSON
+} from '.';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const graph = loadGraph(readData('airports.csv'), readData('routes.csv'), readData('schedule.csv'));
+
+function reload(text) {
+  const { airports, routes, schedule } = parseNetworkJSON(text);
+  return buildGraph(airports, routes, schedule);
+}
+
+describe('network JSON', () => {
+  test('round-trips airports, routes in each direction and the timetable', () => {
+    const copy = reload(JSON.stringify(serializeNetwork(graph)));
+    expect(serializeNetwork(copy)).toEqual(serializeNetwork(graph));
+
+    // One-way routes stay one-way
+    const cdgToJfk = copy.getVertexByCode('CDG').edges.filter(edge => edge.to.key === 'JFK');
+    expect(cdgToJfk.map(edge => edge.airline)).toEqual(['AF']);
+  });
+
+  test('finds the same routes after a round trip', () => {
+    const copy = reload(JSON.stringify(serializeNetwork(graph)));
+    const route = g => collectSteps(g.ucsSteps(g.getVertexByCode('SFO'), g.getVertexByCode('HND'), 'price')).finalWaypoint;
+    expect(route(copy).getPath().map(v => v.key)).toEqual(route(graph).getPath().map(v => v.key));
+    expect(route(copy).cost).toBe(route(graph).cost);
+  });
+
+  test('keeps the saved scenario', () => {
+    const scenario = { algorithm: 'astar', start: 'SFO', destination: 'SYD' };
+    expect(parseNetworkJSON(JSON.stringify(serializeNetwork(graph, scenario))).scenario).toEqual(scenario);
+  });
+
+  test.each([
+    ['{', 'Network file is not valid JSON'],
+    ['null', 'Not a flight planner network file'],
+    ['{"format":"something-else"}', 'Not a flight planner network file'],
+    ['{"format":"flight-planner-network","version":2}', 'Network file version 2 is newer than this app supports (1)'],
+    ['{"format":"flight-planner-network","version":1,"airports":[]}', 'Network file has no airports or routes list']
+  ])('rejects %s', (text, message) => {
+    expect(() => parseNetworkJSON(text)).toThrow(message);
+  });
+});
+
+test('GraphML has a node per airport and an escaped edge per direction flown', () => {
+  const small = buildGraph(
+    [{ code: 'AAA', name: 'Alpha & <Co>' }, { code: 'BBB', name: 'Bravo', latitude: 1, longitude: 2 }],
+    [{ from: 'AAA', to: 'BBB', time: 2, price: 100, airline: 'XY' }]
+  );
+  const xml = networkToGraphML(small);
+  expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  expect(xml).toContain('<data key="name">Alpha &amp; &lt;Co&gt;</data>');
+  expect(xml).toContain('<data key="latitude">1</data>');
+  expect(xml).not.toMatch(/<node id="AAA">[^/]*latitude/);
+  expect(xml.match(/<node /g)).toHaveLength(2);
+  expect(xml.match(/<edge /g)).toHaveLength(2);
+  expect(xml).toContain('<edge id="e1" source="BBB" target="AAA">');
+});
+
+describe('GeoJSON', () => {
+  const collection = networkToGeoJSON(graph);
+  const ofKind = kind => collection.features.filter(feature => feature.properties.kind === kind);
+
+  test('has airports as [longitude, latitude] points and one line per pair flown', () => {
+    const sfo = graph.getVertexByCode('SFO');
+    expect(ofKind('airport')).toHaveLength(graph.vertices.length);
+    expect(ofKind('airport')[0].geometry).toEqual({ type: 'Point', coordinates: [sfo.longitude, sfo.latitude] });
+    expect(ofKind('route')).toHaveLength(15);  // 17 routes, two of them parallel
+    expect(ofKind('path')).toEqual([]);
+  });
+
+  test('marks pairs flown in only one direction', () => {
+    const oneWay = ofKind('route').filter(feature => feature.properties.oneWay);
+    expect(oneWay.map(feature => `${feature.properties.from}>${feature.properties.to}`)).toEqual(['SVO>CDG']);
+  });
+
+  test('adds the found path as one line', () => {
+    const { finalWaypoint } = collectSteps(graph.ucsSteps(graph.getVertexByCode('SFO'), graph.getVertexByCode('SYD')));
+    const [found] = networkToGeoJSON(graph, finalWaypoint).features.filter(feature => feature.properties.kind === 'path');
+    expect(found.properties.path).toEqual(finalWaypoint.getPath().map(v => v.key));
+    expect(found.geometry.coordinates).toHaveLength(found.properties.path.length);
+  });
+});
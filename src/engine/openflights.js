@@ -0,0 +1,112 @@
+import { haversine } from './geo';
+import { splitCSVLine, parseCoordinate } from './csv';
+import { airportKey } from './graph';
+
+// =============================================================================
+// OPENFLIGHTS IMPORT - airports.dat / routes.dat from openflights.org
+// =============================================================================
+// Both files are headerless quoted CSV with \N for missing values. Routes
+// carry no time or price, so those are derived from great-circle distance.
+
+export const DEFAULT_OPENFLIGHTS_OPTIONS = {
+  cruiseSpeedKmh: 800,   // average block speed
+  groundTimeHours: 0.5,  // taxi, climb and descent
+  stopHours: 1,          // extra time per intermediate stop
+  baseFare: 50,
+  farePerKm: 0.1,
+  onlyConnected: true    // drop airports that no route touches
+};
+
+// Detects OpenFlights files by shape: numeric ID first and the known column counts
+export function isOpenFlightsAirports(text) {
+  const row = splitCSVLine(firstLine(text));
+  return row.length >= 12 && /^\d+$/.test(row[0]);
+}
+
+export function isOpenFlightsRoutes(text) {
+  return splitCSVLine(firstLine(text)).length === 9;
+}
+
+function firstLine(text) {
+  return text.split('\n').find(line => line.trim().length > 0) || '';
+}
+
+function nullable(value) {
+  return value === undefined || value === '\\N' || value === '' ? null : value;
+}
+
+// Columns: ID, Name, City, Country, IATA, ICAO, Latitude, Longitude,
+// Altitude, UTC offset, DST, Tz database zone, Type, Source
+export function parseOpenFlightsAirports(text) {
+  const airports = [];
+  for (let line of text.split('\n')) {
+    if (line.trim().length === 0) continue;
+    const row = splitCSVLine(line).map(nullable);
+    const latitude = parseCoordinate(row[6]);
+    const longitude = parseCoordinate(row[7]);
+    if (latitude === null || longitude === null) continue;
+
+    airports.push({
+      openFlightsId: row[0],
+      code: row[4] || '',
+      icao: row[5] || '',
+      name: row[1] || row[4] || row[5] || `Airport ${row[0]}`,
+      city: row[2] || '',
+      country: row[3] || '',
+      latitude,
+      longitude,
+      timezone: row[11] || ''
+    });
+  }
+  return airports;
+}
+
+// Columns: Airline, Airline ID, Source airport, Source airport ID,
+// Destination airport, Destination airport ID, Codeshare, Stops, Equipment
+export function parseOpenFlightsRoutes(text, airportList, options = {}) {
+  const settings = { ...DEFAULT_OPENFLIGHTS_OPTIONS, ...options };
+  const byId = new Map();
+  const byCode = new Map();
+  for (let airport of airportList) {
+    byId.set(airport.openFlightsId, airport);
+    if (airport.code) byCode.set(airport.code, airport);
+    if (airport.icao) byCode.set(airport.icao, airport);
+  }
+  const lookup = (id, code) => (id && byId.get(id)) || (code && byCode.get(code));
+
+  const routes = [];
+  const seenFlights = new Set();
+  const connected = new Set();
+  for (let line of text.split('\n')) {
+    if (line.trim().length === 0) continue;
+    const row = splitCSVLine(line).map(nullable);
+    const from = lookup(row[3], row[2]);
+    const to = lookup(row[5], row[4]);
+    if (!from || !to || from === to) continue;
+
+    // Rows are directed; drop exact repeats of the same airline on the same leg
+    const flight = [airportKey(from), airportKey(to), row[0]].join('|');
+    if (seenFlights.has(flight)) continue;
+    seenFlights.add(flight);
+    connected.add(from).add(to);
+
+    const stops = parseInt(row[7]) || 0;
+    const distance = haversine(from.latitude, from.longitude, to.latitude, to.longitude);
+    routes.push({
+      from: airportKey(from),
+      to: airportKey(to),
+      time: Math.round((settings.groundTimeHours + distance / settings.cruiseSpeedKmh +
+        stops * settings.stopHours) * 10) / 10,
+      price: Math.round(settings.baseFare + distance * settings.farePerKm),
+      airline: row[0],
+      stops,
+      equipment: row[8],
+      oneWay: true
+    });
+  }
+
+  const airports = settings.onlyConnected
+    ? airportList.filter(airport => connected.has(airport))
+    : airportList;
+  return { airports, routes };
+}
@@ -0,0 +1,132 @@
+import {
+  DEFAULT_OPENFLIGHTS_OPTIONS,
+  isOpenFlightsAirports,
+  isOpenFlightsRoutes,
+  parseOpenFlightsAirports,
+  parseOpenFlightsRoutes,
+  loadGraph,
+  haversine
+} from '.';
+
+const AIRPORTS_DAT = [
+  '3469,"San Francisco International Airport","San Francisco","United States","SFO","KSFO",37.61899948120117,-122.375,13,-8,"A","America/Los_Angeles","airport","OurAirports"',
+  '3797,"John F Kennedy International Airport","New York","United States","JFK","KJFK",40.63980103,-73.77890015,13,-5,"A","America/New_York","airport","OurAirports"',
+  '1382,"Charles de Gaulle International Airport","Paris","France","CDG","LFPG",49.012798,2.55,392,1,"E","Europe/Paris","airport","OurAirports"',
+  '9999,"Strip, \\"North\\"","Nowhere","Nowhere",\\N,"XXNO",10,20,0,0,"U",\\N,"airport","OurAirports"',
+  '8888,"No Coordinates","Nowhere","Nowhere","NOC",\\N,\\N,\\N,0,0,"U",\\N,"airport","OurAirports"'
+].join('\n');
+
+const ROUTES_DAT = [
+  'UA,5209,SFO,3469,JFK,3797,,0,757',
+  'UA,5209,SFO,3469,JFK,3797,,0,757',
+  'B6,3029,JFK,3797,SFO,3469,,0,320',
+  'AF,137,JFK,\\N,CDG,\\N,Y,1,388',
+  'ZZ,1,SFO,3469,LAX,3484,,0,320'
+].join('\n');
+
+test('detects OpenFlights files by their shape', () => {
+  expect(isOpenFlightsAirports(AIRPORTS_DAT)).toBe(true);
+  expect(isOpenFlightsRoutes(ROUTES_DAT)).toBe(true);
+  expect(isOpenFlightsAirports('code,icao,name\nSFO,KSFO,San Francisco')).toBe(false);
+  expect(isOpenFlightsRoutes('from,to,time,price\nSFO,JFK,6,450')).toBe(false);
+});
+
+describe('parseOpenFlightsAirports', () => {
+  const airports = parseOpenFlightsAirports(AIRPORTS_DAT);
+
+  test('reads codes, places and time zones', () => {
+    expect(airports[0]).toEqual({
+      openFlightsId: '3469',
+      code: 'SFO',
+      icao: 'KSFO',
+      name: 'San Francisco International Airport',
+      city: 'San Francisco',
+      country: 'United States',
+      latitude: 37.61899948120117,
+      longitude: -122.375,
+      timezone: 'America/Los_Angeles'
+    });
+  });
+
+  test('turns \\N into empty values and skips airports without coordinates', () => {
+    expect(airports.map(airport => airport.openFlightsId)).toEqual(['3469', '3797', '1382', '9999']);
+    expect(airports[3]).toMatchObject({ code: '', icao: 'XXNO', name: 'Strip, "North"', timezone: '' });
+  });
+});
+
+describe('parseOpenFlightsRoutes', () => {
+  const airportList = parseOpenFlightsAirports(AIRPORTS_DAT);
+
+  test('keeps directed routes once per airline, by ID or by code', () => {
+    const { routes } = parseOpenFlightsRoutes(ROUTES_DAT, airportList);
+    expect(routes.map(route => `${route.airline} ${route.from}>${route.to}`)).toEqual(['UA SFO>JFK', 'B6 JFK>SFO', 'AF JFK>CDG']);
+    expect(routes.every(route => route.oneWay)).toBe(true);
+    expect(routes[2]).toMatchObject({ stops: 1, equipment: '388' });
+  });
+
+  test('prices and times routes from their great-circle distance', () => {
+    const [sfo, jfk] = airportList;
+    const distance = haversine(sfo.latitude, sfo.longitude, jfk.latitude, jfk.longitude);
+    const { routes } = parseOpenFlightsRoutes(ROUTES_DAT, airportList, { baseFare: 0, farePerKm: 1, groundTimeHours: 0 });
+    expect(routes[0].price).toBe(Math.round(distance));
+    expect(routes[0].time).toBe(Math.round(distance / DEFAULT_OPENFLIGHTS_OPTIONS.cruiseSpeedKmh * 10) / 10);
+  });
+
+  test('drops airports no route touches unless asked not to', () => {
+    expect(parseOpenFlightsRoutes(ROUTES_DAT, airportList).airports.map(airport => airport.code)).toEqual(['SFO', 'JFK', 'CDG']);
+    expect(parseOpenFlightsRoutes(ROUTES_DAT, airportList, { onlyConnected: false }).airports).toHaveLength(4);
+  });
+});
+
+describe('loadGraph', () => {
+  test('builds a graph from our CSV files', () => {
+    const graph = loadGraph(
+      'code,name,latitude,longitude\nSFO,San Francisco,37.6,-122.4\nJFK,New York,40.6,-73.8',
+      'from,to,time,price\nSFO,JFK,6,450',
+      'flight,airline,from,to,departure,arrival,days,price\nUA1,UA,SFO,JFK,07:00,15:30,daily,450'
+    );
+    const [sfo, jfk] = graph.vertices;
+    expect(graph.vertices.map(v => v.key)).toEqual(['SFO', 'JFK']);
+    expect(jfk.edges.map(edge => edge.to)).toEqual([sfo]);
+    expect(graph.hasSchedule()).toBe(true);
+  });
+
+  test('builds a graph from OpenFlights dumps with the given pricing', () => {
+    const graph = loadGraph(AIRPORTS_DAT, ROUTES_DAT, '', { baseFare: 1000 });
+    expect(graph.vertices.map(v => v.key)).toEqual(['SFO', 'JFK', 'CDG']);
+    expect(graph.getVertexByCode('CDG').edges).toEqual([]);
+    expect(graph.getVertexByCode('JFK').edges.every(edge => edge.price > 1000)).toBe(true);
+  });
+
+  test('keys codeless airports by their OpenFlights ID, so namesakes stay apart', () => {
+    const airports = [
+      '7001,"Mission Airstrip","Alpha","Nowhere",\\N,\\N,10,20,0,0,"U",\\N,"airport","OurAirports"',
+      '7002,"Mission Airstrip","Bravo","Nowhere",\\N,\\N,-10,-20,0,0,"U",\\N,"airport","OurAirports"',
+      AIRPORTS_DAT.split('\n')[0]
+    ].join('\n');
+    const routes = ['ZZ,1,\\N,7001,SFO,3469,,0,320', 'ZZ,1,\\N,7002,SFO,3469,,0,320', 'YY,2,SFO,3469,\\N,7002,,0,320'].join('\n');
+
+    const graph = loadGraph(airports, routes);
+    const [alpha, bravo, sfo] = graph.vertices;
+    expect(graph.vertices.map(v => v.key)).toEqual(['OF7001', 'OF7002', 'SFO']);
+    expect([alpha.city, bravo.city]).toEqual(['Alpha', 'Bravo']);
+    expect(alpha.edges.map(edge => edge.to)).toEqual([sfo]);
+    expect(bravo.edges.map(edge => edge.to)).toEqual([sfo]);
+    expect(sfo.edges.map(edge => edge.to)).toEqual([bravo]);
+  });
+
+  test('refuses airports that share a key', () => {
+    expect(() => loadGraph('code,name\nSFO,San Francisco\nSFO,Also San Francisco', 'from,to,time,price'))
+      .toThrow('Two airports share the key "SFO"');
+  });
+
+  test('refuses OpenFlights airports with routes in another format', () => {
+    expect(() => loadGraph(AIRPORTS_DAT, 'from,to,time,price\nSFO,JFK,6,450'))
+      .toThrow('OpenFlights airports must be paired with an OpenFlights routes file');
+  });
+
+  test('reports routes to airports it does not know', () => {
+    expect(() => loadGraph('code,name\nSFO,San Francisco', 'from,to,time,price\nSFO,LAX,1,100'))
+      .toThrow('Route references unknown airport "LAX"');
+  });
+});
@@ -0,0 +1,145 @@
+// =============================================================================
+// PSEUDOCODE - Listings for the searches' steps
+// =============================================================================
+// Each listing is [line id, indent, text]. Step snapshots name the line they
+// correspond to in their `line` field, so the page can light it.
+// =============================================================================
+
+export const PSEUDOCODE = {
+  bfs: [
+    ['init', 0, 'queue ← [start]; visited ← {start}'],
+    ['loop', 0, 'while queue is not empty:'],
+    ['dequeue', 1, 'current ← queue.dequeue()'],
+    ['goal', 1, 'if current = destination: return path(current)'],
+    ['expand', 1, 'for each neighbor of current:'],
+    ['skip', 2, 'if neighbor ∈ visited: continue'],
+    ['enqueue', 2, 'visited.add(neighbor); queue.enqueue(neighbor)'],
+    ['fail', 0, 'return failure']
+  ],
+  dfs: [
+    ['init', 0, 'stack ← [start]; visited ← ∅'],
+    ['loop', 0, 'while stack is not empty:'],
+    ['pop', 1, 'current ← stack.pop(); if current ∈ visited: continue'],
+    ['visit', 1, 'visited.add(current)'],
+    ['goal', 1, 'if current = destination: return path(current)'],
+    ['skip', 1, 'neighbors ← successors of current not in visited'],
+    ['push', 1, 'push neighbors in reverse, so the first is explored next'],
+    ['fail', 0, 'return failure']
+  ],
+  iddfs: [
+    ['deepen', 0, 'for limit ← 0, 1, 2, …:'],
+    ['init', 1, 'stack ← [start]; cutoff ← false'],
+    ['loop', 1, 'while stack is not empty:'],
+    ['pop', 2, 'current ← stack.pop(); skip it if already reached no deeper'],
+    ['goal', 2, 'if current = destination: return path(current)'],
+    ['limit', 2, 'if depth(current) = limit: cutoff ← true; continue'],
+    ['push', 2, 'push neighbors not yet reached at a shallower depth'],
+    ['exhausted', 1, 'if not cutoff: break'],
+    ['fail', 0, 'return failure']
+  ],
+  ucs: [
+    ['init', 0, 'frontier ← {start: 0}; visited ← ∅'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'current ← frontier.popMin()  // lowest g; visited.add(current)'],
+    ['goal', 1, 'if current = destination: return path(current)'],
+    ['expand', 1, 'for each neighbor of current:'],
+    ['skip', 2, 'if neighbor ∈ visited: continue'],
+    ['relax', 2, 'g ← g(current) + w(current, neighbor); keep it if lower'],
+    ['fail', 0, 'return failure']
+  ],
+  astar: [
+    ['init', 0, 'frontier ← {start: h(start)}; visited ← ∅'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'current ← frontier.popMin()  // lowest f = g + h; visited.add(current)'],
+    ['goal', 1, 'if current = destination: return path(current)'],
+    ['expand', 1, 'for each neighbor of current:'],
+    ['skip', 2, 'if neighbor ∈ visited: continue'],
+    ['relax', 2, 'g ← g(current) + w(current, neighbor); f ← g + h(neighbor); keep it if lower'],
+    ['fail', 0, 'return failure']
+  ],
+  greedy: [
+    ['init', 0, 'frontier ← {start: h(start)}; visited ← ∅'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'current ← frontier.popMin()  // lowest h; visited.add(current)'],
+    ['goal', 1, 'if current = destination: return path(current)'],
+    ['expand', 1, 'for each neighbor of current:'],
+    ['skip', 2, 'if neighbor is visited or queued: continue'],
+    ['push', 2, 'frontier.add(neighbor, h(neighbor))'],
+    ['fail', 0, 'return failure']
+  ],
+  bidirectionalBfs: [
+    ['init', 0, 'forward ← [start]; backward ← [destination]'],
+    ['loop', 0, 'while both frontiers are non-empty:'],
+    ['choose', 1, 'side ← the smaller frontier; take its whole layer'],
+    ['visit', 1, 'for each current in the layer:'],
+    ['expand', 2, 'add unseen neighbors (successors forward, predecessors backward)'],
+    ['meet', 2, 'if a neighbor was seen by the other side: remember the best meeting'],
+    ['done', 1, 'if the layer met the other side: return path through the meeting'],
+    ['fail', 0, 'return failure']
+  ],
+  bidirectionalDijkstra: [
+    ['init', 0, 'forward ← {start: 0}; backward ← {destination: 0}; μ ← ∞'],
+    ['loop', 0, 'while both frontiers are non-empty:'],
+    ['stop', 1, 'if minF + minB ≥ μ: break'],
+    ['pop', 1, 'current ← pop the side with the smaller minimum'],
+    ['relax', 1, 'relax the edges of current on that side'],
+    ['meet', 1, 'if the other side labelled a neighbor: μ ← min(μ, g + w + gOther)'],
+    ['fail', 0, 'if μ = ∞: return failure'],
+    ['done', 0, 'return path through the best meeting']
+  ],
+  earliestArrival: [
+    ['init', 0, 'arrival[start] ← departure time'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'current ← the airport with the earliest arrival'],
+    ['goal', 1, 'if current = destination: return itinerary(current)'],
+    ['expand', 1, 'for each flight leaving current after arrival + min connection:'],
+    ['skip', 2, 'if its destination is settled: continue'],
+    ['relax', 2, 'if it lands before arrival[neighbor]: update arrival[neighbor]'],
+    ['fail', 0, 'return failure']
+  ],
+  floydWarshall: [
+    ['init', 0, 'dist[i][j] ← best direct flight i → j (0 if i = j, ∞ if none)'],
+    ['loop', 0, 'for each airport k:'],
+    ['relax', 1, 'for each pair i, j: dist[i][j] ← min(dist[i][j], dist[i][k] + dist[k][j])'],
+    ['done', 0, 'return dist']
+  ],
+  repeatedDijkstra: [
+    ['init', 0, 'dist[s][t] ← ∞ for every pair (0 if s = t)'],
+    ['loop', 0, 'for each airport s:'],
+    ['dijkstra', 1, 'dist[s] ← Dijkstra from s to every airport'],
+    ['done', 0, 'return dist']
+  ],
+  pareto: [
+    ['init', 0, 'frontier ← {label(start)}; front ← ∅'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'label ← frontier.popMin(); skip it if a settled label dominates it'],
+    ['goal', 1, 'if label is at destination: front.add(label); continue'],
+    ['expand', 1, 'for each flight from label\'s airport:'],
+    ['prune', 2, 'if the extended label is dominated: continue'],
+    ['push', 2, 'frontier.add(extended label)'],
+    ['fail', 0, 'if front = ∅: return failure'],
+    ['done', 0, 'return front']
+  ],
+  constrained: [
+    ['init', 0, 'frontier ← {label(start)}'],
+    ['loop', 0, 'while frontier is not empty:'],
+    ['pop', 1, 'label ← frontier.popMin(); skip it if dominated in its state'],
+    ['goal', 1, 'if label is at destination with every via point passed: return path(label)'],
+    ['expand', 1, 'for each flight from label\'s airport:'],
+    ['prune', 2, 'if avoided, over a limit or dominated: continue'],
+    ['push', 2, 'frontier.add(extended label)'],
+    ['fail', 0, 'return failure']
+  ],
+  tour: [
+    ['matrix', 0, 'cost[i][j] ← shortest path between every two stops'],
+    ['plan', 0, 'order ← Held-Karp, or nearest neighbour + 2-opt for many cities'],
+    ['fail', 1, 'if no order reaches every stop: return failure'],
+    ['leg', 0, 'for each leg of order: fly its shortest path']
+  ],
+  route: [
+    ['init', 0, 'route ← [start]'],
+    ['fly', 0, 'for each hop along the path: route.add(best flight)'],
+    ['fail', 1, 'if there is no such flight: return failure'],
+    ['done', 0, 'return route']
+  ]
+};
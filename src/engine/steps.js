@@ -0,0 +1,62 @@
+import { Vertex, Waypoint, Label, Edge, FlightLeg } from './graph';
+
+// =============================================================================
+// STEPS - Working with the snapshots the instrumented searches yield
+// =============================================================================
+// Every step has current (the Vertex being looked at, or null), queue
+// (waypoints in priority order), visited and exploring (Sets of vertex keys)
+// and a description. Searches add what they need on top: currentCost,
+// found, scores, labels, pruned, depthLimit, skipped, backward, meeting,
+// and the pseudocode `line` and `variables` behind the step.
+// =============================================================================
+
+// Runs a step generator to the end: { steps, ...whatever the search returned }
+export function collectSteps(generator) {
+  const steps = [];
+  let next = generator.next();
+  for (; !next.done; next = generator.next()) steps.push(next.value);
+  return { steps, ...next.value };
+}
+
+// Work done by an instrumented search, read back from its snapshots
+export function searchStatistics(steps) {
+  let expanded = 0;
+  let maxFrontier = 0;
+  for (let step of steps) {
+    if (step.exploring && step.exploring.size > 0) expanded++;
+    const frontier = (step.queue ? step.queue.length : 0) + (step.backward ? step.backward.queue.length : 0);
+    maxFrontier = Math.max(maxFrontier, frontier);
+  }
+  return { expanded, maxFrontier };
+}
+
+// The step as plain data for JSON: airports become their keys, waypoints their
+// path and cost, flights their endpoints, sets arrays and maps objects. Stable
+// from run to run, so traces can be saved and diffed.
+export function stepToJSON(step) {
+  return plain(step);
+}
+
+function plain(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Vertex) return value.key;
+  if (value instanceof Label) {
+    return { path: plain(value.getPath()), price: value.price, time: value.time, stops: value.stops };
+  }
+  if (value instanceof Waypoint) return { path: plain(value.getPath()), cost: value.cost };
+  if (value instanceof Edge) {
+    return { from: value.from.key, to: value.to.key, airline: value.airline, time: value.time, price: value.price };
+  }
+  if (value instanceof FlightLeg) {
+    return {
+      flight: value.flight.number,
+      from: value.from.key,
+      to: value.to.key,
+      departure: new Date(value.departure).toISOString(),
+      arrival: new Date(value.arrival).toISOString()
+    };
+  }
+  if (value instanceof Set || Array.isArray(value)) return [...value].map(plain);
+  if (value instanceof Map) return Object.fromEntries([...value].map(([key, item]) => [plain(key), plain(item)]));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+}
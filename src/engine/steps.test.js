@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { Vertex, Waypoint, loadGraph, collectSteps, searchStatistics, stepToJSON, PSEUDOCODE } from '.';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const graph = loadGraph(readData('airports.csv'), readData('routes.csv'), readData('schedule.csv'));
+const keys = new Set(graph.vertices.map(v => v.key));
+const sfo = graph.getVertexByCode('SFO');
+const syd = graph.getVertexByCode('SYD');
+const monday = Date.UTC(2026, 0, 5, 12);
+
+// Searches that end in a single route (finalWaypoint)
+const ROUTE_SEARCHES = {
+  bfs: (from, to) => graph.bfsSteps(from, to),
+  dfs: (from, to) => graph.dfsSteps(from, to),
+  iddfs: (from, to) => graph.iterativeDeepeningSteps(from, to),
+  ucs: (from, to) => graph.ucsSteps(from, to, 'time'),
+  astar: (from, to) => graph.aStarSteps(from, to, 'price', 'inadmissible'),
+  greedy: (from, to) => graph.greedyBestFirstSteps(from, to),
+  bidirectionalBfs: (from, to) => graph.bidirectionalBfsSteps(from, to),
+  bidirectionalDijkstra: (from, to) => graph.bidirectionalDijkstraSteps(from, to),
+  earliestArrival: (from, to) => graph.earliestArrivalSteps(from, to, monday),
+  constrained: (from, to) => graph.constrainedSearchSteps(from, to, 'price', { maxStops: 3, via: ['CDG'] }),
+  route: (from, to) => graph.routeSteps(graph.shortestPath(from, to, 'time').getPath(), 'time')
+};
+
+const ALL_SEARCHES = {
+  ...ROUTE_SEARCHES,
+  pareto: (from, to) => graph.paretoSteps(from, to),
+  tour: from => graph.tourSteps(from, [syd, graph.getVertexByCode('HND')]),
+  roundTrip: (from, to) => graph.roundTripSteps(from, to, to, 'schedule', { departureTime: monday, minStayHours: 24 }),
+  floydWarshall: () => graph.floydWarshallSteps('price'),
+  repeatedDijkstra: () => graph.repeatedDijkstraSteps('stops')
+};
+
+// The pseudocode listing each search's steps refer to; a round trip by
+// schedule runs two earliest-arrival searches
+const listingOf = name => (name === 'roundTrip' ? PSEUDOCODE.earliestArrival : PSEUDOCODE[name]);
+
+function expectKeySet(set) {
+  expect(set).toBeInstanceOf(Set);
+  for (let key of set) expect(keys.has(key)).toBe(true);
+}
+
+describe.each(Object.keys(ALL_SEARCHES))('%s steps', name => {
+  const { steps } = collectSteps(ALL_SEARCHES[name](sfo, syd));
+
+  test('have the fields every view relies on', () => {
+    expect(steps.length).toBeGreaterThan(0);
+    for (let step of steps) {
+      expect(step.current === null || step.current instanceof Vertex).toBe(true);
+      expect(Array.isArray(step.queue)).toBe(true);
+      step.queue.forEach(waypoint => expect(waypoint).toBeInstanceOf(Waypoint));
+      expectKeySet(step.visited);
+      expectKeySet(step.exploring);
+      expect(typeof step.description).toBe('string');
+      expect(step.description).not.toBe('');
+    }
+    steps.filter(step => step.found).forEach(step => expect(step.found).toBeInstanceOf(Waypoint));
+    for (let { backward } of steps.filter(step => step.backward)) {
+      backward.queue.forEach(waypoint => expect(waypoint).toBeInstanceOf(Waypoint));
+      expectKeySet(backward.visited);
+    }
+  });
+
+  test('each name a line of their pseudocode listing', () => {
+    const lines = listingOf(name).map(([id]) => id);
+    for (let step of steps) expect(lines).toContain(step.line);
+  });
+
+  test('are snapshots, sharing no sets or queues with the steps around them', () => {
+    for (let i = 1; i < steps.length; i++) {
+      expect(steps[i].visited).not.toBe(steps[i - 1].visited);
+      expect(steps[i].exploring).not.toBe(steps[i - 1].exploring);
+      expect(steps[i].queue).not.toBe(steps[i - 1].queue);
+    }
+  });
+
+  test('keep the snapshots they yielded unchanged as the search goes on', () => {
+    const live = [];
+    const copies = [];
+    for (let step of { [Symbol.iterator]: () => ALL_SEARCHES[name](sfo, syd) }) {
+      live.push(step);
+      copies.push({ visited: [...step.visited], queue: [...step.queue], description: step.description });
+    }
+    live.forEach((step, i) => {
+      expect([...step.visited]).toEqual(copies[i].visited);
+      expect(step.queue).toEqual(copies[i].queue);
+      expect(step.description).toBe(copies[i].description);
+    });
+  });
+});
+
+describe.each(Object.keys(ROUTE_SEARCHES).filter(name => name !== 'constrained'))('%s result', name => {
+  test('is found on the last step, which says so', () => {
+    const { steps, finalWaypoint } = collectSteps(ROUTE_SEARCHES[name](sfo, syd));
+    const last = steps[steps.length - 1];
+    expect(finalWaypoint.vertex).toBe(syd);
+    expect(last.found).toBe(finalWaypoint);
+    expect(last.description).toMatch(/✅/);
+    expect(steps.slice(0, -1).some(step => /^❌/.test(step.description))).toBe(false);
+  });
+
+  test('starting at the destination ends at once', () => {
+    const { finalWaypoint } = collectSteps(ROUTE_SEARCHES[name](sfo, sfo));
+    expect(finalWaypoint.vertex).toBe(sfo);
+    expect(finalWaypoint.parent).toBeNull();
+  });
+});
+
+test('a constrained search from the destination still flies through its via-points', () => {
+  const { finalWaypoint } = collectSteps(graph.constrainedSearchSteps(sfo, sfo, 'price', { via: ['CDG'] }));
+  expect(finalWaypoint.getPath().map(v => v.key)).toEqual(['SFO', 'JFK', 'CDG', 'JFK', 'SFO']);
+});
+
+test.each([
+  ['an avoided destination', { excludedAirports: new Set(['SYD']) }],
+  ['an impossible budget', { maxPrice: 1 }]
+])('a constrained search with %s ends on its listing\'s fail line', (name, constraints) => {
+  const { steps, finalWaypoint } = collectSteps(graph.constrainedSearchSteps(sfo, syd, 'price', constraints));
+  expect(finalWaypoint).toBeNull();
+  expect(steps[steps.length - 1].line).toBe('fail');
+});
+
+test.each([
+  ['BFS', () => graph.bfsSteps(sfo, syd)],
+  ['UCS', () => graph.ucsSteps(sfo, syd, 'price')],
+  ['Pareto', () => graph.paretoSteps(sfo, syd)]
+])('the %s visited set only grows', (name, search) => {
+  const { steps } = collectSteps(search());
+  for (let i = 1; i < steps.length; i++) {
+    for (let key of steps[i - 1].visited) expect(steps[i].visited.has(key)).toBe(true);
+  }
+});
+
+test('UCS expands waypoints in order of cost', () => {
+  const costs = collectSteps(graph.ucsSteps(sfo, syd, 'price')).steps
+    .filter(step => step.currentCost !== undefined)
+    .map(step => step.currentCost);
+  expect(costs.length).toBeGreaterThan(1);
+  expect(costs).toEqual([...costs].sort((a, b) => a - b));
+});
+
+test('collectSteps returns the steps with the search result', () => {
+  function* search() {
+    yield { description: 'one' };
+    yield { description: 'two' };
+    return { finalWaypoint: 'done', extra: 1 };
+  }
+  expect(collectSteps(search())).toEqual({
+    steps: [{ description: 'one' }, { description: 'two' }],
+    finalWaypoint: 'done',
+    extra: 1
+  });
+});
+
+test('searchStatistics counts expansions and the largest frontier on either side', () => {
+  const waypoint = new Waypoint(sfo);
+  expect(searchStatistics([
+    { exploring: new Set(), queue: [waypoint] },
+    { exploring: new Set(['SFO']), queue: [waypoint, waypoint], backward: { queue: [waypoint] } },
+    { exploring: new Set(['JFK']), queue: [] }
+  ])).toEqual({ expanded: 2, maxFrontier: 3 });
+  expect(searchStatistics([])).toEqual({ expanded: 0, maxFrontier: 0 });
+});
+
+test('stepToJSON keeps airports as keys and routes as paths', () => {
+  const { steps } = collectSteps(graph.aStarSteps(sfo, syd));
+  const last = stepToJSON(steps[steps.length - 1]);
+  expect(last.current).toBe('SYD');
+  expect(last.found.path).toEqual(['SFO', 'JFK', 'CDG', 'SYD']);
+  expect(last.scores.SFO).toEqual({ g: 0, h: expect.any(Number), f: expect.any(Number) });
+  expect(JSON.parse(JSON.stringify(last))).toEqual(last);
+
+  const label = stepToJSON(collectSteps(graph.paretoSteps(sfo, syd)).steps.find(step => step.found).found);
+  expect(label).toEqual({ path: expect.any(Array), price: expect.any(Number), time: expect.any(Number), stops: expect.any(Number) });
+});
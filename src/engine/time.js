@@ -0,0 +1,81 @@
+// =============================================================================
+// TIME ZONE HELPERS
+// =============================================================================
+// Dates are { year, month, day } in some airport's local calendar; instants
+// are UTC milliseconds. Airports without a timezone are treated as UTC.
+
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+
+const zoneFormatters = new Map();
+
+function zoneParts(time, timeZone) {
+  const zone = timeZone || 'UTC';
+  if (!zoneFormatters.has(zone)) {
+    zoneFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (let { type, value } of zoneFormatters.get(zone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function zoneOffsetMinutes(time, timeZone) {
+  const p = zoneParts(time, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return Math.round((asUtc - Math.floor(time / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+}
+
+export function localDate(time, timeZone) {
+  const { year, month, day } = zoneParts(time, timeZone);
+  return { year, month, day };
+}
+
+export function addDays(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * DAY_MS);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+export function isoWeekday(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay() || 7;
+}
+
+// UTC instant of `minutes` after local midnight on `date` in the zone
+export function zonedTimeToUtc(date, minutes, timeZone) {
+  const wallClock = Date.UTC(date.year, date.month - 1, date.day) + minutes * MINUTE_MS;
+  let time = wallClock - zoneOffsetMinutes(wallClock, timeZone) * MINUTE_MS;
+  // Correct once in case the guess landed on the other side of a DST change
+  time = wallClock - zoneOffsetMinutes(time, timeZone) * MINUTE_MS;
+  return time;
+}
+
+export function formatLocalTime(time, timeZone) {
+  return new Date(time).toLocaleString('en-US', {
+    timeZone: timeZone || 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+}
+
+// "HH:MM", optionally followed by "+N" days
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?:\s*\+(\d+))?$/.exec(value.trim());
+  if (!match) return null;
+  const [, hours, minutes, days] = match;
+  return (Number(days) || 0) * 24 * 60 + Number(hours) * 60 + Number(minutes);
+}
@@ -0,0 +1,99 @@
+// =============================================================================
+// TOUR ORDERING - Index 0 is home; tours start and end there
+// =============================================================================
+
+export const EXACT_TOUR_LIMIT = 12;
+
+export function tourCost(matrix, order) {
+  let cost = 0;
+  for (let i = 0; i < order.length - 1; i++) cost += matrix[order[i]][order[i + 1]];
+  return cost;
+}
+
+// Held-Karp: best[mask][j] is the cheapest way to leave home, visit the
+// cities in mask and stop at city j. With no cities the tour stays at home.
+export function heldKarpTour(matrix) {
+  const n = matrix.length - 1;
+  if (n === 0) return [0];
+  const full = (1 << n) - 1;
+  const best = new Float64Array((full + 1) * n).fill(Infinity);
+  const previous = new Int8Array((full + 1) * n).fill(-1);
+
+  for (let j = 0; j < n; j++) best[(1 << j) * n + j] = matrix[0][j + 1];
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let j = 0; j < n; j++) {
+      const cost = best[mask * n + j];
+      if (!(mask & (1 << j)) || cost === Infinity) continue;
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+        const next = mask | (1 << k);
+        const candidate = cost + matrix[j + 1][k + 1];
+        if (candidate < best[next * n + k]) {
+          best[next * n + k] = candidate;
+          previous[next * n + k] = j;
+        }
+      }
+    }
+  }
+
+  let last = -1;
+  let bestCost = Infinity;
+  for (let j = 0; j < n; j++) {
+    const cost = best[full * n + j] + matrix[j + 1][0];
+    if (cost < bestCost) {
+      bestCost = cost;
+      last = j;
+    }
+  }
+  if (last === -1) return null;
+
+  const order = [0];
+  for (let mask = full, j = last; j !== -1;) {
+    order.splice(1, 0, j + 1);
+    const before = previous[mask * n + j];
+    mask &= ~(1 << j);
+    j = before;
+  }
+  order.push(0);
+  return order;
+}
+
+export function nearestNeighbourTour(matrix) {
+  const order = [0];
+  const remaining = new Set(matrix.map((_, i) => i).slice(1));
+  while (remaining.size > 0) {
+    const from = order[order.length - 1];
+    let next = null;
+    for (let candidate of remaining) {
+      if (next === null || matrix[from][candidate] < matrix[from][next]) next = candidate;
+    }
+    order.push(next);
+    remaining.delete(next);
+  }
+  order.push(0);
+  return order;
+}
+
+// Reverses segments while that shortens the tour. Costs are recomputed in
+// full because reversing a segment changes its cost when routes are one-way.
+export function twoOptTour(matrix, order) {
+  let tour = order;
+  let cost = tourCost(matrix, tour);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < tour.length - 2; i++) {
+      for (let k = i + 1; k < tour.length - 1; k++) {
+        const candidate = [...tour.slice(0, i), ...tour.slice(i, k + 1).reverse(), ...tour.slice(k + 1)];
+        const candidateCost = tourCost(matrix, candidate);
+        if (candidateCost < cost) {
+          tour = candidate;
+          cost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return tour;
+}
@@ -0,0 +1,179 @@
+import { serializeNetwork } from '../engine';
+import { createEncoder, createDecoder } from './codec';
+import { createSearchHost } from './host';
+import createSearchWorker from './createWorker';
+import StepHistory from './StepHistory';
+
+// =============================================================================
+// SEARCH CLIENT - The main thread's side of the search worker
+// =============================================================================
+// stream() starts one of the graph's step generators in the worker and pulls
+// its steps a batch at a time, as playback asks for them, into a StepHistory.
+// run() pulls every step at once. The search's result (finalWaypoint and the
+// like) arrives with the last batch, decoded against the main thread's graph.
+// analyze() measures the whole network there too, off the main thread, and
+// kShortestPaths() ranks the best routes between two airports.
+// =============================================================================
+
+// Stands in for the worker where there is none: the same host, run on this
+// thread a message at a time
+class InlineWorker {
+  constructor() {
+    this.onmessage = null;
+    this.receive = createSearchHost(data => setTimeout(() => this.onmessage && this.onmessage({ data })));
+  }
+
+  postMessage(data) {
+    setTimeout(() => this.receive(data));
+  }
+
+  terminate() {
+    this.onmessage = null;
+  }
+}
+
+class SearchSession {
+  constructor(client, id, graph, callbacks) {
+    this.client = client;
+    this.id = id;
+    this.history = new StepHistory(createDecoder(graph));
+    this.status = 'running';  // then 'done', 'cancelled' or 'failed'
+    this.result = undefined;
+    this.error = null;
+    this.elapsed = 0;         // ms the worker has spent searching
+    this.pending = false;     // a batch has been asked for and not arrived
+    this.callbacks = callbacks;
+  }
+
+  // Asks for up to `count` more steps unless a batch is already on its way
+  more(count) {
+    if (this.status !== 'running' || this.pending) return;
+    this.pending = true;
+    this.client.post({ type: 'more', id: this.id, count });
+  }
+
+  cancel() {
+    if (this.status !== 'running') return;
+    this.status = 'cancelled';
+    this.client.forget(this);
+    if (this.callbacks.onCancel) this.callbacks.onCancel(this);
+  }
+
+  receive(message) {
+    this.pending = false;
+    if (message.type === 'error') {
+      this.status = 'failed';
+      this.error = new Error(message.message);
+      this.client.forget(this);
+    } else {
+      this.history.append(message.definitions, message.steps);
+      this.elapsed = message.elapsed;
+      if (message.done) {
+        this.status = 'done';
+        this.result = this.history.decoder.decode(message.result);
+        this.client.forget(this);
+      }
+    }
+    if (this.callbacks.onUpdate) this.callbacks.onUpdate(this);
+  }
+}
+
+export default class SearchClient {
+  constructor() {
+    this.worker = createSearchWorker() || new InlineWorker();
+    this.worker.onmessage = event => this.receive(event.data);
+    this.sessions = new Map();
+    this.requests = new Map();  // id -> { resolve, reject } for analyze() and kShortestPaths()
+    this.nextId = 1;
+    this.graph = null;
+  }
+
+  // Sends the worker its own copy of the graph. Searches already running are
+  // on the old one, so they're cancelled.
+  setGraph(graph) {
+    for (let session of [...this.sessions.values()]) session.cancel();
+    this.graph = graph;
+    this.post({ type: 'graph', network: JSON.stringify(serializeNetwork(graph)) });
+  }
+
+  // Starts graph[method](...args), e.g. ('ucsSteps', start, destination,
+  // 'price'); no steps are produced until session.more() asks for them.
+  // onUpdate(session) follows every batch and the end of the search;
+  // onCancel(session) follows cancel(), which sends no update.
+  stream(method, args, { onUpdate, onCancel } = {}) {
+    const session = new SearchSession(this, this.nextId++, this.graph, { onUpdate, onCancel });
+    this.sessions.set(session.id, session);
+    this.post({ type: 'start', id: session.id, method, args: createEncoder().encode(args) });
+    return session;
+  }
+
+  // Runs a search to the end; resolves with its finished session, or rejects
+  // if it fails or is cancelled (by a new graph, say) first
+  run(method, args) {
+    return new Promise((resolve, reject) => {
+      const session = this.stream(method, args, {
+        onUpdate: updated => {
+          if (updated.status === 'done') resolve(updated);
+          else if (updated.status === 'failed') reject(updated.error);
+        },
+        onCancel: () => reject(new Error('Search cancelled'))
+      });
+      session.more(Infinity);
+    });
+  }
+
+  // Resolves with analyzeNetwork(graph, weightType) for the graph as it was
+  // when asked
+  analyze(weightType) {
+    return this.request({ type: 'analyze', weightType }).then(reply => reply.analysis);
+  }
+
+  // Resolves with graph.kShortestPaths(start, destination, k, weightType),
+  // the waypoints decoded against the graph as it was when asked
+  kShortestPaths(start, destination, k, weightType) {
+    const graph = this.graph;
+    const args = createEncoder().encode([start, destination, k, weightType]);
+    return this.request({ type: 'kShortest', args }).then(reply => {
+      const decoder = createDecoder(graph);
+      decoder.define(reply.definitions);
+      return decoder.decode(reply.paths);
+    });
+  }
+
+  // Sends a one-off message; resolves with the host's reply to it
+  request(message) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests.set(id, { resolve, reject });
+      this.post({ ...message, id });
+    });
+  }
+
+  post(message) {
+    this.worker.postMessage(message);
+  }
+
+  forget(session) {
+    if (!this.sessions.delete(session.id)) return;
+    if (session.status === 'cancelled') this.post({ type: 'cancel', id: session.id });
+  }
+
+  receive(message) {
+    const request = this.requests.get(message.id);
+    if (request) {
+      this.requests.delete(message.id);
+      if (message.type === 'error') request.reject(new Error(message.message));
+      else request.resolve(message);
+      return;
+    }
+
+    const session = this.sessions.get(message.id);
+    if (session) session.receive(message);  // otherwise cancelled meanwhile
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.sessions.clear();
+    this.requests.clear();
+  }
+}
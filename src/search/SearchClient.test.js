@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import { buildGraph, loadGraph, collectSteps, analyzeNetwork, Waypoint } from '../engine';
+import SearchClient from './SearchClient';
+
+// setupTests.js leaves the client without a worker, so these run the search
+// host on the main thread, through the same encoded messages
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const graph = loadGraph(readData('airports.csv'), readData('routes.csv'), readData('schedule.csv'));
+const sfo = graph.getVertexByCode('SFO');
+const syd = graph.getVertexByCode('SYD');
+const monday = Date.UTC(2026, 0, 5, 12);
+
+let client;
+beforeEach(() => {
+  client = new SearchClient();
+  client.setGraph(graph);
+});
+afterEach(() => client.terminate());
+
+// Steps compared by what they show, with airports, waypoints and sets as keys
+function describeStep(step) {
+  const plain = value => {
+    if (value instanceof Waypoint) return value.getPath().map(v => v.key).join('>') + `@${value.cost}`;
+    if (value instanceof Set) return [...value].map(plain).sort();
+    if (value instanceof Map) return [...value].map(([key, item]) => [plain(key), plain(item)]);
+    if (Array.isArray(value)) return value.map(plain);
+    if (value && typeof value === 'object' && value.key !== undefined) return value.key;
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+    return value;
+  };
+  return plain(step);
+}
+
+test.each([
+  ['ucsSteps', [sfo, syd, 'price']],
+  ['bidirectionalDijkstraSteps', [sfo, syd, 'time']],
+  ['aStarSteps', [sfo, syd, 'price', 'admissible']],
+  ['paretoSteps', [sfo, syd]],
+  ['earliestArrivalSteps', [sfo, syd, monday]],
+  ['constrainedSearchSteps', [sfo, syd, 'price', { maxStops: 2, excludedAirports: new Set(['CDG']) }]],
+  ['roundTripSteps', [sfo, syd, syd, 'schedule', { departureTime: monday }]],
+  ['allPairsSteps', ['time']],
+  ['routeSteps', [[sfo, graph.getVertexByCode('JFK'), syd], 'price']]
+])('%s arrives as the same steps and result it yields here', async (method, args) => {
+  const session = await client.run(method, args);
+  const { steps, ...result } = collectSteps(graph[method](...args));
+
+  expect(session.status).toBe('done');
+  expect(session.history.length).toBe(steps.length);
+  expect([...session.history].map(describeStep)).toEqual(steps.map(describeStep));
+  expect(describeStep(session.result)).toEqual(describeStep(result));
+});
+
+test('the result refers to the client graph\'s own airports and flights', async () => {
+  const session = await client.run('ucsSteps', [sfo, syd, 'price']);
+  const { finalWaypoint } = session.result;
+  expect(finalWaypoint.vertex).toBe(syd);
+  expect(finalWaypoint.edge.from.edges).toContain(finalWaypoint.edge);
+});
+
+test('streams steps a batch at a time, as they are asked for', async () => {
+  const updates = [];
+  const session = await new Promise(resolve => {
+    const streamed = client.stream('bfsSteps', [sfo, syd], {
+      onUpdate: updated => {
+        updates.push(updated.history.length);
+        if (updated.status === 'done') resolve(updated);
+        else updated.more(2);
+      }
+    });
+    streamed.more(2);
+  });
+
+  const total = collectSteps(graph.bfsSteps(sfo, syd)).steps.length;
+  expect(session.history.length).toBe(total);
+  expect(updates.slice(0, -1).every((length, i) => length === 2 * (i + 1))).toBe(true);
+  expect(updates[updates.length - 1]).toBe(total);
+});
+
+test('a cancelled search sends nothing more', async () => {
+  const onUpdate = jest.fn();
+  const session = client.stream('ucsSteps', [sfo, syd, 'price'], { onUpdate });
+  session.more(1);
+  session.cancel();
+  session.more(1);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  expect(session.status).toBe('cancelled');
+  expect(onUpdate).not.toHaveBeenCalled();
+  expect(session.history.length).toBe(0);
+});
+
+test('a new graph cancels the searches on the old one', () => {
+  const session = client.stream('ucsSteps', [sfo, syd, 'price']);
+  client.setGraph(graph);
+  expect(session.status).toBe('cancelled');
+});
+
+test('a run cancelled before it finishes rejects', async () => {
+  const running = client.run('ucsSteps', [sfo, syd, 'price']);
+  client.setGraph(graph);
+  await expect(running).rejects.toThrow('Search cancelled');
+});
+
+test('an unknown search fails with its name', async () => {
+  await expect(client.run('planTour', [sfo, [syd]])).rejects.toThrow('Unknown search "planTour"');
+});
+
+test('the network is analyzed by the host', async () => {
+  await expect(client.analyze('price')).resolves.toEqual(analyzeNetwork(graph, 'price'));
+});
+
+test('alternative routes are ranked by the host, on the client\'s graph', async () => {
+  const paths = await client.kShortestPaths(sfo, syd, 3, 'time');
+  const expected = graph.kShortestPaths(sfo, syd, 3, 'time');
+  expect(paths.map(path => path.getPath().map(v => v.key))).toEqual(expected.map(path => path.getPath().map(v => v.key)));
+  expect(paths.map(path => path.cost)).toEqual(expected.map(path => path.cost));
+  expect(paths[0]).toBeInstanceOf(Waypoint);
+  expect(paths[0].vertex).toBe(syd);
+});
+
+test('step history rebuilds any step, in any order', async () => {
+  // A 10 × 10 grid, for a search with several checkpoints
+  const codes = Array.from({ length: 100 }, (_, i) => `A${i}`);
+  const grid = buildGraph(
+    codes.map(code => ({ code, name: code })),
+    codes.flatMap((code, i) => [
+      ...(i % 10 < 9 ? [{ from: code, to: codes[i + 1], time: 1, price: 10 + i % 7 }] : []),
+      ...(i < 90 ? [{ from: code, to: codes[i + 10], time: 1, price: 10 + i % 5 }] : [])
+    ])
+  );
+  const args = [grid.vertices[0], grid.vertices[99], 'price'];
+  client.setGraph(grid);
+  const { history } = await client.run('ucsSteps', args);
+  const { steps } = collectSteps(grid.ucsSteps(...args));
+  expect(steps.length).toBeGreaterThan(100);
+
+  const order = [steps.length - 1, 0, 51, 49, 50, 3, 100, 99, steps.length - 2, 2, 1];
+  for (let index of order) {
+    expect(describeStep(history.get(index))).toEqual(describeStep(steps[index]));
+  }
+  expect(history.get(steps.length)).toBeUndefined();
+  expect(history.get(-1)).toBeUndefined();
+});
@@ -0,0 +1,74 @@
+// =============================================================================
+// STEP HISTORY - Every streamed step, kept encoded and rebuilt on demand
+// =============================================================================
+// Steps arrive encoded against the step before (see codec.js), so only every
+// CHECKPOINT_INTERVAL-th step is kept decoded. Any other step is rebuilt by
+// decoding forward from the nearest checkpoint or recently read step, which
+// makes stepping back cheap without holding every snapshot in memory.
+// =============================================================================
+
+export const CHECKPOINT_INTERVAL = 50;
+const RECENT_STEPS = 4;
+
+export default class StepHistory {
+  constructor(decoder) {
+    this.decoder = decoder;
+    this.records = [];
+    this.checkpoints = new Map();  // step index -> decoded step
+    this.recent = new Map();       // the last few steps read, oldest first
+    this.firstSeen = new Map();    // waypoint or leg -> index of the first step that held it
+  }
+
+  get length() {
+    return this.records.length;
+  }
+
+  append(definitions, records) {
+    const objects = this.decoder.define(definitions);
+    definitions.forEach((definition, i) => this.firstSeen.set(objects[i], definition.step));
+    this.records.push(...records);
+  }
+
+  get(index) {
+    if (!(index >= 0 && index < this.records.length)) return undefined;
+    if (this.recent.has(index)) return this.recent.get(index);
+
+    let from = -1;
+    let step = null;
+    for (let [recentIndex, recentStep] of this.recent) {
+      if (recentIndex < index && recentIndex > from) {
+        from = recentIndex;
+        step = recentStep;
+      }
+    }
+    const checkpoint = index - index % CHECKPOINT_INTERVAL;
+    if (checkpoint > from && this.checkpoints.has(checkpoint)) {
+      from = checkpoint;
+      step = this.checkpoints.get(checkpoint);
+    }
+
+    // Checkpoints are taken on the way past, so they're never far behind
+    while (from < index) {
+      step = this.decode(++from, step);
+    }
+
+    this.recent.set(index, step);
+    if (this.recent.size > RECENT_STEPS) this.recent.delete(this.recent.keys().next().value);
+    return step;
+  }
+
+  decode(index, previousStep) {
+    if (this.checkpoints.has(index)) return this.checkpoints.get(index);
+    const step = this.decoder.decodeStep(this.records[index], previousStep);
+    if (index % CHECKPOINT_INTERVAL === 0) this.checkpoints.set(index, step);
+    return step;
+  }
+
+  *[Symbol.iterator]() {
+    let step = null;
+    for (let index = 0; index < this.records.length; index++) {
+      step = this.decode(index, step);
+      yield step;
+    }
+  }
+}
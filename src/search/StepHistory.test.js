@@ -0,0 +1,107 @@
+import { buildGraph, collectSteps, Waypoint } from '../engine';
+import { createEncoder, createDecoder } from './codec';
+import StepHistory, { CHECKPOINT_INTERVAL } from './StepHistory';
+
+// A 12 × 12 grid, for a search several checkpoints long
+const codes = Array.from({ length: 144 }, (_, i) => `A${i}`);
+const grid = buildGraph(
+  codes.map(code => ({ code, name: code })),
+  codes.flatMap((code, i) => [
+    ...(i % 12 < 11 ? [{ from: code, to: codes[i + 1], time: 1, price: 10 + i % 7 }] : []),
+    ...(i < 132 ? [{ from: code, to: codes[i + 12], time: 1, price: 10 + i % 5 }] : [])
+  ])
+);
+const { steps } = collectSteps(grid.ucsSteps(grid.vertices[0], grid.vertices[143], 'price'));
+
+// Streamed as the host sends them, a batch at a time; decodeStep is watched
+// to count the steps rebuilt
+function streamedHistory(batchSize = 40) {
+  const encoder = createEncoder();
+  const decoder = createDecoder(grid);
+  jest.spyOn(decoder, 'decodeStep');
+  const history = new StepHistory(decoder);
+  for (let start = 0; start < steps.length; start += batchSize) {
+    const records = steps.slice(start, start + batchSize).map(step => encoder.encodeStep(step));
+    history.append(encoder.takeDefinitions(), records);
+  }
+  return { history, decodes: decoder.decodeStep };
+}
+
+// Steps compared by what they show, with airports, waypoints and sets as keys
+function describeStep(step) {
+  const plain = value => {
+    if (value instanceof Waypoint) return value.getPath().map(v => v.key).join('>') + `@${value.cost}`;
+    if (value instanceof Set) return [...value].map(plain).sort();
+    if (Array.isArray(value)) return value.map(plain);
+    if (value && typeof value === 'object' && value.key !== undefined) return value.key;
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+    return value;
+  };
+  return plain(step);
+}
+
+test('the search is long enough to cross several checkpoints', () => {
+  expect(steps.length).toBeGreaterThan(3 * CHECKPOINT_INTERVAL);
+});
+
+test('plays forward through every step', () => {
+  const { history } = streamedHistory();
+  expect(history.length).toBe(steps.length);
+  expect([...history].map(describeStep)).toEqual(steps.map(describeStep));
+});
+
+test('seeks back past checkpoint boundaries to the right steps', () => {
+  const { history } = streamedHistory();
+  const last = steps.length - 1;
+  const order = [last, 2 * CHECKPOINT_INTERVAL + 1, 2 * CHECKPOINT_INTERVAL, 2 * CHECKPOINT_INTERVAL - 1,
+    CHECKPOINT_INTERVAL + 1, CHECKPOINT_INTERVAL - 1, CHECKPOINT_INTERVAL, 1, 0, last - 1, 3 * CHECKPOINT_INTERVAL - 1];
+  for (let index of order) {
+    expect(describeStep(history.get(index))).toEqual(describeStep(steps[index]));
+  }
+});
+
+test('a step back only replays from the checkpoint before it', () => {
+  const { history, decodes } = streamedHistory();
+  const index = 3 * CHECKPOINT_INTERVAL;
+  history.get(index);
+  expect(decodes).toHaveBeenCalledTimes(index + 1);
+
+  // Checkpoints were taken on the way: the step before the last one is
+  // rebuilt from the checkpoint a whole interval back
+  decodes.mockClear();
+  history.get(index - 1);
+  expect(decodes).toHaveBeenCalledTimes(CHECKPOINT_INTERVAL - 1);
+
+  // ...and one just past a checkpoint from that checkpoint
+  decodes.mockClear();
+  history.get(CHECKPOINT_INTERVAL + 2);
+  expect(decodes).toHaveBeenCalledTimes(2);
+
+  // Recently read steps cost nothing
+  decodes.mockClear();
+  history.get(index - 1);
+  expect(decodes).not.toHaveBeenCalled();
+});
+
+test('knows the step each waypoint first appeared in', () => {
+  const { history } = streamedHistory();
+  const firstSeen = new Map();
+  steps.forEach((step, index) => {
+    for (let waypoint of step.queue) {
+      const key = describeStep(waypoint);
+      if (!firstSeen.has(key)) firstSeen.set(key, index);
+    }
+  });
+
+  const seen = [...history.firstSeen]
+    .filter(([object]) => object instanceof Waypoint)
+    .map(([waypoint, index]) => [describeStep(waypoint), index]);
+  expect(new Map(seen.filter(([key]) => firstSeen.has(key)))).toEqual(firstSeen);
+});
+
+test('has nothing outside the steps received', () => {
+  const { history } = streamedHistory();
+  expect(history.get(steps.length)).toBeUndefined();
+  expect(history.get(-1)).toBeUndefined();
+  expect(new StepHistory(createDecoder(grid)).get(0)).toBeUndefined();
+});
@@ -0,0 +1,130 @@
+import { Edge, ScheduledFlight, FlightLeg, Vertex, Waypoint, Label } from '../engine';
+
+// =============================================================================
+// STEP CODEC - Snapshots as plain data that can cross to and from the worker
+// =============================================================================
+// Both sides hold the same graph, so airports, routes and scheduled flights
+// travel as references ({ $vertex: key }, { $edge: [fromKey, index] },
+// { $flight: [fromKey, index] }). Waypoints, labels and dated legs are sent
+// once as definitions and referenced by id ({ $ref }) after that, which keeps
+// parent chains shared as they are in the search. Sets and Maps become
+// { $set } and { $map }; a set holding everything the same field held one
+// step earlier is sent as just the new members ({ $added }).
+// =============================================================================
+
+const DEFINED_TYPES = { Waypoint, Label, FlightLeg };
+
+function definedType(value) {
+  if (value instanceof Label) return 'Label';
+  if (value instanceof Waypoint) return 'Waypoint';
+  if (value instanceof FlightLeg) return 'FlightLeg';
+  return null;
+}
+
+function containsAll(set, subset) {
+  if (subset.size > set.size) return false;
+  for (let item of subset) {
+    if (!set.has(item)) return false;
+  }
+  return true;
+}
+
+export function createEncoder() {
+  const ids = new Map();  // object -> definition id
+  let definitions = [];
+  let previousStep = null;
+  let stepIndex = 0;
+
+  function define(object, type) {
+    // Parents and flights are defined before the objects that refer to them
+    const fields = encode({ ...object });
+    const id = ids.size;
+    ids.set(object, id);
+    definitions.push({ id, type, fields, step: stepIndex });
+    return id;
+  }
+
+  // `previous` is the same value one step earlier, if there was one
+  function encode(value, previous) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Vertex) return { $vertex: value.key };
+    if (value instanceof Edge) return { $edge: [value.from.key, value.from.edges.indexOf(value)] };
+    if (value instanceof ScheduledFlight) return { $flight: [value.from.key, value.from.flights.indexOf(value)] };
+
+    const type = definedType(value);
+    if (type) return { $ref: ids.has(value) ? ids.get(value) : define(value, type) };
+
+    if (value instanceof Set) {
+      if (previous instanceof Set && containsAll(value, previous)) {
+        return { $added: [...value].filter(item => !previous.has(item)).map(item => encode(item)) };
+      }
+      return { $set: [...value].map(item => encode(item)) };
+    }
+    if (value instanceof Map) return { $map: [...value].map(([key, item]) => [encode(key), encode(item)]) };
+    if (Array.isArray(value)) return value.map(item => encode(item));
+
+    const encoded = {};
+    for (let [key, field] of Object.entries(value)) {
+      encoded[key] = encode(field, previous ? previous[key] : undefined);
+    }
+    return encoded;
+  }
+
+  return {
+    encode: value => encode(value),
+
+    encodeStep(step) {
+      const encoded = encode(step, previousStep);
+      previousStep = step;
+      stepIndex++;
+      return encoded;
+    },
+
+    // Definitions made since the last call; `step` on each is the index of
+    // the step that first referred to it
+    takeDefinitions() {
+      const taken = definitions;
+      definitions = [];
+      return taken;
+    }
+  };
+}
+
+export function createDecoder(graph) {
+  const vertices = new Map(graph.vertices.map(v => [v.key, v]));
+  const objects = [];
+
+  function decode(value, previous) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => decode(item));
+    if ('$vertex' in value) return vertices.get(value.$vertex);
+    if ('$edge' in value) return vertices.get(value.$edge[0]).edges[value.$edge[1]];
+    if ('$flight' in value) return vertices.get(value.$flight[0]).flights[value.$flight[1]];
+    if ('$ref' in value) return objects[value.$ref];
+    if ('$set' in value) return new Set(value.$set.map(item => decode(item)));
+    if ('$added' in value) return new Set([...previous, ...value.$added.map(item => decode(item))]);
+    if ('$map' in value) return new Map(value.$map.map(([key, item]) => [decode(key), decode(item)]));
+
+    const decoded = {};
+    for (let [key, field] of Object.entries(value)) {
+      decoded[key] = decode(field, previous ? previous[key] : undefined);
+    }
+    return decoded;
+  }
+
+  return {
+    decode: value => decode(value),
+
+    // Steps must be decoded in order, each against the decoded step before it
+    decodeStep: (record, previousStep) => decode(record, previousStep),
+
+    // Rebuilds the defined objects with their original classes; returns them
+    // in the order given
+    define(definitions) {
+      return definitions.map(({ id, type, fields }) => {
+        objects[id] = Object.assign(Object.create(DEFINED_TYPES[type].prototype), decode(fields));
+        return objects[id];
+      });
+    }
+  };
+}
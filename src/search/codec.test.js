@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { loadGraph, Waypoint, Label, FlightLeg } from '../engine';
+import { createEncoder, createDecoder } from './codec';
+
+const dataDir = path.join(__dirname, '..', '..', 'public', 'data');
+const readData = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+const loadNetwork = () => loadGraph(readData('airports.csv'), readData('routes.csv'), readData('schedule.csv'));
+
+// The worker's graph and the page's are separate copies of the same network
+const workerGraph = loadNetwork();
+const pageGraph = loadNetwork();
+const airport = (graph, code) => graph.getVertexByCode(code);
+
+// Sends `value` across as the host and client do: its definitions first
+function roundTrip(value, encoder = createEncoder(), decoder = createDecoder(pageGraph)) {
+  const encoded = encoder.encode(value);
+  decoder.define(encoder.takeDefinitions());
+  return decoder.decode(encoded);
+}
+
+test('airports, routes and flights travel as references to the other graph\'s own', () => {
+  const sfo = airport(workerGraph, 'SFO');
+  const value = { airport: sfo, route: sfo.edges[0], flight: sfo.flights[1] };
+
+  expect(createEncoder().encode(value)).toEqual({
+    airport: { $vertex: 'SFO' },
+    route: { $edge: ['SFO', 0] },
+    flight: { $flight: ['SFO', 1] }
+  });
+  const pageSfo = airport(pageGraph, 'SFO');
+  expect(roundTrip(value)).toEqual({ airport: pageSfo, route: pageSfo.edges[0], flight: pageSfo.flights[1] });
+  expect(roundTrip(value).airport).toBe(pageSfo);
+});
+
+test('waypoints are defined once, parents first, and keep their shared parents', () => {
+  const [sfo, jfk, cdg, syd] = ['SFO', 'JFK', 'CDG', 'SYD'].map(code => airport(workerGraph, code));
+  const root = new Waypoint(sfo);
+  const viaJfk = new Waypoint(jfk, root, 380, 0, sfo.edges[0]);
+  const toCdg = new Waypoint(cdg, viaJfk, 860, 5);
+  const toSyd = new Waypoint(syd, viaJfk, 3480);
+
+  const encoder = createEncoder();
+  const decoder = createDecoder(pageGraph);
+  const encoded = encoder.encode([toCdg, toSyd]);
+  const definitions = encoder.takeDefinitions();
+  expect(encoded).toEqual([{ $ref: 2 }, { $ref: 3 }]);
+  expect(definitions.map(definition => [definition.id, definition.type])).toEqual([
+    [0, 'Waypoint'], [1, 'Waypoint'], [2, 'Waypoint'], [3, 'Waypoint']
+  ]);
+
+  decoder.define(definitions);
+  const [cdgCopy, sydCopy] = decoder.decode(encoded);
+  expect(cdgCopy).toBeInstanceOf(Waypoint);
+  expect(cdgCopy.getPath().map(v => v.key)).toEqual(['SFO', 'JFK', 'CDG']);
+  expect(cdgCopy.parent).toBe(sydCopy.parent);
+  expect(cdgCopy.priority).toBe(865);
+  expect(cdgCopy.parent.edge).toBe(airport(pageGraph, 'SFO').edges[0]);
+
+  // Sent again, they are only referred to
+  expect(encoder.encode(toSyd)).toEqual({ $ref: 3 });
+  expect(encoder.takeDefinitions()).toEqual([]);
+});
+
+test('labels and dated legs come back as their own classes', () => {
+  const sfo = airport(workerGraph, 'SFO');
+  const flight = sfo.flights[0];
+  const leg = new FlightLeg(flight, Date.UTC(2026, 0, 5, 15), Date.UTC(2026, 0, 5, 21));
+  const label = new Label(flight.to, new Label(sfo), leg.price, leg.time, 1, leg, 0);
+
+  const copy = roundTrip(label);
+  expect(copy).toBeInstanceOf(Label);
+  expect(copy.parent).toBeInstanceOf(Label);
+  expect(copy.edge).toBeInstanceOf(FlightLeg);
+  expect(copy.edge.flight).toBe(airport(pageGraph, 'SFO').flights[0]);
+  expect(copy).toMatchObject({ price: leg.price, time: 6, stops: 1, viaIndex: 0 });
+  expect(copy.dominates(label)).toBe(true);
+});
+
+test('sets, maps, arrays and plain values round-trip', () => {
+  const jfk = airport(workerGraph, 'JFK');
+  const value = {
+    visited: new Set(['SFO', 'JFK']),
+    scores: new Map([[jfk, { g: 380, f: Infinity }]]),
+    list: [1, 'two', null, [3]],
+    nothing: null,
+    flag: false
+  };
+
+  const copy = roundTrip(value);
+  expect(copy.visited).toEqual(new Set(['SFO', 'JFK']));
+  expect([...copy.scores]).toEqual([[airport(pageGraph, 'JFK'), { g: 380, f: Infinity }]]);
+  expect(copy).toMatchObject({ list: [1, 'two', null, [3]], nothing: null, flag: false });
+});
+
+describe('steps', () => {
+  const steps = [
+    { visited: new Set(['SFO']), exploring: new Set(['JFK']) },
+    { visited: new Set(['SFO', 'JFK']), exploring: new Set(['JFK']) },
+    { visited: new Set(['SFO', 'JFK', 'CDG']), exploring: new Set(['SYD']) }
+  ];
+
+  test('send a set that only grew as its new members', () => {
+    const encoder = createEncoder();
+    const encoded = steps.map(step => encoder.encodeStep(step));
+    expect(encoded[0]).toEqual({ visited: { $set: ['SFO'] }, exploring: { $set: ['JFK'] } });
+    expect(encoded[1]).toEqual({ visited: { $added: ['JFK'] }, exploring: { $added: [] } });
+    expect(encoded[2]).toEqual({ visited: { $added: ['CDG'] }, exploring: { $set: ['SYD'] } });
+  });
+
+  test('decode in order, each against the one before', () => {
+    const encoder = createEncoder();
+    const decoder = createDecoder(pageGraph);
+    let previous = null;
+    for (let step of steps) {
+      previous = decoder.decodeStep(encoder.encodeStep(step), previous);
+      expect(previous).toEqual(step);
+    }
+  });
+
+  test('record the step that first referred to each definition', () => {
+    const sfo = airport(workerGraph, 'SFO');
+    const root = new Waypoint(sfo);
+    const next = new Waypoint(sfo.edges[0].to, root, 380);
+    const encoder = createEncoder();
+    encoder.encodeStep({ queue: [root] });
+    encoder.encodeStep({ queue: [root] });
+    encoder.encodeStep({ queue: [next] });
+    expect(encoder.takeDefinitions().map(definition => definition.step)).toEqual([0, 2]);
+  });
+});
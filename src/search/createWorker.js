@@ -0,0 +1,7 @@
+// Starts the search worker, or returns null where workers aren't available.
+// Kept to itself because `import.meta` only parses in the bundler, so tests
+// mock this module out.
+export default function createSearchWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./search.worker.js', import.meta.url));
+}
@@ -0,0 +1,85 @@
+import { buildGraph, parseNetworkJSON, analyzeNetwork } from '../engine';
+import { createEncoder, createDecoder } from './codec';
+
+// =============================================================================
+// SEARCH HOST - Runs step generators for a SearchClient, a batch at a time
+// =============================================================================
+// Lives in the search worker, or on the main thread where there is none.
+// Messages in:
+//   { type: 'graph', network }             replace the graph (serialized JSON)
+//   { type: 'start', id, method, args }    begin graph[method](...args)
+//   { type: 'more', id, count }            send up to `count` further steps
+//   { type: 'cancel', id }                 drop the search
+//   { type: 'analyze', id, weightType }    measure the network (analyzeNetwork)
+//   { type: 'kShortest', id, args }        rank routes, graph.kShortestPaths(...args)
+// Replies are { type: 'steps', id, definitions, steps, done, result, elapsed }
+// with the steps and result encoded by codec.js, { type: 'analysis', id,
+// analysis }, { type: 'paths', id, definitions, paths } with the waypoints
+// encoded, or { type: 'error', id, message }. `elapsed` is the search's own
+// running time so far, in ms.
+// =============================================================================
+
+export function createSearchHost(reply) {
+  let graph = null;
+  const searches = new Map();  // id -> { steps, encoder, elapsed }
+
+  function start({ id, method, args }) {
+    if (!/Steps$/.test(method) || typeof graph[method] !== 'function') {
+      throw new Error(`Unknown search "${method}"`);
+    }
+    const decoded = createDecoder(graph).decode(args);
+    searches.set(id, { steps: graph[method](...decoded), encoder: createEncoder(), elapsed: 0 });
+  }
+
+  function more({ id, count }) {
+    const search = searches.get(id);
+    if (!search) return;  // cancelled, or replaced along with the graph
+
+    const startedAt = performance.now();
+    const steps = [];
+    let next = { done: false };
+    while (steps.length < count && !(next = search.steps.next()).done) {
+      steps.push(search.encoder.encodeStep(next.value));
+    }
+    search.elapsed += performance.now() - startedAt;
+
+    // The result can refer to waypoints no step did, so encode it first
+    const result = next.done ? search.encoder.encode(next.value) : null;
+    if (next.done) searches.delete(id);
+    reply({
+      type: 'steps',
+      id,
+      definitions: search.encoder.takeDefinitions(),
+      steps,
+      done: next.done,
+      result,
+      elapsed: search.elapsed
+    });
+  }
+
+  return function receive(message) {
+    try {
+      if (message.type === 'graph') {
+        const { airports, routes, schedule } = parseNetworkJSON(message.network);
+        graph = buildGraph(airports, routes, schedule);
+        searches.clear();
+      } else if (message.type === 'start') {
+        start(message);
+      } else if (message.type === 'more') {
+        more(message);
+      } else if (message.type === 'cancel') {
+        searches.delete(message.id);
+      } else if (message.type === 'analyze') {
+        // Already plain data, so it needs no encoding
+        reply({ type: 'analysis', id: message.id, analysis: analyzeNetwork(graph, message.weightType) });
+      } else if (message.type === 'kShortest') {
+        const encoder = createEncoder();
+        const paths = encoder.encode(graph.kShortestPaths(...createDecoder(graph).decode(message.args)));
+        reply({ type: 'paths', id: message.id, definitions: encoder.takeDefinitions(), paths });
+      }
+    } catch (err) {
+      searches.delete(message.id);
+      reply({ type: 'error', id: message.id, message: err.message });
+    }
+  };
+}
@@ -0,0 +1,6 @@
+import { createSearchHost } from './host';
+
+// Entry point of the search worker; see host.js for the messages
+const receive = createSearchHost(message => postMessage(message));
+
+onmessage = event => receive(event.data);
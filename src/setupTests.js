@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Workers need a bundler (import.meta); tests run searches on the main thread
+jest.mock('./search/createWorker', () => () => null);